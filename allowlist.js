@@ -0,0 +1,195 @@
+// Nixxer Site Allowlist - Per-site "pause protection" entries
+//
+// Entry types:
+//   permanent - until removed by the user
+//   timed     - until expiresAt (e.g. "pause for 1 hour")
+//   tab       - until the tab that created it is closed (never persisted)
+//
+// An entry with a cookieStoreId only applies in that Firefox container; one
+// without applies everywhere.
+
+const ALLOWLIST_DURATIONS = {
+  'tab': null,
+  'hour': 60 * 60 * 1000,
+  'permanent': null
+};
+
+class SiteAllowlist {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  static normalizeDomain(domain) {
+    if (typeof domain !== 'string') {
+      throw new Error('Invalid domain: must be a string');
+    }
+
+    const clean = domain.toLowerCase().trim().replace(/^www\./, '').replace(/\.$/, '');
+    if (!clean || clean.length > 253 || !/^[a-z0-9.-]+$/.test(clean)) {
+      throw new Error(`Invalid domain: ${domain}`);
+    }
+    return clean;
+  }
+
+  static getKey(domain, cookieStoreId = null) {
+    return cookieStoreId ? `${cookieStoreId}|${domain}` : domain;
+  }
+
+  load(storedEntries) {
+    this.entries.clear();
+
+    if (!Array.isArray(storedEntries)) {
+      return;
+    }
+
+    for (const entry of storedEntries) {
+      try {
+        if (!entry || (entry.type !== 'permanent' && entry.type !== 'timed')) continue;
+        const domain = SiteAllowlist.normalizeDomain(entry.domain);
+        const cookieStoreId = typeof entry.cookieStoreId === 'string' ? entry.cookieStoreId : null;
+        this.entries.set(SiteAllowlist.getKey(domain, cookieStoreId), {
+          domain,
+          type: entry.type,
+          createdAt: entry.createdAt || Date.now(),
+          expiresAt: entry.type === 'timed' ? entry.expiresAt || 0 : null,
+          tabId: null,
+          cookieStoreId
+        });
+      } catch (error) {
+        // Skip malformed entries
+      }
+    }
+
+    this.prune();
+  }
+
+  add(domain, duration = 'permanent', tabId = null, cookieStoreId = null) {
+    if (!Object.prototype.hasOwnProperty.call(ALLOWLIST_DURATIONS, duration)) {
+      throw new Error(`Invalid allowlist duration: ${duration}`);
+    }
+
+    if (duration === 'tab' && (typeof tabId !== 'number' || tabId < 0)) {
+      throw new Error('A tab is required for a tab-scoped allowlist entry');
+    }
+
+    const cleanDomain = SiteAllowlist.normalizeDomain(domain);
+    const now = Date.now();
+    const entry = {
+      domain: cleanDomain,
+      type: duration === 'hour' ? 'timed' : duration,
+      createdAt: now,
+      expiresAt: ALLOWLIST_DURATIONS[duration] ? now + ALLOWLIST_DURATIONS[duration] : null,
+      tabId: duration === 'tab' ? tabId : null,
+      cookieStoreId: cookieStoreId || null
+    };
+
+    this.entries.set(SiteAllowlist.getKey(cleanDomain, entry.cookieStoreId), entry);
+    return entry;
+  }
+
+  remove(domain, cookieStoreId = null) {
+    return this.entries.delete(SiteAllowlist.getKey(SiteAllowlist.normalizeDomain(domain), cookieStoreId));
+  }
+
+  // Drops tab-scoped entries belonging to a closed tab; returns true if any were removed
+  removeForTab(tabId) {
+    let removed = false;
+    for (const [key, entry] of this.entries) {
+      if (entry.type === 'tab' && entry.tabId === tabId) {
+        this.entries.delete(key);
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  prune(now = Date.now()) {
+    let removed = false;
+    for (const [key, entry] of this.entries) {
+      if (entry.type === 'timed' && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  // Returns the entry covering a site hostname (exact or parent domain), or null. At each
+  // level an entry for the container wins over one for every container.
+  getEntry(hostname, cookieStoreId = null) {
+    if (typeof hostname !== 'string' || hostname.length === 0 || this.entries.size === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const isLive = (entry) => entry && (entry.type !== 'timed' || entry.expiresAt > now);
+    let candidate = hostname.toLowerCase();
+    while (candidate) {
+      const containerEntry = cookieStoreId ? this.entries.get(SiteAllowlist.getKey(candidate, cookieStoreId)) : null;
+      if (isLive(containerEntry)) {
+        return containerEntry;
+      }
+      const entry = this.entries.get(candidate);
+      if (isLive(entry)) {
+        return entry;
+      }
+      const dot = candidate.indexOf('.');
+      if (dot === -1) break;
+      candidate = candidate.slice(dot + 1);
+    }
+
+    return null;
+  }
+
+  isAllowed(hostname, cookieStoreId = null) {
+    return this.getEntry(hostname, cookieStoreId) !== null;
+  }
+
+  getEntries() {
+    this.prune();
+    return Array.from(this.entries.values()).sort((a, b) => a.domain.localeCompare(b.domain));
+  }
+
+  // Sync shares permanent entries for all containers. Timed and tab entries belong to one
+  // device, and container IDs are numbered per profile, so container entries stay local too
+  static isShared(entry) {
+    return entry.type === 'permanent' && !entry.cookieStoreId;
+  }
+
+  getSharedEntries() {
+    return this.getEntries()
+      .filter(SiteAllowlist.isShared)
+      .map(({ domain, createdAt }) => ({ domain, createdAt }));
+  }
+
+  replaceSharedEntries(entries) {
+    for (const [key, entry] of this.entries) {
+      if (SiteAllowlist.isShared(entry)) {
+        this.entries.delete(key);
+      }
+    }
+
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      try {
+        const domain = SiteAllowlist.normalizeDomain(entry.domain);
+        this.entries.set(SiteAllowlist.getKey(domain, null), {
+          domain,
+          type: 'permanent',
+          createdAt: entry.createdAt || Date.now(),
+          expiresAt: null,
+          tabId: null,
+          cookieStoreId: null
+        });
+      } catch (error) {
+        // Skip malformed entries
+      }
+    }
+  }
+
+  // Tab-scoped entries die with their tab, so only permanent and timed ones are stored
+  toJSON() {
+    return this.getEntries()
+      .filter(entry => entry.type !== 'tab')
+      .map(({ domain, type, createdAt, expiresAt, cookieStoreId }) => ({ domain, type, createdAt, expiresAt, cookieStoreId }));
+  }
+}
@@ -126,6 +126,97 @@ function validateSettings(settings) {
     settings.autoExportThreshold = threshold;
   }
   
+  if (settings.filterListUpdateHours !== undefined) {
+    const hours = parseInt(settings.filterListUpdateHours);
+    if (isNaN(hours) || hours < 1 || hours > 168) {
+      throw new Error('filterListUpdateHours must be between 1 and 168');
+    }
+    settings.filterListUpdateHours = hours;
+  }
+  
+  if (settings.statisticsHistoryDays !== undefined) {
+    const days = parseInt(settings.statisticsHistoryDays);
+    if (isNaN(days) || days < 1 || days > STATISTICS_MAX_HISTORY_DAYS) {
+      throw new Error(`statisticsHistoryDays must be between 1 and ${STATISTICS_MAX_HISTORY_DAYS}`);
+    }
+    settings.statisticsHistoryDays = days;
+  }
+  
+  if (settings.stripParamCategories !== undefined) {
+    if (!Array.isArray(settings.stripParamCategories)) {
+      throw new Error('stripParamCategories must be an array');
+    }
+    settings.stripParamCategories = settings.stripParamCategories
+      .filter(category => Object.prototype.hasOwnProperty.call(TRACKER_CATEGORIES, category));
+  }
+  
+  if (settings.stripParamExceptions !== undefined) {
+    if (!Array.isArray(settings.stripParamExceptions)) {
+      throw new Error('stripParamExceptions must be an array');
+    }
+    settings.stripParamExceptions = settings.stripParamExceptions.map(domain => validateDomain(domain));
+  }
+  
+  if (settings.fingerprintMode !== undefined && !FingerprintPolicy.isValidMode(settings.fingerprintMode)) {
+    throw new Error('fingerprintMode must be one of: ' + Object.keys(FINGERPRINT_MODES).join(', '));
+  }
+  
+  if (settings.fingerprintSiteModes !== undefined) {
+    if (!settings.fingerprintSiteModes || typeof settings.fingerprintSiteModes !== 'object' ||
+        Array.isArray(settings.fingerprintSiteModes)) {
+      throw new Error('fingerprintSiteModes must be an object');
+    }
+    const siteModes = {};
+    for (const [domain, mode] of Object.entries(settings.fingerprintSiteModes)) {
+      if (FingerprintPolicy.isValidMode(mode)) {
+        siteModes[validateDomain(domain)] = mode;
+      }
+    }
+    settings.fingerprintSiteModes = siteModes;
+  }
+  
+  if (settings.cookieCategoryPolicies !== undefined) {
+    if (!settings.cookieCategoryPolicies || typeof settings.cookieCategoryPolicies !== 'object' ||
+        Array.isArray(settings.cookieCategoryPolicies)) {
+      throw new Error('cookieCategoryPolicies must be an object');
+    }
+    const categoryPolicies = {};
+    for (const [category, policy] of Object.entries(settings.cookieCategoryPolicies)) {
+      if (Object.prototype.hasOwnProperty.call(TRACKER_CATEGORIES, category) && CookiePolicy.isValidPolicy(policy)) {
+        categoryPolicies[category] = policy;
+      }
+    }
+    settings.cookieCategoryPolicies = categoryPolicies;
+  }
+  
+  if (settings.cookieSitePolicies !== undefined) {
+    if (!settings.cookieSitePolicies || typeof settings.cookieSitePolicies !== 'object' ||
+        Array.isArray(settings.cookieSitePolicies)) {
+      throw new Error('cookieSitePolicies must be an object');
+    }
+    const sitePolicies = {};
+    for (const [domain, policy] of Object.entries(settings.cookieSitePolicies)) {
+      if (CookiePolicy.isValidPolicy(policy)) {
+        sitePolicies[validateDomain(domain)] = policy;
+      }
+    }
+    settings.cookieSitePolicies = sitePolicies;
+  }
+  
+  if (settings.containerProfiles !== undefined) {
+    if (!settings.containerProfiles || typeof settings.containerProfiles !== 'object' ||
+        Array.isArray(settings.containerProfiles)) {
+      throw new Error('containerProfiles must be an object');
+    }
+    const containerProfiles = {};
+    for (const [cookieStoreId, profile] of Object.entries(settings.containerProfiles)) {
+      if (ContainerPolicy.isContainer(cookieStoreId) && ContainerPolicy.isValidProfile(profile)) {
+        containerProfiles[cookieStoreId] = profile;
+      }
+    }
+    settings.containerProfiles = containerProfiles;
+  }
+  
   return settings;
 }
 
@@ -157,162 +248,28 @@ function getPattern(patternString) {
   return patternCache.get(patternString);
 }
 
-// Detection patterns with error handling
-const GA_COOKIE_PATTERNS = [
-  /^_ga$/,
-  /^_gid$/,
-  /^_gat/,
-  /^_gtag_/,
-  /^__utm[abcz]$/
-];
-
-const GTM_COOKIE_PATTERNS = [
-  /^_gcl_/,
-  /^_gac_/,
-  /^_dc_gtm_/,
-  /^_fbc$/,
-  /^_fbp$/
-];
-
-const GA_VALUE_PATTERNS = [
-  /^GA1\.\d+\.\d+\.\d+$/,
-  /^GA1\.\d+\.\d+$/
-];
-
-const GA_REQUEST_PATTERNS = [
-  /\/collect(\?|$)/,
-  /\/g\/collect(\?|$)/,
-  /\/mp\/collect(\?|$)/,
-  /\/gtm\.js(\?|$)/,
-  /\/gtag\/js(\?|$)/,
-  /google-analytics\.com/,
-  /googletagmanager\.com/
-];
-
-// Facebook/Meta tracking patterns
-const FACEBOOK_COOKIE_PATTERNS = [
-  /^_fbc$/,
-  /^_fbp$/,
-  /^fr$/,
-  /^datr$/,
-  /^sb$/,
-  /^wd$/
-];
-
-const FACEBOOK_REQUEST_PATTERNS = [
-  /facebook\.com\/tr/,
-  /connect\.facebook\.net/,
-  /\.facebook\.com\/plugins/,
-  /fbevents\.js/
-];
-
-// Adobe Analytics patterns
-const ADOBE_COOKIE_PATTERNS = [
-  /^s_cc$/,
-  /^s_sq$/,
-  /^s_vi$/,
-  /^s_fid$/,
-  /^AMCV_/,
-  /^mbox/
-];
-
-const ADOBE_REQUEST_PATTERNS = [
-  /2o7\.net/,
-  /omtrdc\.net/,
-  /demdex\.net/,
-  /everesttech\.net/
-];
-
-// Session recording/heatmap patterns
-const SESSION_RECORDING_COOKIE_PATTERNS = [
-  /^_hjid$/,
-  /^_hjSession/,
-  /^_hjIncludedInSample/,
-  /^fs_uid$/,
-  /^FS\./,
-  /^_lr_/,
-  /^_hotjar/
-];
-
-const SESSION_RECORDING_REQUEST_PATTERNS = [
-  /hotjar\.com/,
-  /fullstory\.com/,
-  /logrocket\.com/,
-  /mouseflow\.com/,
-  /smartlook\.com/
-];
-
-// TikTok tracking patterns
-const TIKTOK_COOKIE_PATTERNS = [
-  /^_ttp$/,
-  /^_tt_enable_cookie$/,
-  /^tt_pixel_session_index$/,
-  /^tt_sessionId$/
-];
-
-const TIKTOK_REQUEST_PATTERNS = [
-  /analytics\.tiktok\.com/,
-  /business-api\.tiktok\.com/,
-  /\.tiktok\.com\/pixel/
-];
-
-// Known tracking domains with error handling
-const KNOWN_TRACKING_DOMAINS = new Set([
-  'google-analytics.com',
-  'googletagmanager.com',
-  'www.google-analytics.com',
-  'www.googletagmanager.com',
-  'facebook.com',
-  'connect.facebook.net',
-  'www.facebook.com',
-  '2o7.net',
-  'omtrdc.net',
-  'demdex.net',
-  'everesttech.net',
-  'hotjar.com',
-  'fullstory.com',
-  'logrocket.com',
-  'mouseflow.com',
-  'smartlook.com',
-  'analytics.tiktok.com',
-  'business-api.tiktok.com',
-  'stats.wp.com',
-  'scorecardresearch.com',
-  'quantserve.com',
-  'doubleclick.net',
-  'googlesyndication.com',
-  'analytics.twitter.com',
-  'platform.twitter.com'
-]);
-
-const TRACKING_DOMAIN_SUFFIXES = new Set([
-  'google-analytics.com',
-  'googletagmanager.com',
-  'facebook.net',
-  'hotjar.com',
-  'fullstory.com',
-  'doubleclick.net'
-]);
-
 // Initialize error logger
 const logger = new ErrorLogger();
 
+// Shared tracker definitions (trackers.js), compiled through the pattern cache
+const trackerRegistry = new TrackerRegistry(TRACKER_DEFINITIONS, getPattern);
+
+// Registrable domain (eTLD+1) lookups for party classification (publicsuffix.js)
+const publicSuffixList = new PublicSuffixList(PUBLIC_SUFFIX_RULES);
+
+// Long-lived port the popup and options pages open for DATA_CHANGED pushes
+const NIXXER_UPDATE_PORT = 'nixxer-updates';
+const NIXXER_UPDATE_INTERVAL = 2000;
+
+// Settings that never sync: the sync switch itself, and container profiles, which are
+// keyed by container IDs that each Firefox profile numbers on its own
+const NIXXER_LOCAL_SETTINGS = ['syncEnabled', 'containerProfiles'];
+
 class NixxerCore {
   constructor() {
     this.isEnabled = true;
-    this.blockedToday = 0;
-    this.cookiesDeleted = 0;
-    this.detectedDomains = new Map();
-    this.settings = {
-      maxHostsEntries: 500,
-      autoExportThreshold: 450,
-      detectionSensitivity: 'high',
-      exportFormat: 'pihole',
-      blockSelfHosted: true,
-      debugLogging: false,
-      autoCleanup: true,
-      deleteZombieCookies: true
-    };
+    this.statistics = new StatisticsManager({ onRollover: () => this.debouncedSave() });
+    this.settings = NixxerCore.getDefaultSettings();
     
     this.performanceStats = {
       requestsProcessed: 0,
@@ -320,8 +277,49 @@ class NixxerCore {
       avgProcessingTime: 0
     };
     
-    this.pendingSave = false;
-    this.debouncedSave = debounce(this.saveData.bind(this), 3000);
+    this.filterLists = new FilterListManager();
+    this.allowlist = new SiteAllowlist();
+    this.urlCleaner = new UrlCleaner(trackerRegistry);
+    this.cnameResolver = CnameResolver.isAvailable() ? new CnameResolver() : null;
+    this.bounceTracker = new BounceTracker({
+      getSite: hostname => publicSuffixList.getRegistrableDomain(hostname) || hostname
+    });
+    this.surrogates = new SurrogateMatcher();
+    this.fingerprintPolicy = new FingerprintPolicy();
+    this.respawnDetector = new RespawnDetector();
+    this.database = new NixxerDatabase();
+    this.eventLog = new DetectionEventLog(this.database);
+    this.detectedDomains = new DetectedDomainStore(this.database);
+    this.timeSeries = new TrackingTimeSeries(this.database);
+    this.cookiePolicy = new CookiePolicy();
+    this.tabCloseCookies = new Map();
+    this.cookieSweeper = new CookieSweeper({
+      listStores: () => this.listCookieStores(),
+      listCookies: (storeId) => this.getAllCookies({ storeId }),
+      processCookie: (cookie) => this.sweepCookie(cookie)
+    });
+    this.cookieSweepTimer = null;
+    this.containerPolicy = new ContainerPolicy();
+    this.settingsSync = new SettingsSync({
+      getLocal: (key) => this.getSyncValue(key),
+      applyRemote: (key, value) => this.applySyncedValue(key, value),
+      onStatusChange: () => this.broadcastUpdate('sync')
+    });
+    this.containerStats = {};
+    this.tabCookieStores = new Map();
+    this.tabActivity = new TabActivityLog();
+    this.tabTopUrls = new Map();
+    this.pendingBadgeTabs = new Set();
+    this.badgeTimer = null;
+    
+    this.pendingSave = null;
+    this.queuedSave = null;
+    // Failures are logged by saveData; the next change saves again
+    this.debouncedSave = debounce(() => this.saveData().catch(() => {}), 3000);
+    
+    // Popup and options pages connected for DATA_CHANGED pushes
+    this.updatePorts = new Set();
+    this.updateTimers = new Map();     // scope -> pending push timer
     
     this.recentRequests = new Map();
     this.cleanupRecentRequests = debounce(() => {
@@ -344,15 +342,52 @@ class NixxerCore {
     this.init();
   }
 
+  static getDefaultSettings() {
+    return {
+      maxHostsEntries: 500,
+      autoExportThreshold: 450,
+      detectionSensitivity: 'high',
+      exportFormat: 'pihole',
+      blockSelfHosted: true,
+      debugLogging: false,
+      autoCleanup: true,
+      deleteZombieCookies: true,
+      filterListUpdateHours: 24,
+      statisticsHistoryDays: STATISTICS_DEFAULT_HISTORY_DAYS,
+      stripTrackingParams: true,
+      stripParamCategories: Object.keys(TRACKER_CATEGORIES),
+      stripParamExceptions: [],
+      headerProtection: true,
+      cnameUncloaking: true,
+      bounceProtection: true,
+      useSurrogates: true,
+      fingerprintMode: FINGERPRINT_DEFAULT_MODE,
+      fingerprintSiteModes: {},
+      cookieCategoryPolicies: {},
+      cookieSitePolicies: {},
+      containerProfiles: {},
+      syncEnabled: false
+    };
+  }
+
   async init() {
     try {
       logger.log('info', 'Starting Nixxer initialization');
       
+      await this.migrateStoredData();
       await this.loadStoredData();
+      this.statistics.scheduleRollover();
+      await this.loadFilterLists();
+      await this.settingsSync.load();
       await this.setupRequestBlocking();
+      this.setupHeaderProtection();
       await this.setupCookieMonitoring();
+      this.setupTabTracking();
+      this.setupBounceTracking();
       this.setupMessageHandling();
+      this.setupUpdatePorts();
       this.scheduleCleanup();
+      this.scheduleFilterListRefresh();
       this.schedulePerformanceReporting();
       
       this.initialized = true;
@@ -367,20 +402,60 @@ class NixxerCore {
     }
   }
 
+  // Upgrades data written by an older release before anything reads it (migrations.js)
+  async migrateStoredData() {
+    try {
+      const stored = await withTimeout(
+        withRetry(() => browser.storage.local.get(['schemaVersion', 'settings', 'statistics', 'detectedDomains'])),
+        5000
+      );
+      
+      const fromVersion = DataMigrator.getVersion(stored);
+      if (fromVersion === STORAGE_SCHEMA_VERSION) {
+        return;
+      }
+      if (fromVersion > STORAGE_SCHEMA_VERSION) {
+        logger.log('warn', `Stored data uses newer schema ${fromVersion}, loading it as is`);
+        return;
+      }
+      
+      const { data, applied } = DataMigrator.migrate(stored, fromVersion);
+      const update = { schemaVersion: STORAGE_SCHEMA_VERSION };
+      for (const key of ['settings', 'statistics', 'detectedDomains']) {
+        if (data[key] !== undefined) {
+          update[key] = data[key];
+        }
+      }
+      
+      await withTimeout(withRetry(() => browser.storage.local.set(update)), 8000);
+      logger.log('info', `Migrated stored data from schema ${fromVersion} to ${STORAGE_SCHEMA_VERSION}`, null, { steps: applied });
+      
+    } catch (error) {
+      // schemaVersion is only written on success, so the next start retries
+      logger.log('error', 'Failed to migrate stored data', error);
+    }
+  }
+
   async loadStoredData() {
     try {
       const data = await withTimeout(
-        withRetry(() => browser.storage.local.get(['detectedDomains', 'settings', 'statistics'])),
+        withRetry(() => browser.storage.local.get(['detectedDomains', 'settings', 'statistics', 'allowlist', 'respawn', 'timeseries'])),
         5000
       );
       
+      try {
+        await this.detectedDomains.load();
+        logger.log('info', `Loaded ${this.detectedDomains.size} detected domains`);
+      } catch (error) {
+        logger.log('warn', 'Failed to load detected domains from database', error);
+      }
+      
+      // Versions before the domains store kept the whole list in storage.local
       if (data.detectedDomains && typeof data.detectedDomains === 'object') {
         try {
-          this.detectedDomains = new Map(Object.entries(data.detectedDomains));
-          logger.log('info', `Loaded ${this.detectedDomains.size} detected domains`);
+          await this.importLegacyDetectedDomains(data.detectedDomains);
         } catch (error) {
-          logger.log('warn', 'Failed to parse detected domains, using empty map', error);
-          this.detectedDomains = new Map();
+          logger.log('warn', 'Failed to move detected domains to database', error);
         }
       }
       
@@ -388,28 +463,58 @@ class NixxerCore {
         try {
           const validatedSettings = validateSettings(data.settings);
           this.settings = Object.assign(this.settings, validatedSettings);
+          this.applySettings();
           logger.log('info', 'Settings loaded and validated');
         } catch (error) {
           logger.log('warn', 'Invalid settings found, using defaults', error);
         }
       }
       
+      if (Array.isArray(data.allowlist)) {
+        try {
+          this.allowlist.load(data.allowlist);
+          logger.log('info', `Loaded ${this.allowlist.entries.size} allowlisted sites`);
+        } catch (error) {
+          logger.log('warn', 'Failed to parse allowlist, using empty allowlist', error);
+        }
+      }
+      
+      if (data.respawn && typeof data.respawn === 'object') {
+        try {
+          this.respawnDetector.load(data.respawn);
+          logger.log('info', `Loaded ${this.respawnDetector.sites.size} respawning sites`);
+        } catch (error) {
+          logger.log('warn', 'Failed to parse respawn data', error);
+        }
+      }
+      
+      try {
+        await this.timeSeries.load();
+      } catch (error) {
+        logger.log('warn', 'Failed to load time series from database, starting empty', error);
+      }
+      
+      // Versions before the timeseries store saved the buckets in storage.local
+      if (data.timeseries && typeof data.timeseries === 'object') {
+        try {
+          this.timeSeries.importLegacy(data.timeseries);
+          await this.timeSeries.flush();
+          await browser.storage.local.remove('timeseries');
+        } catch (error) {
+          logger.log('warn', 'Failed to move time series to database', error);
+        }
+      }
+      
       if (data.statistics && typeof data.statistics === 'object') {
         try {
-          this.blockedToday = Math.max(0, parseInt(data.statistics.blockedToday) || 0);
-          this.cookiesDeleted = Math.max(0, parseInt(data.statistics.cookiesDeleted) || 0);
-          
-          const lastUpdated = data.statistics.lastUpdated || Date.now();
-          const daysDiff = Math.floor((Date.now() - lastUpdated) / (24 * 60 * 60 * 1000));
-          if (daysDiff >= 1) {
-            this.blockedToday = 0;
-          }
+          this.statistics.load(data.statistics);
+          this.containerStats = data.statistics.containers && typeof data.statistics.containers === 'object' ?
+            data.statistics.containers : {};
           
           logger.log('info', 'Statistics loaded successfully');
         } catch (error) {
           logger.log('warn', 'Failed to parse statistics, using defaults', error);
-          this.blockedToday = 0;
-          this.cookiesDeleted = 0;
+          this.statistics.reset();
         }
       }
       
@@ -419,21 +524,67 @@ class NixxerCore {
     }
   }
 
-  async saveData() {
+  // Copies domains saved by older versions into the database, then drops the storage.local copy
+  async importLegacyDetectedDomains(legacyDomains) {
+    let imported = 0;
+    for (const [domain, data] of Object.entries(legacyDomains)) {
+      // Records already in the database are newer than the legacy copy
+      if (data && typeof data === 'object' && !this.detectedDomains.has(domain)) {
+        this.detectedDomains.set(domain, data);
+        imported++;
+      }
+    }
+    
+    await this.detectedDomains.flush();
+    await browser.storage.local.remove('detectedDomains');
+    logger.log('info', `Moved ${imported} detected domains to database`);
+  }
+
+  // A save already running captured the state from before this call, so another one is
+  // queued behind it; requests made meanwhile share that queued save. Resolves once the
+  // state as of the call has been written and rejects if it could not be.
+  saveData() {
     if (this.pendingSave) {
-      logger.log('debug', 'Save already pending, skipping');
-      return;
+      if (!this.queuedSave) {
+        this.queuedSave = this.pendingSave.catch(() => {}).then(() => {
+          this.queuedSave = null;
+          return this.saveData();
+        });
+      }
+      return this.queuedSave;
     }
     
+    this.pendingSave = this.writeData().finally(() => {
+      this.pendingSave = null;
+    });
+    return this.pendingSave;
+  }
+  
+  async writeData() {
     try {
-      this.pendingSave = true;
+      // Domain records are written one by one, apart from the settings and statistics blob
+      try {
+        await this.detectedDomains.flush();
+      } catch (error) {
+        logger.log('error', 'Failed to save detected domains', error, {
+          pendingChanges: this.detectedDomains.pendingChanges
+        });
+      }
+      
+      try {
+        await this.timeSeries.flush();
+      } catch (error) {
+        logger.log('error', 'Failed to save time series', error);
+      }
       
       const dataToSave = {
-        detectedDomains: Object.fromEntries(this.detectedDomains),
         settings: this.settings,
+        allowlist: this.allowlist.toJSON(),
+        respawn: this.respawnDetector.toJSON(),
         statistics: {
-          blockedToday: this.blockedToday,
-          cookiesDeleted: this.cookiesDeleted,
+          ...this.statistics.toJSON(),
+          cookieSweep: this.cookieSweeper.getStats(),
+          containers: this.containerStats,
           lastUpdated: Date.now()
         }
       };
@@ -447,7 +598,6 @@ class NixxerCore {
       
     } catch (error) {
       logger.log('error', 'Failed to save data', error, {
-        detectedDomainsSize: this.detectedDomains.size,
         settingsKeys: Object.keys(this.settings)
       });
       
@@ -455,8 +605,7 @@ class NixxerCore {
       try {
         await browser.storage.local.set({
           statistics: {
-            blockedToday: this.blockedToday,
-            cookiesDeleted: this.cookiesDeleted,
+            ...this.statistics.toJSON(),
             lastUpdated: Date.now()
           }
         });
@@ -465,228 +614,1308 @@ class NixxerCore {
         logger.log('error', 'Failed to save even critical data', criticalError);
       }
       
-    } finally {
-      this.pendingSave = false;
+      throw error;
     }
   }
 
-  isKnownTrackingDomain(hostname) {
+  // Returns { rule, reason, trackerId } describing why a request matched the tracker registry
+  matchTrackingRequest(hostname, url) {
     try {
-      if (typeof hostname !== 'string') {
-        return false;
-      }
-      
-      const cleanHostname = hostname.toLowerCase().trim();
-      
-      if (KNOWN_TRACKING_DOMAINS.has(cleanHostname)) {
-        return true;
-      }
-      
-      for (const suffix of TRACKING_DOMAIN_SUFFIXES) {
-        if (cleanHostname.endsWith(suffix)) {
-          return true;
-        }
+      const domainMatch = trackerRegistry.matchHostname(hostname);
+      if (domainMatch) {
+        return {
+          rule: domainMatch.domain,
+          reason: `Known ${domainMatch.tracker.vendor} tracking domain`,
+          trackerId: domainMatch.tracker.id
+        };
       }
       
-      for (const domain of KNOWN_TRACKING_DOMAINS) {
-        if (cleanHostname.endsWith('.' + domain)) {
-          return true;
-        }
+      const requestMatch = trackerRegistry.matchRequest(url);
+      if (requestMatch) {
+        return {
+          rule: requestMatch.pattern,
+          reason: `Matches ${requestMatch.tracker.vendor} request pattern`,
+          trackerId: requestMatch.tracker.id
+        };
       }
       
-      return false;
+      return null;
       
     } catch (error) {
-      logger.log('warn', 'Error checking tracking domain', error, { hostname });
-      return false;
+      logger.log('warn', 'Error matching tracking request', error, { url });
+      return null;
     }
   }
 
-  async setupRequestBlocking() {
+  applyUrlCleanerSettings() {
     try {
-      if (!browser.webRequest) {
-        throw new Error('WebRequest API not available');
-      }
-      
-      browser.webRequest.onBeforeRequest.addListener(
-        (details) => {
-          try {
-            if (!this.isEnabled) return {};
-            
-            const now = Date.now();
-            if (this.recentRequests.has(details.url)) {
-              const lastSeen = this.recentRequests.get(details.url);
-              if (now - lastSeen < 1000) {
-                return {};
-              }
-            }
-            this.recentRequests.set(details.url, now);
-            this.cleanupRecentRequests();
-            
-            const startTime = performance.now();
-            
-            try {
-              const url = new URL(details.url);
-              const hostname = url.hostname;
-              
-              if (!this.isKnownTrackingDomain(hostname) && !this.isTrackingRequest(details.url)) {
-                this.updatePerformanceStats(startTime, false);
-                return {};
-              }
-              
-              // Get the website domain from the tab information
-              let websiteDomain = hostname; // fallback
-              if (details.tabId && details.tabId !== -1) {
-                try {
-                  // Get tab info to determine the actual website
-                  browser.tabs.get(details.tabId).then(tab => {
-                    if (tab && tab.url) {
-                      try {
-                        const tabUrl = new URL(tab.url);
-                        const tabHostname = tabUrl.hostname;
-                        
-                        // If the tracking domain is different from the tab domain, 
-                        // then the tab domain is the website domain
-                        if (hostname !== tabHostname) {
-                          this.handleTrackerDetection(hostname, 'request', details.url, tabHostname);
-                        }
-                      } catch (tabUrlError) {
-                        logger.log('warn', 'Error parsing tab URL', tabUrlError);
-                      }
-                    }
-                  }).catch(tabError => {
-                    logger.log('warn', 'Error getting tab info', tabError);
-                  });
-                } catch (error) {
-                  logger.log('warn', 'Error accessing tab info', error);
-                }
-              }
-              
-              const blockingInfo = this.determineBlockingTarget(hostname, 'request', details.url);
-              
-              if (blockingInfo.shouldBlock) {
-                this.blockedToday++;
-                
-                logger.log('debug', 'Blocked tracking request', null, { 
-                  url: details.url,
-                  websiteDomain: websiteDomain 
-                });
-                
-                this.updatePerformanceStats(startTime, true);
-                return { cancel: true };
-              }
-              
-              this.updatePerformanceStats(startTime, false);
-              
-            } catch (error) {
-              logger.log('warn', 'Error processing request', error, { 
-                url: details.url,
-                type: details.type 
-              });
-              this.updatePerformanceStats(startTime, false);
-            }
-            
-            return {};
-            
-          } catch (error) {
-            logger.log('error', 'Critical error in request blocking', error);
-            return {};
-          }
-        },
-        { urls: ['<all_urls>'] },
-        ['blocking']
-      );
-      
-      logger.log('info', 'Request blocking setup successfully');
-      
+      this.urlCleaner.configure({
+        categories: this.settings.stripParamCategories,
+        exceptions: this.settings.stripParamExceptions
+      });
     } catch (error) {
-      logger.log('error', 'Failed to setup request blocking', error);
-      throw error;
+      logger.log('warn', 'Failed to apply URL cleaning settings', error);
     }
   }
 
-  updatePerformanceStats(startTime, blocked) {
+  applyCookiePolicySettings() {
     try {
-      const processingTime = performance.now() - startTime;
-      this.performanceStats.requestsProcessed++;
-      if (blocked) {
-        this.performanceStats.requestsBlocked++;
-      }
-      
-      this.performanceStats.avgProcessingTime = 
-        (this.performanceStats.avgProcessingTime * (this.performanceStats.requestsProcessed - 1) + processingTime) / 
-        this.performanceStats.requestsProcessed;
-        
+      this.cookiePolicy.configure({
+        categoryPolicies: this.settings.cookieCategoryPolicies,
+        sitePolicies: this.settings.cookieSitePolicies
+      });
     } catch (error) {
-      logger.log('warn', 'Error updating performance stats', error);
+      logger.log('warn', 'Failed to apply cookie policy settings', error);
     }
   }
 
-  schedulePerformanceReporting() {
+  applyFingerprintSettings() {
     try {
-      setInterval(() => {
-        try {
-          if (this.settings.debugLogging && this.performanceStats.requestsProcessed > 0) {
-            logger.log('info', 'Performance Stats', null, {
-              requestsProcessed: this.performanceStats.requestsProcessed,
-              requestsBlocked: this.performanceStats.requestsBlocked,
-              blockingRate: (this.performanceStats.requestsBlocked / this.performanceStats.requestsProcessed * 100).toFixed(2) + '%',
-              avgProcessingTime: this.performanceStats.avgProcessingTime.toFixed(3) + 'ms'
-            });
-          }
-        } catch (error) {
-          logger.log('warn', 'Error in performance reporting', error);
-        }
-      }, 60000);
+      this.fingerprintPolicy.configure({
+        defaultMode: this.settings.fingerprintMode,
+        siteModes: this.settings.fingerprintSiteModes
+      });
     } catch (error) {
-      logger.log('warn', 'Failed to schedule performance reporting', error);
+      logger.log('warn', 'Failed to apply fingerprinting settings', error);
     }
   }
 
-  async setupCookieMonitoring() {
+  // A null mode removes the site's override so it follows the default again
+  async setFingerprintMode(domain, mode) {
+    const cleanDomain = SiteAllowlist.normalizeDomain(domain);
+    
+    if (mode !== null && !FingerprintPolicy.isValidMode(mode)) {
+      throw new Error(`Invalid fingerprinting mode: ${mode}`);
+    }
+    
+    const siteModes = Object.assign({}, this.settings.fingerprintSiteModes);
+    if (mode === null) {
+      delete siteModes[cleanDomain];
+    } else {
+      siteModes[cleanDomain] = mode;
+    }
+    
+    this.settings.fingerprintSiteModes = siteModes;
+    this.applyFingerprintSettings();
+    await this.saveData();
+    
+    return siteModes;
+  }
+
+  // Redirect target for a frame navigation carrying tracking parameters, or null
+  cleanNavigationUrl(details, siteHostname) {
     try {
-      if (!browser.cookies) {
-        throw new Error('Cookies API not available');
+      if (!this.getEffectiveSettings(details.cookieStoreId).stripTrackingParams) return null;
+      if (details.type !== 'main_frame' && details.type !== 'sub_frame') return null;
+      
+      // Redirecting a form submission would drop its body
+      if (details.method && details.method !== 'GET') return null;
+      
+      const hostname = new URL(details.url).hostname;
+      if (this.urlCleaner.isException(hostname) || this.urlCleaner.isException(siteHostname)) {
+        return null;
       }
       
-      browser.cookies.onChanged.addListener((changeInfo) => {
+      const cleaned = this.urlCleaner.clean(details.url);
+      if (!cleaned) return null;
+      
+      this.statistics.increment('paramsStripped', cleaned.removed.length);
+      this.debouncedSave();
+      
+      this.recordDetectionEvent({
+        tabId: details.tabId,
+        siteHostname: siteHostname || hostname,
+        domain: hostname,
+        method: 'url-params',
+        action: 'stripped',
+        rule: cleaned.removed.map(param => param.name).join(', '),
+        cookieStoreId: details.cookieStoreId
+      });
+      
+      logger.log('debug', 'Stripped tracking parameters', null, {
+        params: cleaned.removed.map(param => param.name),
+        type: details.type
+      });
+      
+      return cleaned.url;
+      
+    } catch (error) {
+      logger.log('warn', 'Error cleaning navigation URL', error, { url: details.url });
+      return null;
+    }
+  }
+
+  async loadFilterLists() {
+    try {
+      await this.filterLists.load();
+      this.filterLists.setUpdateInterval(this.settings.filterListUpdateHours);
+    } catch (error) {
+      logger.log('error', 'Failed to load filter lists', error);
+    }
+  }
+
+  scheduleFilterListRefresh() {
+    try {
+      setInterval(() => {
+        this.filterLists.refreshStale().catch(error => {
+          logger.log('warn', 'Error refreshing filter lists', error);
+        });
+      }, 30 * 60 * 1000);
+      
+      // Initial check shortly after startup
+      setTimeout(() => {
+        this.filterLists.refreshStale().catch(error => {
+          logger.log('warn', 'Error in initial filter list refresh', error);
+        });
+      }, 60000);
+      
+    } catch (error) {
+      logger.log('warn', 'Failed to schedule filter list refresh', error);
+    }
+  }
+
+  // URL of the top-level page a request belongs to, resolved synchronously from the request
+  // itself so attribution never races navigation. Order of preference:
+  //   main_frame     - the request URL
+  //   top frame      - documentUrl
+  //   nested frames  - the outermost frameAncestors entry
+  //   other          - the webNavigation tab cache, then documentUrl / originUrl
+  //                    (service worker and other tab-less requests)
+  getRequestTopLevelUrl(details) {
+    if (details.type === 'main_frame') {
+      return details.url;
+    }
+    
+    if (details.frameId === 0 && details.documentUrl) {
+      return details.documentUrl;
+    }
+    
+    if (Array.isArray(details.frameAncestors) && details.frameAncestors.length > 0) {
+      const top = details.frameAncestors[details.frameAncestors.length - 1];
+      if (top && top.url) {
+        return top.url;
+      }
+    }
+    
+    if (TabActivityLog.isTrackableTab(details.tabId) && this.tabTopUrls.has(details.tabId)) {
+      return this.tabTopUrls.get(details.tabId);
+    }
+    
+    return details.documentUrl || details.originUrl || null;
+  }
+
+  // Hostname of the website a request was made on (the request itself for top-level loads)
+  getRequestSiteHostname(details) {
+    try {
+      const siteUrl = this.getRequestTopLevelUrl(details);
+      if (!siteUrl) {
+        return null;
+      }
+      
+      const hostname = new URL(siteUrl).hostname;
+      return hostname || null;
+      
+    } catch (error) {
+      return null;
+    }
+  }
+
+  setTabTopUrl(tabId, url) {
+    if (!TabActivityLog.isTrackableTab(tabId) || typeof url !== 'string') return;
+    
+    // Internal pages have no website to attribute to
+    if (/^(https?|ftp|file):/.test(url)) {
+      this.tabTopUrls.set(tabId, url);
+    } else {
+      this.tabTopUrls.delete(tabId);
+    }
+  }
+
+  // Sites in a container whose profile turns protection off count as allowlisted
+  isSiteAllowlisted(hostname, cookieStoreId = null) {
+    try {
+      return this.containerPolicy.isDisabled(cookieStoreId) || this.allowlist.isAllowed(hostname, cookieStoreId);
+    } catch (error) {
+      logger.log('warn', 'Error checking allowlist', error, { hostname });
+      return false;
+    }
+  }
+
+  // Partitioned cookies carry their top-level site; otherwise fall back to the cookie's own domain
+  isCookieAllowlisted(cookie) {
+    try {
+      const topLevelSite = cookie.partitionKey && cookie.partitionKey.topLevelSite;
+      if (topLevelSite) {
+        return this.isSiteAllowlisted(new URL(topLevelSite).hostname, cookie.storeId);
+      }
+      
+      return this.isSiteAllowlisted((cookie.domain || '').replace(/^\./, ''), cookie.storeId);
+      
+    } catch (error) {
+      logger.log('warn', 'Error checking cookie allowlist', error, { domain: cookie?.domain });
+      return false;
+    }
+  }
+
+  // Pushes the current settings into the modules that keep their own copy
+  applySettings() {
+    this.filterLists.setUpdateInterval(this.settings.filterListUpdateHours);
+    this.applyUrlCleanerSettings();
+    this.applyFingerprintSettings();
+    this.applyCookiePolicySettings();
+    this.containerPolicy.configure(this.settings.containerProfiles);
+    this.statistics.setHistoryDays(this.settings.statisticsHistoryDays);
+    this.settingsSync.setEnabled(this.settings.syncEnabled);
+  }
+
+  // What sync.js shares for each key in SYNC_KEYS; whether sync is on stays per device
+  async getSyncValue(key) {
+    switch (key) {
+      case 'settings': {
+        const settings = { ...this.settings };
+        NIXXER_LOCAL_SETTINGS.forEach(name => delete settings[name]);
+        return settings;
+      }
+      case 'allowlist':
+        return this.allowlist.getSharedEntries();
+      case 'filterLists':
+        return this.filterLists.getSubscriptions();
+      case 'customRules':
+        return this.filterLists.getFileLists();
+      default:
+        throw new Error(`Unknown sync key: ${key}`);
+    }
+  }
+
+  // Applies a value another device synced; deliberately does not mark the key changed here
+  async applySyncedValue(key, value) {
+    switch (key) {
+      case 'settings': {
+        const validatedSettings = validateSettings({ ...value });
+        NIXXER_LOCAL_SETTINGS.forEach(name => delete validatedSettings[name]);
+        this.settings = Object.assign(this.settings, validatedSettings);
+        this.applySettings();
+        await this.saveData();
+        this.broadcastUpdate('settings');
+        break;
+      }
+      case 'allowlist':
+        this.allowlist.replaceSharedEntries(value);
+        await this.saveData();
+        this.broadcastUpdate('allowlist');
+        break;
+      case 'filterLists': {
+        const added = await this.filterLists.applySubscriptions(value);
+        this.broadcastUpdate('filterLists');
+        if (added.length > 0) {
+          this.filterLists.refreshStale()
+            .then(() => this.broadcastUpdate('filterLists'))
+            .catch(error => logger.log('warn', 'Error downloading synced filter lists', error));
+        }
+        break;
+      }
+      case 'customRules':
+        await this.filterLists.applyFileLists(value);
+        this.broadcastUpdate('filterLists');
+        break;
+      default:
+        throw new Error(`Unknown sync key: ${key}`);
+    }
+    
+    logger.log('info', 'Applied synced data', null, { key });
+  }
+
+  // Replaces settings, detected domains and statistics with a backup made by the options page.
+  // Older backups are upgraded by the same migrations as stored data (migrations.js).
+  async importData(backup) {
+    if (!backup || typeof backup !== 'object' || !backup.settings || !Array.isArray(backup.domains)) {
+      throw new Error('Backup must contain settings and a domains array');
+    }
+    
+    const fromVersion = DataMigrator.getVersion(backup);
+    if (fromVersion > STORAGE_SCHEMA_VERSION) {
+      throw new Error('Backup was made by a newer version of Nixxer');
+    }
+    
+    const detectedDomains = {};
+    for (const entry of backup.domains) {
+      if (entry && typeof entry.domain === 'string' && entry.domain.length > 0 && entry.domain.length < 254) {
+        const { domain, ...data } = entry;
+        detectedDomains[domain] = data;
+      }
+    }
+    
+    const { data } = DataMigrator.migrate({
+      settings: backup.settings,
+      statistics: backup.statistics,
+      detectedDomains
+    }, fromVersion);
+    
+    // Validate before touching anything, so a bad backup leaves the current data in place
+    const settings = validateSettings({ ...data.settings });
+    
+    await this.detectedDomains.reset();
+    for (const [domain, record] of Object.entries(data.detectedDomains || {})) {
+      this.detectedDomains.set(domain, record);
+    }
+    
+    this.settings = Object.assign(NixxerCore.getDefaultSettings(), settings, { syncEnabled: this.settings.syncEnabled });
+    this.applySettings();
+    this.settingsSync.markFieldsChanged('settings', Object.keys(await this.getSyncValue('settings')));
+    
+    this.statistics.reset();
+    if (data.statistics && typeof data.statistics === 'object') {
+      this.statistics.load(data.statistics);
+    }
+    
+    await this.saveData();
+    this.broadcastUpdate('all');
+    logger.log('info', 'Imported backup', null, { domains: this.detectedDomains.size, fromVersion });
+    
+    return { domains: this.detectedDomains.size };
+  }
+
+  // Everything the options page's "Clear All Data" promises: storage.local and the database
+  async clearAllData() {
+    // A save still running would write the old state back after the clear
+    if (this.pendingSave) {
+      await this.pendingSave.catch(() => {});
+    }
+    await withTimeout(withRetry(() => browser.storage.local.clear()), 10000);
+    
+    this.settings = NixxerCore.getDefaultSettings();
+    this.applySettings();
+    this.statistics.reset();
+    this.containerStats = {};
+    this.timeSeries.clear();
+    this.allowlist.load([]);
+    this.respawnDetector.load({});
+    await this.filterLists.load();
+    await this.settingsSync.reset();
+    
+    try {
+      await this.detectedDomains.reset();
+    } catch (error) {
+      logger.log('warn', 'Failed to clear detected domains database', error);
+      this.detectedDomains.clear();
+    }
+    
+    try {
+      await this.eventLog.clear();
+    } catch (error) {
+      logger.log('warn', 'Failed to clear event log', error);
+    }
+    
+    // Writes the empty state back, including the schema version cleared above
+    await browser.storage.local.set({ schemaVersion: STORAGE_SCHEMA_VERSION });
+    await this.saveData();
+    this.broadcastUpdate('all');
+    logger.log('info', 'All data cleared');
+  }
+
+  async deleteDetectedDomain(domain) {
+    if (typeof domain !== 'string' || !this.detectedDomains.has(domain)) {
+      return false;
+    }
+    
+    this.detectedDomains.delete(domain);
+    await this.detectedDomains.flush();
+    this.broadcastUpdate('domains');
+    return true;
+  }
+
+  async addToAllowlist(domain, duration, tabId, cookieStoreId = null) {
+    const entry = this.allowlist.add(domain, duration, tabId, ContainerPolicy.isContainer(cookieStoreId) ? cookieStoreId : null);
+    await this.saveData();
+    logger.log('info', 'Site added to allowlist', null, { domain: entry.domain, type: entry.type });
+    return entry;
+  }
+
+  async removeFromAllowlist(domain, cookieStoreId = null) {
+    const removed = this.allowlist.remove(domain, cookieStoreId);
+    if (removed) {
+      await this.saveData();
+      logger.log('info', 'Site removed from allowlist', null, { domain });
+    }
+    return removed;
+  }
+
+  getEffectiveSettings(cookieStoreId) {
+    return this.containerPolicy.getSettings(this.settings, cookieStoreId);
+  }
+
+  recordContainerStat(cookieStoreId, key) {
+    if (!ContainerPolicy.isContainer(cookieStoreId)) return;
+    
+    const stats = this.containerStats[cookieStoreId] || (this.containerStats[cookieStoreId] = { blocked: 0, cookiesDeleted: 0 });
+    stats[key] = (stats[key] || 0) + 1;
+  }
+
+  getSiteStatus(url, cookieStoreId = null) {
+    let hostname = null;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      hostname = null;
+    }
+    
+    const entry = hostname ? this.allowlist.getEntry(hostname, cookieStoreId) : null;
+    const containerDisabled = this.containerPolicy.isDisabled(cookieStoreId);
+    const fingerprintOverride = hostname ? this.fingerprintPolicy.getOverride(hostname) : null;
+    const site = hostname ? publicSuffixList.getRegistrableDomain(hostname) || hostname : null;
+    
+    return {
+      enabled: this.isEnabled,
+      hostname,
+      site,
+      allowlisted: entry !== null || containerDisabled,
+      entry,
+      cookieStoreId,
+      containerProfile: this.containerPolicy.getProfile(cookieStoreId),
+      fingerprintMode: fingerprintOverride ? fingerprintOverride.mode : this.fingerprintPolicy.defaultMode,
+      fingerprintOverride,
+      fingerprintDefaultMode: this.fingerprintPolicy.defaultMode,
+      deleteZombieCookies: this.getEffectiveSettings(cookieStoreId).deleteZombieCookies,
+      respawning: site ? this.respawnDetector.getSite(site) : null
+    };
+  }
+
+  isThirdPartyHost(hostname, pageHostname) {
+    if (!hostname || !pageHostname) {
+      return false;
+    }
+    
+    return !publicSuffixList.isSameSite(hostname, pageHostname);
+  }
+
+  matchFilterLists(details, hostname) {
+    try {
+      if (details.type === 'main_frame') {
+        return null;
+      }
+      
+      let pageHostname = null;
+      const pageUrl = details.documentUrl || details.originUrl;
+      if (pageUrl) {
+        try {
+          pageHostname = new URL(pageUrl).hostname;
+        } catch (urlError) {
+          pageHostname = null;
+        }
+      }
+      
+      const rule = this.filterLists.match({
+        url: details.url,
+        hostname,
+        type: details.type,
+        thirdParty: this.isThirdPartyHost(hostname, pageHostname),
+        pageHostname
+      });
+      
+      return rule ? { rule, pageHostname } : null;
+      
+    } catch (error) {
+      logger.log('warn', 'Error matching filter lists', error, { url: details.url });
+      return null;
+    }
+  }
+
+  async setupRequestBlocking() {
+    try {
+      if (!browser.webRequest) {
+        throw new Error('WebRequest API not available');
+      }
+      
+      browser.webRequest.onBeforeRequest.addListener(
+        (details) => {
+          try {
+            if (!this.isEnabled) return {};
+            
+            if (details.type === 'main_frame') {
+              this.resetTabActivity(details.tabId, details.url);
+              this.bounceTracker.startNavigation(details.tabId, details.url);
+              if (details.method === 'POST') {
+                this.bounceTracker.recordInteraction(details.url);
+              }
+              if (TabActivityLog.isTrackableTab(details.tabId) && details.cookieStoreId) {
+                this.tabCookieStores.set(details.tabId, details.cookieStoreId);
+              }
+            }
+            
+            if (this.containerPolicy.isDisabled(details.cookieStoreId)) return {};
+            
+            const siteHostname = this.getRequestSiteHostname(details);
+            const siteAllowlisted = this.isSiteAllowlisted(siteHostname, details.cookieStoreId);
+            
+            // URL cleaning runs ahead of deduplication so a quick reload is still cleaned
+            if (!siteAllowlisted) {
+              const bounceDestination = this.getBounceSkipUrl(details);
+              if (bounceDestination) {
+                return { redirectUrl: bounceDestination };
+              }
+              
+              const redirectUrl = this.cleanNavigationUrl(details, siteHostname);
+              if (redirectUrl) {
+                return { redirectUrl };
+              }
+            }
+            
+            const now = Date.now();
+            if (this.recentRequests.has(details.url)) {
+              const lastSeen = this.recentRequests.get(details.url);
+              if (now - lastSeen < 1000) {
+                return {};
+              }
+            }
+            this.recentRequests.set(details.url, now);
+            this.cleanupRecentRequests();
+            
+            const startTime = performance.now();
+            
+            try {
+              const url = new URL(details.url);
+              const hostname = url.hostname;
+              
+              const trackerMatch = this.matchTrackingRequest(hostname, details.url);
+              
+              if (!trackerMatch) {
+                const filterMatch = this.matchFilterLists(details, hostname);
+                
+                if (filterMatch && siteAllowlisted) {
+                  this.recordTabActivity(details, hostname, false, filterMatch.rule.text, 'Site is allowlisted', 'filter-list');
+                  this.updatePerformanceStats(startTime, false);
+                  return {};
+                }
+                
+                if (filterMatch) {
+                  this.statistics.increment('requestsBlocked');
+                  this.recordContainerStat(details.cookieStoreId, 'blocked');
+                  const surrogate = this.matchSurrogate(details);
+                  const listReason = `Filter list: ${this.filterLists.getListTitle(filterMatch.rule.listId)}`;
+                  this.recordTabActivity(details, hostname, true, filterMatch.rule.text,
+                    surrogate ? this.getSurrogateReason(listReason, surrogate) : listReason,
+                    surrogate ? 'surrogate' : 'filter-list');
+                  
+                  // Only host-anchored third-party rules are safe to add to exported blocklists
+                  if (filterMatch.rule.hostAnchor && this.isThirdPartyHost(hostname, filterMatch.pageHostname)) {
+                    this.handleTrackerDetection(hostname, surrogate ? 'surrogate' : 'filter-list', details.url,
+                      siteHostname || filterMatch.pageHostname, details.cookieStoreId);
+                  }
+                  
+                  logger.log('debug', 'Blocked request by filter list', null, {
+                    url: details.url,
+                    rule: filterMatch.rule.text,
+                    surrogate: surrogate ? surrogate.id : null
+                  });
+                  
+                  this.updatePerformanceStats(startTime, true);
+                  return surrogate ? { redirectUrl: this.surrogates.getResourceUrl(surrogate) } : { cancel: true };
+                }
+                
+                if (this.shouldUncloakHost(details, hostname, siteHostname, siteAllowlisted)) {
+                  return this.uncloakRequest(details, hostname, siteHostname, startTime);
+                }
+                
+                this.updatePerformanceStats(startTime, false);
+                return {};
+              }
+              
+              if (siteAllowlisted) {
+                this.recordTabActivity(details, hostname, false, trackerMatch.rule, 'Site is allowlisted');
+                this.updatePerformanceStats(startTime, false);
+                return {};
+              }
+              
+              // Attribute to the website the request was made on, resolved before we answer
+              const websiteDomain = siteHostname || hostname; // fallback
+              
+              const blockingInfo = this.determineBlockingTarget(hostname, 'request', details.url, details.cookieStoreId);
+              const respawnEscalated = !blockingInfo.shouldBlock && this.isRespawningSite(siteHostname);
+              if (respawnEscalated) {
+                blockingInfo.shouldBlock = true;
+              }
+              const surrogate = blockingInfo.shouldBlock ? this.matchSurrogate(details) : null;
+              
+              // Only a tracker on a different site than the page is recorded for export
+              if (siteHostname && this.isThirdPartyHost(hostname, siteHostname)) {
+                this.handleTrackerDetection(hostname, surrogate ? 'surrogate' : 'request', details.url, siteHostname,
+                  details.cookieStoreId);
+              }
+              
+              if (blockingInfo.shouldBlock) {
+                this.statistics.increment('requestsBlocked');
+                this.recordContainerStat(details.cookieStoreId, 'blocked');
+                const reason = respawnEscalated ? `${trackerMatch.reason} (site respawns deleted tracker IDs)` : trackerMatch.reason;
+                this.recordTabActivity(details, hostname, true, trackerMatch.rule,
+                  surrogate ? this.getSurrogateReason(reason, surrogate) : reason, surrogate ? 'surrogate' : 'request');
+                
+                logger.log('debug', 'Blocked tracking request', null, { 
+                  url: details.url,
+                  websiteDomain: websiteDomain,
+                  surrogate: surrogate ? surrogate.id : null
+                });
+                
+                this.updatePerformanceStats(startTime, true);
+                return surrogate ? { redirectUrl: this.surrogates.getResourceUrl(surrogate) } : { cancel: true };
+              }
+              
+              this.recordTabActivity(details, hostname, false, trackerMatch.rule, 'Not blocked at the current detection sensitivity');
+              this.updatePerformanceStats(startTime, false);
+              
+            } catch (error) {
+              logger.log('warn', 'Error processing request', error, { 
+                url: details.url,
+                type: details.type 
+              });
+              this.updatePerformanceStats(startTime, false);
+            }
+            
+            return {};
+            
+          } catch (error) {
+            logger.log('error', 'Critical error in request blocking', error);
+            return {};
+          }
+        },
+        { urls: ['<all_urls>'] },
+        ['blocking']
+      );
+      
+      logger.log('info', 'Request blocking setup successfully');
+      
+    } catch (error) {
+      logger.log('error', 'Failed to setup request blocking', error);
+      throw error;
+    }
+  }
+
+  // Blocked scripts with a bundled stand-in are redirected to it instead of cancelled
+  matchSurrogate(details) {
+    try {
+      if (!this.settings.useSurrogates) return null;
+      return this.surrogates.match(details.url, details.type);
+    } catch (error) {
+      logger.log('warn', 'Error matching surrogate script', error, { url: details.url });
+      return null;
+    }
+  }
+
+  getSurrogateReason(reason, surrogate) {
+    return `${reason} (replaced with ${surrogate.name} surrogate)`;
+  }
+
+  // Only first-party subdomains are checked: third-party hosts are already matched by name
+  shouldUncloakHost(details, hostname, siteHostname, siteAllowlisted) {
+    if (!this.cnameResolver || !this.settings.cnameUncloaking || siteAllowlisted) return false;
+    if (details.type === 'main_frame' || !siteHostname) return false;
+    if (PublicSuffixList.isIPAddress(hostname) || this.isThirdPartyHost(hostname, siteHostname)) return false;
+    
+    return hostname !== publicSuffixList.getRegistrableDomain(hostname);
+  }
+
+  // Answers from the cache when possible; otherwise Firefox holds the request until the lookup settles
+  uncloakRequest(details, hostname, siteHostname, startTime) {
+    const cached = this.cnameResolver.getCached(hostname);
+    if (cached !== undefined) {
+      return this.applyCnameResult(details, hostname, siteHostname, cached, startTime);
+    }
+    
+    return this.cnameResolver.resolve(hostname)
+      .then(canonicalName => this.applyCnameResult(details, hostname, siteHostname, canonicalName, startTime))
+      .catch(error => {
+        logger.log('warn', 'Error uncloaking request', error, { url: details.url });
+        return {};
+      });
+  }
+
+  applyCnameResult(details, hostname, siteHostname, canonicalName, startTime) {
+    // An alias into the site's own infrastructure (e.g. a tracker vendor's own pages) is not cloaking
+    const match = canonicalName && !publicSuffixList.isSameSite(canonicalName, siteHostname)
+      ? trackerRegistry.matchHostname(canonicalName)
+      : null;
+    
+    if (!match || !this.isEnabled) {
+      this.updatePerformanceStats(startTime, false);
+      return {};
+    }
+    
+    this.statistics.increment('requestsBlocked');
+    this.recordContainerStat(details.cookieStoreId, 'blocked');
+    this.recordTabActivity(details, hostname, true, canonicalName, `CNAME alias of ${match.tracker.vendor} (${match.domain})`, 'cname');
+    this.recordCnameDetection(hostname, canonicalName, match.tracker.id, details.url, siteHostname, details.cookieStoreId);
+    
+    logger.log('debug', 'Blocked CNAME-cloaked tracker', null, {
+      url: details.url,
+      canonicalName
+    });
+    
+    this.updatePerformanceStats(startTime, true);
+    return { cancel: true };
+  }
+
+  recordCnameDetection(hostname, canonicalName, trackerId, url, siteHostname, cookieStoreId) {
+    try {
+      // handleTrackerDetection has no await before the entry is written, so it exists on return
+      this.handleTrackerDetection(hostname, 'cname', url, siteHostname, cookieStoreId);
+      
+      const entry = this.detectedDomains.get(PublicSuffixList.normalizeHostname(hostname));
+      if (entry) {
+        entry.cnameTarget = canonicalName;
+        entry.trackerId = trackerId;
+        this.detectedDomains.touch(PublicSuffixList.normalizeHostname(hostname));
+      }
+    } catch (error) {
+      logger.log('warn', 'Error recording CNAME detection', error, { hostname, canonicalName });
+    }
+  }
+
+  setupHeaderProtection() {
+    try {
+      if (!browser.webRequest.onBeforeSendHeaders || !browser.webRequest.onHeadersReceived) {
+        throw new Error('WebRequest header events not available');
+      }
+      
+      browser.webRequest.onBeforeSendHeaders.addListener(
+        (details) => this.handleRequestHeaders(details),
+        { urls: ['<all_urls>'] },
+        ['blocking', 'requestHeaders']
+      );
+      
+      browser.webRequest.onHeadersReceived.addListener(
+        (details) => this.handleResponseHeaders(details),
+        { urls: ['<all_urls>'] },
+        ['blocking', 'responseHeaders']
+      );
+      
+      logger.log('info', 'Header protection setup successfully');
+      
+    } catch (error) {
+      logger.log('error', 'Failed to setup header protection', error);
+    }
+  }
+
+  // Tracker requests that were not cancelled (allowed by sensitivity, deduplicated
+  // repeats, embedded widgets) still reach the network; returns null when headers stay as-is
+  getHeaderProtectionContext(details) {
+    if (!this.isEnabled || !this.getEffectiveSettings(details.cookieStoreId).headerProtection) return null;
+    
+    // Visiting a tracker's own site directly is a first-party visit
+    if (details.type === 'main_frame') return null;
+    
+    const hostname = new URL(details.url).hostname;
+    if (!trackerRegistry.matchHostname(hostname)) return null;
+    
+    const siteHostname = this.getRequestSiteHostname(details);
+    if (this.isSiteAllowlisted(siteHostname, details.cookieStoreId)) return null;
+    
+    return { hostname, siteHostname, tabId: details.tabId, cookieStoreId: details.cookieStoreId };
+  }
+
+  handleRequestHeaders(details) {
+    try {
+      const context = this.getHeaderProtectionContext(details);
+      if (!context) return {};
+      
+      const result = HeaderProtection.rewriteRequestHeaders(details.requestHeaders, {
+        trimReferer: this.isThirdPartyHost(context.hostname, context.siteHostname)
+      });
+      
+      if (result.actions.length === 0) return {};
+      
+      this.recordHeaderActions(context, result.actions, details.url);
+      return { requestHeaders: result.headers };
+      
+    } catch (error) {
+      logger.log('warn', 'Error rewriting request headers', error, { url: details.url });
+      return {};
+    }
+  }
+
+  handleResponseHeaders(details) {
+    try {
+      const context = this.getHeaderProtectionContext(details);
+      if (!context) return {};
+      
+      const result = HeaderProtection.rewriteResponseHeaders(details.responseHeaders);
+      
+      if (result.actions.length === 0) return {};
+      
+      this.recordHeaderActions(context, result.actions, details.url);
+      return { responseHeaders: result.headers };
+      
+    } catch (error) {
+      logger.log('warn', 'Error rewriting response headers', error, { url: details.url });
+      return {};
+    }
+  }
+
+  recordHeaderActions(context, actions, url) {
+    for (const action of actions) {
+      this.handleTrackerDetection(context.hostname, action, url, context.siteHostname, context.cookieStoreId);
+      this.recordDetectionEvent({
+        tabId: context.tabId,
+        siteHostname: context.siteHostname,
+        domain: context.hostname,
+        method: action,
+        action: 'stripped',
+        cookieStoreId: context.cookieStoreId
+      });
+    }
+    
+    // A tracker using ETags on this site is a candidate source for respawned IDs
+    if (actions.includes(HEADER_ACTIONS.ETAG) && context.siteHostname) {
+      this.respawnDetector.recordEtag(publicSuffixList.getRegistrableDomain(context.siteHostname) || context.siteHostname);
+    }
+    
+    logger.log('debug', 'Rewrote tracker headers', null, { url, actions });
+  }
+
+  updatePerformanceStats(startTime, blocked) {
+    try {
+      const processingTime = performance.now() - startTime;
+      this.performanceStats.requestsProcessed++;
+      if (blocked) {
+        this.performanceStats.requestsBlocked++;
+      }
+      
+      this.performanceStats.avgProcessingTime = 
+        (this.performanceStats.avgProcessingTime * (this.performanceStats.requestsProcessed - 1) + processingTime) / 
+        this.performanceStats.requestsProcessed;
+        
+    } catch (error) {
+      logger.log('warn', 'Error updating performance stats', error);
+    }
+  }
+
+  schedulePerformanceReporting() {
+    try {
+      setInterval(() => {
+        try {
+          if (this.settings.debugLogging && this.performanceStats.requestsProcessed > 0) {
+            logger.log('info', 'Performance Stats', null, {
+              requestsProcessed: this.performanceStats.requestsProcessed,
+              requestsBlocked: this.performanceStats.requestsBlocked,
+              blockingRate: (this.performanceStats.requestsBlocked / this.performanceStats.requestsProcessed * 100).toFixed(2) + '%',
+              avgProcessingTime: this.performanceStats.avgProcessingTime.toFixed(3) + 'ms'
+            });
+          }
+        } catch (error) {
+          logger.log('warn', 'Error in performance reporting', error);
+        }
+      }, 60000);
+    } catch (error) {
+      logger.log('warn', 'Failed to schedule performance reporting', error);
+    }
+  }
+
+  async setupCookieMonitoring() {
+    try {
+      if (!browser.cookies) {
+        throw new Error('Cookies API not available');
+      }
+      
+      browser.cookies.onChanged.addListener((changeInfo) => {
         try {
           if (!this.isEnabled || changeInfo.removed) return;
           
-          // Check if cookie deletion is enabled
-          if (!this.settings.deleteZombieCookies) return;
-          
           const cookie = changeInfo.cookie;
           if (!cookie || !cookie.name) return;
           
-          if (this.isTrackingCookie(cookie.name, cookie.value)) {
-            this.handleTrackerDetection(cookie.domain, 'cookie', cookie.name);
-            this.deleteCookie(cookie);
+          // Check if cookie deletion is enabled for the cookie's container
+          if (!this.getEffectiveSettings(cookie.storeId).deleteZombieCookies) return;
+          
+          if (this.isCookieAllowlisted(cookie)) return;
+          
+          this.checkCookieRespawn(cookie).catch(error => {
+            logger.log('warn', 'Error checking cookie respawn', error, { cookieName: cookie.name });
+          });
+          
+          this.applyCookiePolicy(cookie).catch(error => {
+            logger.log('warn', 'Error applying cookie policy', error, { cookieName: cookie.name });
+          });
+          
+        } catch (error) {
+          logger.log('warn', 'Error in cookie monitoring', error, {
+            cookieName: changeInfo.cookie?.name,
+            domain: changeInfo.cookie?.domain
+          });
+        }
+      });
+      
+      this.scheduleCookieSweep(COOKIE_SWEEP_PASS_INTERVAL);
+      
+      logger.log('info', 'Cookie monitoring setup successfully');
+      
+    } catch (error) {
+      logger.log('error', 'Failed to setup cookie monitoring', error);
+      throw error;
+    }
+  }
+
+  resetTabActivity(tabId, pageUrl) {
+    try {
+      if (!TabActivityLog.isTrackableTab(tabId)) return;
+      
+      this.tabActivity.reset(tabId, pageUrl);
+      this.scheduleBadgeUpdate(tabId);
+      
+    } catch (error) {
+      logger.log('warn', 'Error resetting tab activity', error, { tabId });
+    }
+  }
+
+  recordTabActivity(details, hostname, blocked, rule, reason, method = 'request') {
+    try {
+      this.recordDetectionEvent({
+        tabId: details.tabId,
+        siteHostname: this.getRequestSiteHostname(details),
+        domain: hostname,
+        method,
+        action: blocked ? 'blocked' : 'allowed',
+        rule,
+        reason,
+        cookieStoreId: details.cookieStoreId
+      });
+      
+      if (!TabActivityLog.isTrackableTab(details.tabId)) return;
+      
+      this.tabActivity.record(details.tabId, {
+        url: details.url,
+        type: details.type,
+        hostname,
+        blocked,
+        rule,
+        reason
+      });
+      
+      if (blocked) {
+        this.scheduleBadgeUpdate(details.tabId);
+      }
+      
+    } catch (error) {
+      logger.log('warn', 'Error recording tab activity', error, { tabId: details.tabId });
+    }
+  }
+
+  // Appends to the detection event log; vendor and category come from the registry when the domain is known
+  recordDetectionEvent({ tabId = -1, siteHostname = null, domain, method, action, rule = null, reason = null, vendor = null, cookieStoreId = null }) {
+    try {
+      const match = domain ? trackerRegistry.matchHostname(domain) : null;
+      
+      const event = {
+        tabId,
+        website: siteHostname,
+        site: siteHostname ? (publicSuffixList.getRegistrableDomain(siteHostname) || siteHostname) : null,
+        domain,
+        vendor: vendor || (match ? match.tracker.vendor : null),
+        trackerId: match ? match.tracker.id : null,
+        category: match ? match.tracker.category : null,
+        method,
+        action,
+        rule,
+        reason,
+        cookieStoreId
+      };
+      
+      this.eventLog.record(event);
+      // The time series saves itself; statistics are saved with the domain changes the event came from
+      this.timeSeries.record(event);
+      this.scheduleUpdate('stats');
+      
+    } catch (error) {
+      logger.log('warn', 'Error recording detection event', error, { domain, method });
+    }
+  }
+
+  setupBounceTracking() {
+    try {
+      if (!browser.webRequest.onBeforeRedirect || !browser.webNavigation || !browser.webNavigation.onCommitted) {
+        throw new Error('Redirect and navigation events not available');
+      }
+      
+      browser.webRequest.onBeforeRedirect.addListener(
+        (details) => {
+          try {
+            this.bounceTracker.recordRedirect(details.tabId, {
+              url: details.url,
+              redirectUrl: details.redirectUrl,
+              statusCode: details.statusCode,
+              method: details.method,
+              setsCookie: BounceTracker.hasSetCookie(details.responseHeaders)
+            });
+          } catch (error) {
+            logger.log('warn', 'Error recording redirect', error, { url: details.url });
+          }
+        },
+        { urls: ['<all_urls>'], types: ['main_frame'] },
+        ['responseHeaders']
+      );
+      
+      browser.webRequest.onResponseStarted.addListener(
+        (details) => {
+          try {
+            this.bounceTracker.recordResponse(details.tabId, details.url, BounceTracker.hasSetCookie(details.responseHeaders));
+          } catch (error) {
+            logger.log('warn', 'Error recording document response', error, { url: details.url });
           }
+        },
+        { urls: ['<all_urls>'], types: ['main_frame'] },
+        ['responseHeaders']
+      );
+      
+      browser.webNavigation.onCommitted.addListener((details) => {
+        try {
+          if (details.frameId !== 0) return;
+          
+          const clientRedirect = Array.isArray(details.transitionQualifiers) &&
+            details.transitionQualifiers.includes('client_redirect');
+          const chain = this.bounceTracker.commit(details.tabId, details.url, clientRedirect);
           
+          this.handleBounceChain(details.tabId, chain);
         } catch (error) {
-          logger.log('warn', 'Error in cookie monitoring', error, {
-            cookieName: changeInfo.cookie?.name,
-            domain: changeInfo.cookie?.domain
-          });
+          logger.log('warn', 'Error handling redirect chain', error, { tabId: details.tabId });
         }
       });
       
-      setInterval(() => {
+      logger.log('info', 'Bounce tracking setup successfully');
+      
+    } catch (error) {
+      logger.log('warn', 'Failed to setup bounce tracking', error);
+    }
+  }
+
+  // Only dedicated redirect endpoints, and known trackers already seen bouncing, are skipped.
+  // A tracker host alone is not enough, as its share and login pages take the same parameters,
+  // and a hop that only set a cookie may be a sign-in page that has to be passed through
+  isKnownBounceTracker(hostname, url) {
+    if (BounceTracker.isRedirectEndpoint(url)) {
+      return true;
+    }
+    
+    const entry = this.detectedDomains.get(PublicSuffixList.normalizeHostname(hostname));
+    return !!(entry && Array.isArray(entry.gaTypes) && entry.gaTypes.includes('bounce') &&
+      this.matchTrackingRequest(hostname, url));
+  }
+
+  // Destination to jump to when a top-level navigation enters a known bounce tracker
+  // that carries the destination in its URL, or null
+  getBounceSkipUrl(details) {
+    try {
+      if (!this.getEffectiveSettings(details.cookieStoreId).bounceProtection || details.type !== 'main_frame') return null;
+      if (details.method && details.method !== 'GET') return null;
+      
+      const hostname = new URL(details.url).hostname;
+      if (!this.isKnownBounceTracker(hostname, details.url)) return null;
+      
+      const destination = BounceTracker.extractDestination(details.url);
+      if (!destination) return null;
+      
+      this.bounceTracker.recordSkippedHop(details.tabId, details.url, destination);
+      
+      logger.log('debug', 'Skipped bounce tracker', null, { hostname, destination });
+      return destination;
+      
+    } catch (error) {
+      logger.log('warn', 'Error checking bounce tracker', error, { url: details.url });
+      return null;
+    }
+  }
+
+  // Hops are judged once the final page commits: tracker hosts, and hops that set
+  // cookies on the way through, are recorded and have their storage purged
+  handleBounceChain(tabId, chain) {
+    const cookieStoreId = this.tabCookieStores.get(tabId) || null;
+    if (!chain || chain.hops.length === 0 || !this.isEnabled || !this.getEffectiveSettings(cookieStoreId).bounceProtection) return;
+    
+    const destinationHost = BounceTracker.getHostname(chain.destinationUrl);
+    const originHost = chain.originUrl ? BounceTracker.getHostname(chain.originUrl) : null;
+    
+    if (!destinationHost || this.isSiteAllowlisted(destinationHost, cookieStoreId) ||
+        this.isSiteAllowlisted(originHost, cookieStoreId)) return;
+    
+    // A chain that returns to the site it left is a sign-in or consent round trip
+    if (originHost && publicSuffixList.isSameSite(originHost, destinationHost)) return;
+    
+    for (const hop of chain.hops) {
+      try {
+        // Redirects within the site being left or the site being reached are not bounces
+        if (!hop.hostname || publicSuffixList.isSameSite(hop.hostname, destinationHost)) continue;
+        if (originHost && publicSuffixList.isSameSite(hop.hostname, originHost)) continue;
+        
+        // A submitted form is the user interacting with the hop, not passing through it
+        if (hop.method && hop.method !== 'GET') continue;
+        
+        const trackerMatch = this.matchTrackingRequest(hop.hostname, hop.url);
+        if (!trackerMatch && !hop.setsCookie && hop.kind !== 'skipped') continue;
+        
+        const reason = hop.kind === 'skipped'
+          ? 'Bounce tracker skipped'
+          : `Bounce tracker (${hop.kind} redirect${hop.setsCookie ? ' setting cookies' : ''})`;
+        
+        this.recordTabActivity({ tabId, url: hop.url, type: 'main_frame', cookieStoreId }, hop.hostname, hop.kind === 'skipped',
+          trackerMatch ? trackerMatch.rule : null, reason, 'bounce');
+        
+        // Only known trackers go on the blocklist (and so the skip list); a hop that just set
+        // a cookie is reported but could be an identity provider
+        if (trackerMatch || hop.kind === 'skipped') {
+          this.handleTrackerDetection(hop.hostname, 'bounce', hop.url, destinationHost, cookieStoreId);
+        }
+        
+        if (this.bounceTracker.hasInteraction(hop.hostname)) {
+          logger.log('debug', 'Kept storage of bounce hop the user has visited', null, { hostname: hop.hostname });
+          continue;
+        }
+        this.purgeBounceTrackerStorage(hop.hostname, tabId, cookieStoreId);
+        
+      } catch (error) {
+        logger.log('warn', 'Error handling bounce hop', error, { url: hop.url });
+      }
+    }
+  }
+
+  // Only the container the chain ran in is purged; other containers keep their own sessions
+  async purgeBounceTrackerStorage(hostname, tabId, cookieStoreId = null) {
+    try {
+      const site = publicSuffixList.getRegistrableDomain(hostname) || hostname;
+      
+      // A site open in another tab is one the user visits directly, not only as a hop
+      for (const [openTabId, url] of this.tabTopUrls) {
+        const openHost = openTabId !== tabId ? BounceTracker.getHostname(url) : null;
+        if (openHost && publicSuffixList.isSameSite(openHost, site)) {
+          logger.log('debug', 'Kept storage of bounce tracker open in another tab', null, { site });
+          return;
+        }
+      }
+      
+      const cookies = await this.getAllCookies(cookieStoreId ? { domain: site, storeId: cookieStoreId } : { domain: site });
+      for (const cookie of cookies || []) {
+        if (!this.isCookieAllowlisted(cookie)) {
+          await this.deleteCookie(cookie);
+        }
+      }
+      
+      if (browser.browsingData && browser.browsingData.remove) {
+        const hostnames = Array.from(new Set([site, hostname]));
+        const removalOptions = cookieStoreId ? { hostnames, cookieStoreId } : { hostnames };
+        await withTimeout(
+          browser.browsingData.remove(removalOptions, { localStorage: true, indexedDB: true }),
+          5000
+        );
+      }
+      
+      this.debouncedSave();
+      logger.log('debug', 'Purged bounce tracker storage', null, { site, cookies: (cookies || []).length });
+      
+    } catch (error) {
+      logger.log('warn', 'Failed to purge bounce tracker storage', error, { hostname });
+    }
+  }
+
+  // Coalesce badge writes; busy pages can block dozens of requests per second
+  scheduleBadgeUpdate(tabId) {
+    this.pendingBadgeTabs.add(tabId);
+    
+    if (this.badgeTimer) return;
+    
+    this.badgeTimer = setTimeout(() => {
+      this.badgeTimer = null;
+      const tabIds = Array.from(this.pendingBadgeTabs);
+      this.pendingBadgeTabs.clear();
+      
+      for (const pendingTabId of tabIds) {
+        this.updateBadge(pendingTabId);
+      }
+    }, 250);
+  }
+
+  updateBadge(tabId) {
+    try {
+      if (!browser.browserAction || !browser.browserAction.setBadgeText) return;
+      
+      const count = this.tabActivity.getBlockedCount(tabId);
+      const text = count > 0 ? (count > 999 ? '999+' : String(count)) : '';
+      
+      browser.browserAction.setBadgeText({ tabId, text }).catch(() => {
+        // Tab may have closed before the update ran
+      });
+      
+    } catch (error) {
+      logger.log('warn', 'Error updating badge', error, { tabId });
+    }
+  }
+
+  setupTabTracking() {
+    try {
+      if (!browser.tabs || !browser.tabs.onRemoved) {
+        throw new Error('Tabs API not available');
+      }
+      
+      browser.tabs.onRemoved.addListener((tabId) => {
         try {
-          if (this.settings.deleteZombieCookies) {
-            this.cleanupCookies();
+          this.tabTopUrls.delete(tabId);
+          this.tabCookieStores.delete(tabId);
+          this.sweepTabCloseCookies();
+          this.tabActivity.remove(tabId);
+          this.bounceTracker.remove(tabId);
+          this.pendingBadgeTabs.delete(tabId);
+          
+          if (this.allowlist.removeForTab(tabId)) {
+            logger.log('debug', 'Removed tab-scoped allowlist entries', null, { tabId });
           }
         } catch (error) {
-          logger.log('warn', 'Error in periodic cookie cleanup', error);
+          logger.log('warn', 'Error handling tab removal', error, { tabId });
         }
-      }, 30000);
+      });
       
-      logger.log('info', 'Cookie monitoring setup successfully');
+      if (browser.webNavigation && browser.webNavigation.onCommitted) {
+        // Updated on commit rather than on the main_frame request, so late requests
+        // from the outgoing page are not attributed to the page being loaded
+        browser.webNavigation.onCommitted.addListener((details) => {
+          try {
+            if (details.frameId === 0) {
+              this.setTabTopUrl(details.tabId, details.url);
+            }
+          } catch (error) {
+            logger.log('warn', 'Error handling navigation commit', error, { tabId: details.tabId });
+          }
+        });
+        
+        browser.webNavigation.onTabReplaced.addListener(({ replacedTabId, tabId }) => {
+          try {
+            const url = this.tabTopUrls.get(replacedTabId);
+            this.tabTopUrls.delete(replacedTabId);
+            if (url) {
+              this.setTabTopUrl(tabId, url);
+            }
+          } catch (error) {
+            logger.log('warn', 'Error handling tab replacement', error, { tabId });
+          }
+        });
+      } else {
+        logger.log('warn', 'WebNavigation API not available, relying on request URLs for attribution');
+      }
+      
+      // Seed the cache with tabs that were already open when the extension started
+      browser.tabs.query({}).then(tabs => {
+        for (const tab of tabs) {
+          if (!this.tabTopUrls.has(tab.id)) {
+            this.setTabTopUrl(tab.id, tab.url);
+          }
+        }
+      }).catch(error => {
+        logger.log('warn', 'Failed to seed tab URL cache', error);
+      });
+      
+      if (browser.browserAction && browser.browserAction.setBadgeBackgroundColor) {
+        browser.browserAction.setBadgeBackgroundColor({ color: '#764ba2' }).catch(error => {
+          logger.log('debug', 'Could not set badge color', error);
+        });
+      }
+      
+      logger.log('info', 'Tab tracking setup successfully');
       
     } catch (error) {
-      logger.log('error', 'Failed to setup cookie monitoring', error);
-      throw error;
+      logger.log('warn', 'Failed to setup tab tracking', error);
     }
   }
 
@@ -723,6 +1952,15 @@ class NixxerCore {
             const domain = validateDomain(message.domain || '');
             const websiteDomain = message.websiteDomain ? validateDomain(message.websiteDomain) : null;
             await this.handleTrackerDetection(domain, message.method, message.details, websiteDomain);
+            this.recordDetectionEvent({
+              tabId: sender && sender.tab ? sender.tab.id : -1,
+              siteHostname: websiteDomain,
+              domain,
+              method: message.method,
+              action: 'detected',
+              rule: typeof message.details === 'string' ? message.details : null,
+              cookieStoreId: sender && sender.tab ? sender.tab.cookieStoreId : null
+            });
             sendResponse({ success: true });
           } catch (error) {
             logger.log('warn', 'Error handling GA detection', error);
@@ -742,8 +1980,7 @@ class NixxerCore {
             sendResponse({ 
               error: 'Failed to get statistics',
               enabled: this.isEnabled,
-              blockedToday: this.blockedToday || 0,
-              cookiesDeleted: this.cookiesDeleted || 0,
+              statistics: null,
               totalDomains: this.detectedDomains?.size || 0
             });
           }
@@ -753,6 +1990,7 @@ class NixxerCore {
           try {
             this.isEnabled = !this.isEnabled;
             logger.log('info', `Extension ${this.isEnabled ? 'enabled' : 'disabled'}`);
+            this.broadcastUpdate('settings');
             sendResponse({ enabled: this.isEnabled });
           } catch (error) {
             logger.log('error', 'Error toggling extension', error);
@@ -766,58 +2004,326 @@ class NixxerCore {
             const result = await this.exportBlocklist(format);
             sendResponse(result);
           } catch (error) {
-            logger.log('error', 'Error exporting blocklist', error, { format: message.format });
-            sendResponse({ error: 'Export failed: ' + error.message });
+            logger.log('error', 'Error exporting blocklist', error, { format: message.format });
+            sendResponse({ error: 'Export failed: ' + error.message });
+          }
+          break;
+        
+        case 'GET_DETECTED_DOMAINS':
+          try {
+            // A site or vendor filter is answered from the database indexes
+            if (message.websiteDomain || message.vendor) {
+              const records = await this.detectedDomains.query({
+                websiteDomain: typeof message.websiteDomain === 'string' ? message.websiteDomain : null,
+                vendor: typeof message.vendor === 'string' ? message.vendor : null,
+                limit: message.limit
+              });
+              sendResponse(records.map(({ domain, ...data }) => [domain, data]));
+              break;
+            }
+            const domains = Array.from(this.detectedDomains.entries());
+            sendResponse(domains);
+          } catch (error) {
+            logger.log('error', 'Error getting detected domains', error);
+            sendResponse({ error: 'Failed to get domains' });
+          }
+          break;
+        
+        case 'IMPORT_DATA':
+          try {
+            const result = await this.importData(message.data);
+            sendResponse({ success: true, ...result });
+          } catch (error) {
+            logger.log('error', 'Error importing data', error);
+            sendResponse({ error: 'Import failed: ' + error.message });
+          }
+          break;
+        
+        case 'CLEAR_ALL_DATA':
+          try {
+            await this.clearAllData();
+            sendResponse({ success: true });
+          } catch (error) {
+            logger.log('error', 'Error clearing all data', error);
+            sendResponse({ error: 'Failed to clear data: ' + error.message });
+          }
+          break;
+        
+        case 'DELETE_DOMAIN':
+          try {
+            const deleted = await this.deleteDetectedDomain(message.domain);
+            sendResponse({ success: true, deleted });
+          } catch (error) {
+            logger.log('warn', 'Error deleting domain', error, { domain: message.domain });
+            sendResponse({ error: error.message });
+          }
+          break;
+        
+        case 'SETTINGS_UPDATED':
+          try {
+            const validatedSettings = validateSettings(message.settings || {});
+            const syncedBefore = await this.getSyncValue('settings');
+            this.settings = Object.assign(this.settings, validatedSettings);
+            this.applySettings();
+            await this.saveData();
+            // Only fields that changed are marked, so turning sync on does not make this device's settings the newest
+            const syncedAfter = await this.getSyncValue('settings');
+            this.settingsSync.markFieldsChanged('settings', Object.keys(syncedAfter)
+              .filter(field => JSON.stringify(syncedAfter[field]) !== JSON.stringify(syncedBefore[field])));
+            this.broadcastUpdate('settings');
+            sendResponse({ success: true });
+          } catch (error) {
+            logger.log('error', 'Error updating settings', error);
+            sendResponse({ error: 'Invalid settings: ' + error.message });
+          }
+          break;
+        
+        case 'CLEAR_STATS':
+          try {
+            this.statistics.reset();
+            this.containerStats = {};
+            this.timeSeries.clear();
+            this.performanceStats = {
+              requestsProcessed: 0,
+              requestsBlocked: 0,
+              avgProcessingTime: 0
+            };
+            this.debouncedSave();
+            this.broadcastUpdate('stats');
+            sendResponse({ success: true });
+          } catch (error) {
+            logger.log('error', 'Error clearing stats', error);
+            sendResponse({ error: 'Failed to clear statistics' });
+          }
+          break;
+
+        case 'ZOMBIE_COOKIE_DETECTED':
+          try {
+            const domain = validateDomain(message.domain || '');
+            await this.handleZombieCookieDetection(domain, message.method, message.details);
+            this.statistics.increment('storagePurged', Math.max(0, parseInt(message.count) || 0));
+            this.recordDetectionEvent({
+              tabId: sender && sender.tab ? sender.tab.id : -1,
+              siteHostname: domain,
+              domain,
+              method: message.method,
+              action: 'purged',
+              rule: typeof message.details === 'string' ? message.details : null,
+              cookieStoreId: sender && sender.tab ? sender.tab.cookieStoreId : null
+            });
+            sendResponse({ success: true });
+          } catch (error) {
+            logger.log('warn', 'Error handling zombie cookie detection', error);
+            sendResponse({ error: 'Failed to process zombie cookie detection' });
+          }
+          break;
+
+        case 'ZOMBIE_IDS_FOUND':
+          try {
+            const domain = validateDomain(message.domain || '');
+            await this.handleStorageTrackerIds(domain, message.storeType, message.ids);
+            sendResponse({ success: true });
+          } catch (error) {
+            logger.log('warn', 'Error checking stored tracker IDs', error);
+            sendResponse({ error: 'Failed to check stored tracker IDs' });
+          }
+          break;
+
+        case 'FINGERPRINT_DETECTED':
+          try {
+            const domain = validateDomain(message.domain || '');
+            const websiteDomain = message.websiteDomain ? validateDomain(message.websiteDomain) : null;
+            await this.handleFingerprintDetection(domain, websiteDomain, message, sender?.tab?.id);
+            sendResponse({ success: true });
+          } catch (error) {
+            logger.log('warn', 'Error handling fingerprint detection', error);
+            sendResponse({ error: 'Failed to process fingerprint detection' });
+          }
+          break;
+
+        case 'SET_FINGERPRINT_MODE':
+          try {
+            const siteModes = await this.setFingerprintMode(message.domain, message.mode || null);
+            this.settingsSync.markFieldsChanged('settings', ['fingerprintSiteModes']);
+            this.broadcastUpdate('settings');
+            sendResponse({ success: true, siteModes });
+          } catch (error) {
+            logger.log('warn', 'Error setting fingerprinting mode', error, { domain: message.domain });
+            sendResponse({ error: error.message });
+          }
+          break;
+
+        case 'GET_TRACKER_REGISTRY':
+          try {
+            sendResponse(trackerRegistry.toJSON());
+          } catch (error) {
+            logger.log('error', 'Error getting tracker registry', error);
+            sendResponse({ error: 'Failed to get tracker registry' });
+          }
+          break;
+
+        case 'GET_FILTER_LISTS':
+          try {
+            sendResponse({ lists: this.filterLists.getSummaries() });
+          } catch (error) {
+            logger.log('error', 'Error getting filter lists', error);
+            sendResponse({ error: 'Failed to get filter lists' });
+          }
+          break;
+
+        case 'ADD_FILTER_LIST':
+          try {
+            const list = await this.filterLists.addSubscription(message.url, message.title || null);
+            this.settingsSync.markChanged('filterLists');
+            sendResponse({ success: !list.lastError, error: list.lastError || undefined, lists: this.filterLists.getSummaries() });
+          } catch (error) {
+            logger.log('warn', 'Error adding filter list', error, { url: message.url });
+            sendResponse({ error: error.message });
+          }
+          break;
+
+        case 'IMPORT_FILTER_LIST':
+          try {
+            await this.filterLists.importText(message.title || null, message.text);
+            this.settingsSync.markChanged('customRules');
+            sendResponse({ success: true, lists: this.filterLists.getSummaries() });
+          } catch (error) {
+            logger.log('warn', 'Error importing filter list', error);
+            sendResponse({ error: error.message });
+          }
+          break;
+
+        case 'REFRESH_FILTER_LISTS':
+          try {
+            if (message.id) {
+              await this.filterLists.refresh(message.id);
+            } else {
+              await this.filterLists.refreshAll();
+            }
+            sendResponse({ success: true, lists: this.filterLists.getSummaries() });
+          } catch (error) {
+            logger.log('warn', 'Error refreshing filter lists', error);
+            sendResponse({ error: error.message });
+          }
+          break;
+
+        case 'TOGGLE_FILTER_LIST':
+          try {
+            await this.filterLists.setEnabled(message.id, message.enabled);
+            this.settingsSync.markChanged('filterLists', 'customRules');
+            sendResponse({ success: true, lists: this.filterLists.getSummaries() });
+          } catch (error) {
+            logger.log('warn', 'Error toggling filter list', error);
+            sendResponse({ error: error.message });
+          }
+          break;
+
+        case 'REMOVE_FILTER_LIST':
+          try {
+            await this.filterLists.remove(message.id);
+            this.settingsSync.markChanged('filterLists', 'customRules');
+            sendResponse({ success: true, lists: this.filterLists.getSummaries() });
+          } catch (error) {
+            logger.log('warn', 'Error removing filter list', error);
+            sendResponse({ error: error.message });
+          }
+          break;
+
+        case 'GET_SYNC_STATUS':
+          try {
+            sendResponse(this.settingsSync.getStatus());
+          } catch (error) {
+            logger.log('warn', 'Error getting sync status', error);
+            sendResponse({ error: 'Failed to get sync status' });
+          }
+          break;
+        
+        case 'SYNC_NOW':
+          try {
+            sendResponse(await this.settingsSync.sync());
+          } catch (error) {
+            logger.log('warn', 'Error syncing', error);
+            sendResponse({ error: 'Sync failed: ' + error.message });
+          }
+          break;
+
+        case 'GET_ALLOWLIST':
+          try {
+            sendResponse({ entries: this.allowlist.getEntries() });
+          } catch (error) {
+            logger.log('error', 'Error getting allowlist', error);
+            sendResponse({ error: 'Failed to get allowlist' });
+          }
+          break;
+
+        case 'ALLOWLIST_ADD':
+          try {
+            const entry = await this.addToAllowlist(message.domain, message.duration || 'permanent', message.tabId,
+              message.cookieStoreId || null);
+            if (SiteAllowlist.isShared(entry)) {
+              this.settingsSync.markChanged('allowlist');
+            }
+            this.broadcastUpdate('allowlist');
+            sendResponse({ success: true, entry, entries: this.allowlist.getEntries() });
+          } catch (error) {
+            logger.log('warn', 'Error adding site to allowlist', error, { domain: message.domain });
+            sendResponse({ error: error.message });
+          }
+          break;
+
+        case 'ALLOWLIST_REMOVE':
+          try {
+            await this.removeFromAllowlist(message.domain, message.cookieStoreId || null);
+            if (!message.cookieStoreId) {
+              this.settingsSync.markChanged('allowlist');
+            }
+            this.broadcastUpdate('allowlist');
+            sendResponse({ success: true, entries: this.allowlist.getEntries() });
+          } catch (error) {
+            logger.log('warn', 'Error removing site from allowlist', error, { domain: message.domain });
+            sendResponse({ error: error.message });
           }
           break;
-        
-        case 'GET_DETECTED_DOMAINS':
+
+        case 'GET_TIMELINE':
           try {
-            const domains = Array.from(this.detectedDomains.entries());
-            sendResponse(domains);
+            sendResponse(this.timeSeries.getTimeline(message.days));
           } catch (error) {
-            logger.log('error', 'Error getting detected domains', error);
-            sendResponse({ error: 'Failed to get domains' });
+            logger.log('warn', 'Error getting timeline', error);
+            sendResponse({ error: 'Failed to get timeline' });
           }
           break;
-        
-        case 'SETTINGS_UPDATED':
+
+        case 'QUERY_EVENTS':
           try {
-            const validatedSettings = validateSettings(message.settings || {});
-            this.settings = Object.assign(this.settings, validatedSettings);
-            this.debouncedSave();
-            sendResponse({ success: true });
+            sendResponse(await this.queryDetectionEvents(message));
           } catch (error) {
-            logger.log('error', 'Error updating settings', error);
-            sendResponse({ error: 'Invalid settings: ' + error.message });
+            logger.log('warn', 'Error querying detection events', error);
+            sendResponse({ error: 'Failed to query detection events' });
           }
           break;
-        
-        case 'CLEAR_STATS':
+
+        case 'GET_SITE_STATUS':
           try {
-            this.blockedToday = 0;
-            this.cookiesDeleted = 0;
-            this.performanceStats = {
-              requestsProcessed: 0,
-              requestsBlocked: 0,
-              avgProcessingTime: 0
-            };
-            this.debouncedSave();
-            sendResponse({ success: true });
+            const siteUrl = message.url || (sender && sender.tab && sender.tab.url) || '';
+            const cookieStoreId = message.cookieStoreId || (sender && sender.tab && sender.tab.cookieStoreId) || null;
+            sendResponse(this.getSiteStatus(siteUrl, cookieStoreId));
           } catch (error) {
-            logger.log('error', 'Error clearing stats', error);
-            sendResponse({ error: 'Failed to clear statistics' });
+            logger.log('warn', 'Error getting site status', error);
+            sendResponse({ error: 'Failed to get site status' });
           }
           break;
 
-        case 'ZOMBIE_COOKIE_DETECTED':
+        case 'GET_TAB_ACTIVITY':
           try {
-            const domain = validateDomain(message.domain || '');
-            await this.handleZombieCookieDetection(domain, message.method, message.details);
-            sendResponse({ success: true });
+            const tabId = typeof message.tabId === 'number' ? message.tabId : sender?.tab?.id;
+            if (!TabActivityLog.isTrackableTab(tabId)) {
+              throw new Error('A valid tabId is required');
+            }
+            sendResponse(this.tabActivity.get(tabId));
           } catch (error) {
-            logger.log('warn', 'Error handling zombie cookie detection', error);
-            sendResponse({ error: 'Failed to process zombie cookie detection' });
+            logger.log('warn', 'Error getting tab activity', error, { tabId: message.tabId });
+            sendResponse({ error: error.message });
           }
           break;
 
@@ -841,6 +2347,48 @@ class NixxerCore {
     }
   }
 
+  // Popup and options pages connect on NIXXER_UPDATE_PORT and receive { type: 'DATA_CHANGED', scope }
+  // whenever state they show changes here, instead of polling
+  setupUpdatePorts() {
+    try {
+      browser.runtime.onConnect.addListener((port) => {
+        if (port.name !== NIXXER_UPDATE_PORT) {
+          return;
+        }
+        
+        this.updatePorts.add(port);
+        port.onDisconnect.addListener(() => this.updatePorts.delete(port));
+      });
+      
+    } catch (error) {
+      logger.log('warn', 'Failed to setup update ports', error);
+    }
+  }
+
+  // scope is 'stats', 'domains', 'settings', 'allowlist', 'filterLists', 'sync' or 'all'
+  broadcastUpdate(scope) {
+    for (const port of this.updatePorts) {
+      try {
+        port.postMessage({ type: 'DATA_CHANGED', scope });
+      } catch (error) {
+        // The page closed without a disconnect event reaching us yet
+        this.updatePorts.delete(port);
+      }
+    }
+  }
+
+  // Detections arrive in bursts, so their pushes go out at most once per NIXXER_UPDATE_INTERVAL per scope
+  scheduleUpdate(scope) {
+    if (this.updateTimers.has(scope) || this.updatePorts.size === 0) {
+      return;
+    }
+    
+    this.updateTimers.set(scope, setTimeout(() => {
+      this.updateTimers.delete(scope);
+      this.broadcastUpdate(scope);
+    }, NIXXER_UPDATE_INTERVAL));
+  }
+
   setupBasicMessageHandling() {
     try {
       // Fallback message handler with minimal functionality
@@ -850,8 +2398,7 @@ class NixxerCore {
             sendResponse({
               error: 'Extension partially functional due to initialization error',
               enabled: false,
-              blockedToday: 0,
-              cookiesDeleted: 0,
+              statistics: null,
               totalDomains: 0
             });
           } else {
@@ -867,41 +2414,11 @@ class NixxerCore {
     }
   }
 
-  isTrackingRequest(url) {
-    try {
-      if (typeof url !== 'string') return false;
-      
-      return GA_REQUEST_PATTERNS.some(pattern => pattern.test(url)) ||
-             FACEBOOK_REQUEST_PATTERNS.some(pattern => pattern.test(url)) ||
-             ADOBE_REQUEST_PATTERNS.some(pattern => pattern.test(url)) ||
-             SESSION_RECORDING_REQUEST_PATTERNS.some(pattern => pattern.test(url)) ||
-             TIKTOK_REQUEST_PATTERNS.some(pattern => pattern.test(url));
-             
-    } catch (error) {
-      logger.log('warn', 'Error checking tracking request', error, { url });
-      return false;
-    }
-  }
-
   isTrackingCookie(name, value) {
     try {
       if (typeof name !== 'string') return false;
       
-      const isGAName = GA_COOKIE_PATTERNS.some(pattern => pattern.test(name));
-      const isGTMName = GTM_COOKIE_PATTERNS.some(pattern => pattern.test(name));
-      const isFacebookName = FACEBOOK_COOKIE_PATTERNS.some(pattern => pattern.test(name));
-      const isAdobeName = ADOBE_COOKIE_PATTERNS.some(pattern => pattern.test(name));
-      const isSessionRecordingName = SESSION_RECORDING_COOKIE_PATTERNS.some(pattern => pattern.test(name));
-      const isTikTokName = TIKTOK_COOKIE_PATTERNS.some(pattern => pattern.test(name));
-      
-      if (isGAName || isGTMName || isFacebookName || isAdobeName || isSessionRecordingName || isTikTokName) {
-        if (value && typeof value === 'string' && GA_VALUE_PATTERNS.some(pattern => pattern.test(value))) {
-          return true;
-        }
-        return true;
-      }
-      
-      return false;
+      return trackerRegistry.matchCookie(name) !== null;
       
     } catch (error) {
       logger.log('warn', 'Error checking tracking cookie', error, { name, value });
@@ -909,7 +2426,7 @@ class NixxerCore {
     }
   }
 
-  async handleTrackerDetection(domain, method, details, websiteDomain = null) {
+  async handleTrackerDetection(domain, method, details, websiteDomain = null, cookieStoreId = null) {
     try {
       const now = Date.now();
       const cleanDomain = validateDomain(domain);
@@ -917,7 +2434,7 @@ class NixxerCore {
       // FIXED: Use websiteDomain from message if available
       const actualWebsiteDomain = websiteDomain || cleanDomain;
       
-      const blockingInfo = this.determineBlockingTarget(cleanDomain, method, details);
+      const blockingInfo = this.determineBlockingTarget(cleanDomain, method, details, cookieStoreId);
       
       if (!blockingInfo.shouldBlock) {
         logger.log('debug', 'Tracker detected but no blocking action needed', null, { domain, method });
@@ -925,11 +2442,16 @@ class NixxerCore {
       }
       
       if (blockingInfo.addToBlocklist) {
-        const domainKey = blockingInfo.targetDomain.startsWith('.') ? 
-          blockingInfo.targetDomain.slice(1) : blockingInfo.targetDomain;
+        const domainKey = PublicSuffixList.normalizeHostname(blockingInfo.targetDomain);
+        
+        // A bare public suffix (e.g. a ".co.uk" cookie domain) would block an entire registry
+        if (!domainKey || publicSuffixList.isPublicSuffix(domainKey)) {
+          logger.log('debug', 'Skipped public suffix as blocklist key', null, { domain: blockingInfo.targetDomain });
+          return;
+        }
         
         // FIXED: Store both tracking domain and website domain
-        this.updateDetectedDomain(domainKey, method, details, actualWebsiteDomain, now);
+        this.updateDetectedDomain(domainKey, method, details, actualWebsiteDomain, now, cookieStoreId);
         logger.log('debug', 'Added tracking domain to blocklist', null, { 
           trackingDomain: domainKey, 
           websiteDomain: actualWebsiteDomain 
@@ -947,6 +2469,23 @@ class NixxerCore {
     }
   }
 
+  // Sites are matched by registrable domain, so "example.com" covers events on its subdomains
+  async queryDetectionEvents({ from, to, site, vendor, method, action, domain, limit }) {
+    const filter = { limit };
+    if (Number.isFinite(from)) filter.from = from;
+    if (Number.isFinite(to)) filter.to = to;
+    if (site) {
+      const hostname = validateDomain(site);
+      filter.site = publicSuffixList.getRegistrableDomain(hostname) || hostname;
+    }
+    if (domain) filter.domain = validateDomain(domain);
+    if (typeof vendor === 'string' && vendor) filter.vendor = vendor;
+    if (typeof method === 'string' && method) filter.method = method;
+    if (typeof action === 'string' && EVENT_ACTIONS[action]) filter.action = action;
+    
+    return this.eventLog.query(filter);
+  }
+
   async handleZombieCookieDetection(domain, method, details) {
     try {
       const cleanDomain = validateDomain(domain);
@@ -965,13 +2504,19 @@ class NixxerCore {
           details: [details],
           isZombieCookie: true
         });
+        this.scheduleUpdate('domains');
       } else {
         const existing = this.detectedDomains.get(zombieKey);
         existing.lastSeen = now;
         existing.frequency++;
+        // Each store type (zombie-localStorage, zombie-indexedDB, ...) is recorded once with its first details
         if (!existing.gaTypes.includes(method)) {
           existing.gaTypes.push(method);
+          if (Array.isArray(existing.details) && existing.details.length < 10) {
+            existing.details.push(details);
+          }
         }
+        this.detectedDomains.touch(zombieKey);
       }
       
       this.debouncedSave();
@@ -981,9 +2526,57 @@ class NixxerCore {
     }
   }
 
-  updateDetectedDomain(domainKey, method, details, websiteDomain, timestamp) {
+  // Kept apart from blocklist entries, like zombie cookies: the script host may be a shared CDN
+  async handleFingerprintDetection(domain, websiteDomain, report, tabId) {
+    try {
+      const technique = FINGERPRINT_TECHNIQUES.includes(report.technique) ? report.technique : 'unknown';
+      const method = `fingerprint-${technique}`;
+      const defended = report.mode === 'noise' || report.mode === 'block';
+      const details = `${report.details || technique} (score ${parseInt(report.score) || 0}, ${report.mode || 'report'})`;
+      const now = Date.now();
+      const fingerprintKey = domain + '_fingerprint';
+      
+      if (!this.detectedDomains.has(fingerprintKey)) {
+        this.detectedDomains.set(fingerprintKey, {
+          firstSeen: now,
+          lastSeen: now,
+          frequency: 1,
+          gaTypes: [method],
+          blocked: defended,
+          details: [details],
+          websiteDomain: websiteDomain || domain,
+          isFingerprint: true
+        });
+        this.scheduleUpdate('domains');
+      } else {
+        const existing = this.detectedDomains.get(fingerprintKey);
+        existing.lastSeen = now;
+        existing.frequency++;
+        existing.blocked = existing.blocked || defended;
+        if (!existing.gaTypes.includes(method)) {
+          existing.gaTypes.push(method);
+        }
+        if (existing.details.length < 5) {
+          existing.details.push(details);
+        }
+        this.detectedDomains.touch(fingerprintKey);
+      }
+      
+      this.recordTabActivity({ tabId, url: report.source || report.url || '', type: 'fingerprint' }, domain,
+        defended, null, `${FINGERPRINT_TECHNIQUE_LABELS[technique] || 'Fingerprinting'}: ${details}`, method);
+      
+      logger.log('debug', 'Fingerprinting attempt detected', null, { domain, technique, mode: report.mode });
+      this.debouncedSave();
+      
+    } catch (error) {
+      logger.log('error', 'Error handling fingerprint detection', error, { domain });
+    }
+  }
+
+  updateDetectedDomain(domainKey, method, details, websiteDomain, timestamp, cookieStoreId = null) {
     try {
       if (!this.detectedDomains.has(domainKey)) {
+        const match = trackerRegistry.matchHostname(domainKey);
         this.detectedDomains.set(domainKey, {
           firstSeen: timestamp,
           lastSeen: timestamp,
@@ -991,8 +2584,12 @@ class NixxerCore {
           gaTypes: [method],
           blocked: true,
           details: [details],
-          websiteDomain: websiteDomain  // FIXED: Store the actual website domain
+          site: publicSuffixList.getRegistrableDomain(domainKey) || domainKey,
+          websiteDomain: websiteDomain,  // FIXED: Store the actual website domain
+          vendor: match ? match.tracker.vendor : null,
+          containers: ContainerPolicy.isContainer(cookieStoreId) ? [cookieStoreId] : []
         });
+        this.scheduleUpdate('domains');
       } else {
         const existing = this.detectedDomains.get(domainKey);
         existing.lastSeen = timestamp;
@@ -1010,44 +2607,64 @@ class NixxerCore {
         if (!existing.websiteDomain || existing.websiteDomain === domainKey) {
           existing.websiteDomain = websiteDomain;
         }
+        
+        if (ContainerPolicy.isContainer(cookieStoreId)) {
+          existing.containers = Array.isArray(existing.containers) ? existing.containers : [];
+          if (!existing.containers.includes(cookieStoreId)) {
+            existing.containers.push(cookieStoreId);
+          }
+        }
+        this.detectedDomains.touch(domainKey);
       }
     } catch (error) {
       logger.log('warn', 'Error updating detected domain', error, { domainKey, method });
     }
   }
 
-  determineBlockingTarget(domain, method, details) {
+  determineBlockingTarget(domain, method, details, cookieStoreId = null) {
     try {
-      const THIRD_PARTY_TRACKING_DOMAINS = [
-        'google-analytics.com',
-        'googletagmanager.com',
-        'www.google-analytics.com',
-        'www.googletagmanager.com',
-        'facebook.com',
-        'connect.facebook.net',
-        'www.facebook.com',
-        '2o7.net',
-        'omtrdc.net',
-        'demdex.net',
-        'everesttech.net',
-        'hotjar.com',
-        'fullstory.com',
-        'logrocket.com',
-        'mouseflow.com',
-        'smartlook.com',
-        'analytics.tiktok.com',
-        'business-api.tiktok.com',
-        'stats.wp.com',
-        'scorecardresearch.com',
-        'quantserve.com',
-        'doubleclick.net',
-        'googlesyndication.com',
-        'analytics.twitter.com',
-        'platform.twitter.com'
-      ];
-      
+      const settings = this.getEffectiveSettings(cookieStoreId);
       let trackingDomain = domain;
       
+      if (method === 'filter-list') {
+        return {
+          shouldBlock: true,
+          addToBlocklist: true,
+          targetDomain: domain,
+          blockingMethod: 'filter_list'
+        };
+      }
+      
+      // The alias was already resolved to a registry tracker, so the cloaked host itself is listed
+      if (method === 'cname') {
+        return {
+          shouldBlock: true,
+          addToBlocklist: true,
+          targetDomain: domain,
+          blockingMethod: 'cname'
+        };
+      }
+      
+      // Only used for requests already blocked as trackers, by the registry or a filter list
+      if (method === 'surrogate') {
+        return {
+          shouldBlock: true,
+          addToBlocklist: true,
+          targetDomain: domain,
+          blockingMethod: 'surrogate'
+        };
+      }
+      
+      // Observed redirecting a top-level navigation through itself
+      if (method === 'bounce') {
+        return {
+          shouldBlock: true,
+          addToBlocklist: true,
+          targetDomain: domain,
+          blockingMethod: 'bounce'
+        };
+      }
+      
       if (method === 'request' && typeof details === 'string') {
         try {
           const url = new URL(details);
@@ -1057,22 +2674,21 @@ class NixxerCore {
         }
       }
       
-      const isThirdPartyTracker = THIRD_PARTY_TRACKING_DOMAINS.some(tracker => 
-        trackingDomain === tracker || trackingDomain.endsWith('.' + tracker)
-      );
+      const registryMatch = trackerRegistry.matchHostname(trackingDomain);
       
-      if (isThirdPartyTracker) {
+      if (registryMatch) {
         return {
           shouldBlock: true,
           addToBlocklist: true,
           targetDomain: trackingDomain,
-          blockingMethod: 'network_level'
+          blockingMethod: 'network_level',
+          trackerId: registryMatch.tracker.id
         };
       }
       
       const isSelfHostedGA = this.isSelfHostedGA(details, method);
       
-      if (isSelfHostedGA && this.settings.blockSelfHosted) {
+      if (isSelfHostedGA && settings.blockSelfHosted) {
         return {
           shouldBlock: true,
           addToBlocklist: false,
@@ -1081,7 +2697,7 @@ class NixxerCore {
         };
       }
       
-      if (this.settings.detectionSensitivity === 'low') {
+      if (settings.detectionSensitivity === 'low') {
         return {
           shouldBlock: false,
           addToBlocklist: false,
@@ -1139,17 +2755,18 @@ class NixxerCore {
         return;
       }
       
-      const url = 'http' + (cookie.secure ? 's' : '') + '://' + cookie.domain + (cookie.path || '/');
+      await this.respawnDetector.rememberDeleted(this.getCookieSite(cookie), cookie.name, cookie.value);
       
       await withTimeout(
-        browser.cookies.remove({
-          url: url,
+        browser.cookies.remove(this.getCookieDetails(cookie, {
+          url: this.getCookieUrl(cookie),
           name: cookie.name
-        }),
+        })),
         3000
       );
       
-      this.cookiesDeleted++;
+      this.statistics.increment('cookiesDeleted');
+      this.recordContainerStat(cookie.storeId, 'cookiesDeleted');
       logger.log('debug', 'Deleted tracking cookie', null, { 
         name: cookie.name, 
         domain: cookie.domain 
@@ -1163,46 +2780,271 @@ class NixxerCore {
     }
   }
 
-  async cleanupCookies() {
-    if (!this.isEnabled || !this.settings.deleteZombieCookies) return;
+  getCookieUrl(cookie) {
+    return 'http' + (cookie.secure ? 's' : '') + '://' + (cookie.domain || '').replace(/^\./, '') + (cookie.path || '/');
+  }
+
+  // Store, partition and first-party keys are needed to address a cookie outside the default jar
+  getCookieDetails(cookie, details) {
+    if (cookie.storeId) details.storeId = cookie.storeId;
+    if (cookie.partitionKey) details.partitionKey = cookie.partitionKey;
+    if (cookie.firstPartyDomain) details.firstPartyDomain = cookie.firstPartyDomain;
+    return details;
+  }
+
+  // Includes partitioned cookies and, with first-party isolation on, every first-party domain.
+  // partitionKey needs Firefox 94, the manifest's strict_min_version
+  getAllCookies(filter = {}) {
+    return withTimeout(
+      browser.cookies.getAll({ firstPartyDomain: null, partitionKey: {}, ...filter }),
+      5000
+    );
+  }
+
+  // Returns the action taken for a tracker cookie ("delete", "session", "tab-close", "keep"), or null
+  async applyCookiePolicy(cookie) {
+    const match = trackerRegistry.matchCookie(cookie.name);
+    if (!match) return null;
+    
+    const contextHost = CookiePolicy.getContextHost(cookie);
+    const { policy } = this.cookiePolicy.resolve(contextHost, match.tracker.category);
+    
+    if (policy === 'keep') {
+      return policy;
+    }
+    
+    if (!cookie.session || policy === 'delete') {
+      this.handleTrackerDetection(cookie.domain, 'cookie', cookie.name, null, cookie.storeId);
+      this.recordDetectionEvent({
+        siteHostname: contextHost,
+        domain: (cookie.domain || '').replace(/^\./, ''),
+        method: 'cookie',
+        action: policy === 'delete' ? 'deleted' : policy,
+        rule: cookie.name,
+        vendor: match.tracker.vendor,
+        cookieStoreId: cookie.storeId
+      });
+    }
+    
+    switch (policy) {
+      case 'session':
+        await this.makeSessionCookie(cookie);
+        break;
+      case 'tab-close':
+        // Also made session-only, so a browser restart clears it if the tab never closes
+        this.scheduleTabCloseDeletion(cookie, contextHost);
+        await this.makeSessionCookie(cookie);
+        break;
+      default:
+        await this.deleteCookie(cookie);
+    }
+    
+    return policy;
+  }
+
+  // Rewrites a persistent cookie without its expiry; the rewrite arrives again as a session cookie
+  async makeSessionCookie(cookie) {
+    if (cookie.session) return;
     
     try {
-      const allCookies = await withTimeout(
-        browser.cookies.getAll({}),
-        5000
-      );
-      
-      if (!Array.isArray(allCookies)) {
-        logger.log('warn', 'Invalid cookies response from API');
-        return;
+      const details = this.getCookieDetails(cookie, {
+        url: this.getCookieUrl(cookie),
+        name: cookie.name,
+        value: cookie.value,
+        path: cookie.path,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        sameSite: cookie.sameSite
+      });
+      if (!cookie.hostOnly) {
+        details.domain = cookie.domain;
       }
       
-      let deletedCount = 0;
-      for (const cookie of allCookies) {
-        try {
-          if (this.isTrackingCookie(cookie.name, cookie.value)) {
-            await this.deleteCookie(cookie);
-            deletedCount++;
-            
-            // Limit cleanup operations to prevent blocking
-            if (deletedCount >= 10) {
-              break;
-            }
-          }
-        } catch (error) {
-          logger.log('warn', 'Error processing cookie in cleanup', error, { 
-            cookieName: cookie.name 
-          });
+      await withTimeout(browser.cookies.set(details), 3000);
+      logger.log('debug', 'Converted tracking cookie to session cookie', null, { name: cookie.name, domain: cookie.domain });
+      
+    } catch (error) {
+      logger.log('warn', 'Failed to convert cookie to session cookie', error, { cookieName: cookie.name });
+    }
+  }
+
+  scheduleTabCloseDeletion(cookie, contextHost) {
+    const site = publicSuffixList.getRegistrableDomain(contextHost) || contextHost;
+    if (!site) return;
+    
+    if (!this.tabCloseCookies.has(site)) {
+      this.tabCloseCookies.set(site, new Map());
+    }
+    
+    const topLevelSite = cookie.partitionKey ? cookie.partitionKey.topLevelSite : '';
+    const key = [cookie.storeId, topLevelSite, cookie.firstPartyDomain, cookie.domain, cookie.path, cookie.name].join('|');
+    this.tabCloseCookies.get(site).set(key, cookie);
+  }
+
+  // Deletes tab-close cookies for every site no longer open in any tab
+  sweepTabCloseCookies() {
+    try {
+      for (const [site, cookies] of this.tabCloseCookies) {
+        const stillOpen = Array.from(this.tabTopUrls.values()).some(url => {
+          const host = BounceTracker.getHostname(url);
+          return host && publicSuffixList.isSameSite(host, site);
+        });
+        if (stillOpen) continue;
+        
+        this.tabCloseCookies.delete(site);
+        for (const cookie of cookies.values()) {
+          this.deleteCookie(cookie);
         }
+        logger.log('debug', 'Deleted tab-close cookies', null, { site, count: cookies.size });
+      }
+    } catch (error) {
+      logger.log('warn', 'Error deleting tab-close cookies', error);
+    }
+  }
+
+  getCookieSite(cookie) {
+    const host = (cookie.domain || '').replace(/^\./, '').toLowerCase();
+    return publicSuffixList.getRegistrableDomain(host) || host;
+  }
+
+  isRespawningSite(hostname) {
+    if (!hostname) return false;
+    return this.respawnDetector.isRespawning(publicSuffixList.getRegistrableDomain(hostname) || hostname);
+  }
+
+  // A cookie whose value was deleted on this site earlier is a respawned zombie; find where it came from
+  async checkCookieRespawn(cookie) {
+    const site = this.getCookieSite(cookie);
+    if (!site || !this.respawnDetector.hasDeletedValues(site)) return;
+    
+    const match = await this.respawnDetector.findDeleted(site, cookie.value);
+    if (!match) return;
+    
+    let source = 'script';
+    let sourceDetail = null;
+    
+    const sighting = this.respawnDetector.getSighting(match.hash, site);
+    if (sighting) {
+      source = sighting.source;
+    } else {
+      const backup = await this.findBackupCookie(site, cookie);
+      if (backup) {
+        source = 'cookie';
+        sourceDetail = backup.name;
+        // The copy is the reservoir the ID respawns from
+        await this.deleteCookie(backup);
+      } else if (this.respawnDetector.hasRecentEtag(site)) {
+        source = 'etag';
       }
+    }
+    
+    this.flagRespawn(site, {
+      name: cookie.name,
+      originalName: match.name,
+      source,
+      sourceDetail
+    });
+  }
+
+  // Another cookie on the site holding the same identifier under a different name
+  async findBackupCookie(site, cookie) {
+    const value = RespawnDetector.normalizeValue(cookie.value);
+    if (!value) return null;
+    
+    const cookies = await this.getAllCookies({ domain: site, storeId: cookie.storeId });
+    return (cookies || []).find(other =>
+      other.name !== cookie.name && RespawnDetector.normalizeValue(other.value) === value
+    ) || null;
+  }
+
+  // IDs the content script found and removed in page storage (see cleanupZombieStorage in content.js)
+  async handleStorageTrackerIds(hostname, storeType, ids) {
+    if (!Object.prototype.hasOwnProperty.call(RESPAWN_SOURCES, storeType) || !Array.isArray(ids)) {
+      throw new Error(`Invalid storage type: ${storeType}`);
+    }
+    
+    const site = publicSuffixList.getRegistrableDomain(hostname) || hostname;
+    
+    for (const id of ids.slice(0, 20)) {
+      if (typeof id !== 'string' || id.length > 200) continue;
+      
+      await this.respawnDetector.recordSighting(site, storeType, id);
       
-      if (deletedCount > 0) {
-        logger.log('debug', 'Cookie cleanup completed', null, { deletedCount });
+      if (this.respawnDetector.hasDeletedValues(site) && await this.respawnDetector.findDeleted(site, id)) {
+        this.flagRespawn(site, { name: null, originalName: null, source: storeType });
       }
+    }
+  }
+
+  flagRespawn(site, { name, originalName, source, sourceDetail }) {
+    try {
+      const entry = this.respawnDetector.flagSite(site, { name: originalName || name, source });
+      const sourceLabel = RESPAWN_SOURCES[source] || source;
+      const details = originalName
+        ? `${originalName} respawned${name !== originalName ? ` as ${name}` : ''} from ${sourceLabel}${sourceDetail ? ` (${sourceDetail})` : ''}`
+        : `Deleted tracker ID found again in ${sourceLabel}`;
+      
+      logger.log('info', 'Tracker ID respawn detected', null, { site, source, count: entry.count });
+      
+      this.handleZombieCookieDetection(site, `respawn-${source}`, details);
       
+    } catch (error) {
+      logger.log('warn', 'Error flagging respawning site', error, { site, source });
+    }
+  }
+
+  scheduleCookieSweep(delay) {
+    clearTimeout(this.cookieSweepTimer);
+    this.cookieSweepTimer = setTimeout(() => this.cleanupCookies(), delay);
+  }
+
+  // Runs one time-boxed slice of the sweep; slices follow each other quickly until the pass completes
+  async cleanupCookies() {
+    let passComplete = true;
+    
+    try {
+      // Container profiles can enable deletion when the global setting is off, so sweepCookie decides per cookie
+      if (this.isEnabled) {
+        passComplete = await this.cookieSweeper.runSlice();
+        
+        if (passComplete) {
+          const { lastPass } = this.cookieSweeper.getStats();
+          logger.log('debug', 'Cookie sweep completed', null, lastPass);
+          if (Object.keys(lastPass.actions).length > 0) {
+            this.debouncedSave();
+          }
+        }
+      }
     } catch (error) {
       logger.log('error', 'Cookie cleanup failed', error);
+    } finally {
+      this.scheduleCookieSweep(passComplete ? COOKIE_SWEEP_PASS_INTERVAL : COOKIE_SWEEP_SLICE_DELAY);
+    }
+  }
+
+  // Container and private browsing stores are listed only when the extension can see them
+  async listCookieStores() {
+    if (!browser.cookies.getAllCookieStores) {
+      return ['firefox-default'];
+    }
+    
+    const stores = await withTimeout(browser.cookies.getAllCookieStores(), 5000);
+    return (stores || []).map(store => store.id);
+  }
+
+  // Returns the action taken on a cookie, or null when it was left alone
+  async sweepCookie(cookie) {
+    if (!this.getEffectiveSettings(cookie.storeId).deleteZombieCookies ||
+        !this.isTrackingCookie(cookie.name, cookie.value) || this.isCookieAllowlisted(cookie)) {
+      return null;
+    }
+    
+    const policy = await this.applyCookiePolicy(cookie);
+    if (policy === 'keep' || (policy !== 'delete' && cookie.session)) {
+      return null;
     }
+    
+    return policy;
   }
 
   async manageBlocklist() {
@@ -1253,8 +3095,9 @@ class NixxerCore {
       
       return {
         enabled: this.isEnabled,
-        blockedToday: this.blockedToday || 0,
-        cookiesDeleted: this.cookiesDeleted || 0,
+        statistics: this.statistics.getSnapshot(),
+        cookieSweep: this.cookieSweeper.getStats(),
+        containers: this.containerStats,
         totalDomains: this.detectedDomains.size || 0,
         settings: this.settings,
         performance: this.performanceStats,
@@ -1263,7 +3106,10 @@ class NixxerCore {
           lastSeen: data.lastSeen || Date.now(),
           frequency: data.frequency || 1,
           types: data.gaTypes || ['unknown'],
-          websiteDomain: data.websiteDomain || null  // FIXED: This is where it was found
+          websiteDomain: data.websiteDomain || null,  // FIXED: This is where it was found
+          thirdParty: data.websiteDomain ? this.isThirdPartyHost(domain, data.websiteDomain) : null,
+          cnameTarget: data.cnameTarget || null,
+          containers: data.containers || []
         }))
       };
       
@@ -1271,19 +3117,54 @@ class NixxerCore {
       logger.log('error', 'Error generating stats', error);
       return {
         enabled: this.isEnabled,
-        blockedToday: 0,
-        cookiesDeleted: 0,
+        statistics: null,
         totalDomains: 0,
         error: 'Failed to generate complete statistics'
       };
     }
   }
 
+  // Blocklist hosts without zombie-cookie or fingerprinting records or bare public suffixes. Formats whose
+  // rules also block subdomains drop hosts already covered by a listed parent domain.
+  getExportableDomains(coversSubdomains) {
+    const domains = new Set();
+    
+    for (const [domain, data] of this.detectedDomains.entries()) {
+      if (typeof domain !== 'string' || domain.length === 0 || (data && (data.isZombieCookie || data.isFingerprint))) {
+        continue;
+      }
+      
+      const host = PublicSuffixList.normalizeHostname(domain);
+      if (host && !publicSuffixList.isPublicSuffix(host)) {
+        domains.add(host);
+      }
+    }
+    
+    if (!coversSubdomains) {
+      return Array.from(domains).sort();
+    }
+    
+    return Array.from(domains).filter(host => {
+      const site = publicSuffixList.getRegistrableDomain(host);
+      if (!site || host === site) {
+        return true;
+      }
+      
+      // Walk parents up to, and including, the registrable domain
+      let parent = host;
+      while (parent !== site) {
+        parent = parent.slice(parent.indexOf('.') + 1);
+        if (domains.has(parent)) {
+          return false;
+        }
+      }
+      return true;
+    }).sort();
+  }
+
   async exportBlocklist(format) {
     try {
-      const domains = Array.from(this.detectedDomains.keys())
-        .filter(domain => typeof domain === 'string' && domain.length > 0)
-        .sort();
+      const domains = this.getExportableDomains(format === 'adguard' || format === 'nextdns');
         
       const timestamp = new Date().toISOString();
       
@@ -1299,12 +3180,12 @@ class NixxerCore {
             content: JSON.stringify({
               name: 'Nixxer Multi-Platform Blocklist (Enhanced)',
               description: `Auto-generated comprehensive tracking protection - ${timestamp}`,
-              version: '1.2.0',
+              version: browser.runtime.getManifest().version,
               domains: domains,
               metadata: {
                 totalDomains: domains.length,
                 generatedAt: timestamp,
-                trackerTypes: ['Google Analytics', 'Facebook', 'Adobe', 'Session Recording', 'TikTok'],
+                trackerTypes: trackerRegistry.getVendors(),
                 performance: {
                   avgProcessingTime: `${this.performanceStats.avgProcessingTime.toFixed(3)}ms`,
                   requestsProcessed: this.performanceStats.requestsProcessed,
@@ -1325,7 +3206,7 @@ class NixxerCore {
         case 'adguard':
           const adguardRules = domains.map(domain => `||${domain}^`).join('\n');
           return {
-            content: `! Title: Nixxer Multi-Platform Tracking Rules (Enhanced)\n! Generated: ${timestamp}\n! Total domains: ${domains.length}\n! Extension version: 1.2.0\n! Performance: ${this.performanceStats.avgProcessingTime.toFixed(2)}ms avg\n\n${adguardRules}`,
+            content: `! Title: Nixxer Multi-Platform Tracking Rules (Enhanced)\n! Generated: ${timestamp}\n! Total domains: ${domains.length}\n! Extension version: ${browser.runtime.getManifest().version}\n! Performance: ${this.performanceStats.avgProcessingTime.toFixed(2)}ms avg\n\n${adguardRules}`,
             filename: `nixxer-adguard-${Date.now()}.txt`
           };
         
@@ -1379,6 +3260,13 @@ class NixxerCore {
         }
       }
       
+      this.respawnDetector.prune();
+      this.timeSeries.prune();
+      
+      this.eventLog.rotate()
+        .then(removed => logger.log('debug', 'Rotated detection event log', null, { removed }))
+        .catch(error => logger.log('warn', 'Failed to rotate detection event log', error));
+      
       if (removedCount > 0) {
         this.debouncedSave();
         logger.log('info', 'Scheduled cleanup completed', null, { removedCount });
@@ -0,0 +1,263 @@
+// Nixxer Bounce Tracker - Follows top-level redirect chains per tab
+//
+// A bounce tracker sits between the page a link was clicked on and its real
+// destination: the browser is sent to the tracker, which sets or reads its own
+// first-party cookies and redirects onward. Server redirects are collected from
+// webRequest.onBeforeRedirect; a page that commits and then navigates on its
+// own within BOUNCE_CLIENT_REDIRECT_WINDOW counts as a client-side hop. The
+// chain is handed back once the final page commits.
+
+const BOUNCE_CLIENT_REDIRECT_WINDOW = 5000;
+const BOUNCE_MAX_HOPS = 20;
+const BOUNCE_MAX_INTERACTIONS = 5000;
+
+// Query parameters that commonly carry the destination of a redirect hop
+const BOUNCE_DESTINATION_PARAMS = [
+  'url', 'u', 'dest', 'destination', 'redirect', 'redirect_url', 'redirecturl', 'adurl', 'target', 'to'
+];
+
+// Link-shim and ad-click endpoints that exist only to forward to the URL they carry.
+// Other pages on tracker hosts use the same parameters for sharing and sign-in
+// return addresses, so those are never skipped on the host alone.
+const BOUNCE_REDIRECT_ENDPOINTS = [
+  { host: 'l.facebook.com', path: '/l.php' },
+  { host: 'lm.facebook.com', path: '/l.php' },
+  { host: 'l.instagram.com', path: '/' },
+  { host: 'l.messenger.com', path: '/l.php' },
+  { host: 'www.google.com', path: '/url' },
+  { host: 'google.com', path: '/url' },
+  { host: 'www.googleadservices.com', path: '/pagead/aclk' },
+  { host: 'ad.doubleclick.net', path: '/ddm/trackclk/' },
+  { host: 'out.reddit.com', path: '/' },
+  { host: 'www.youtube.com', path: '/redirect' },
+  { host: 'away.vk.com', path: '/away.php' }
+];
+
+class BounceTracker {
+  constructor({ getSite = hostname => hostname } = {}) {
+    this.tabs = new Map();
+    this.getSite = getSite;
+    this.interactions = new Map();   // site -> last top-level visit or form submission
+  }
+
+  // Sites the user stayed on or submitted a form to are ones they use, not pass through;
+  // their storage holds sessions (e.g. an identity provider) and is never purged
+  recordInteraction(url, now = Date.now()) {
+    const hostname = BounceTracker.getHostname(url);
+    if (!hostname) return;
+
+    const site = this.getSite(hostname);
+    this.interactions.delete(site);
+    this.interactions.set(site, now);
+
+    if (this.interactions.size > BOUNCE_MAX_INTERACTIONS) {
+      this.interactions.delete(this.interactions.keys().next().value);
+    }
+  }
+
+  hasInteraction(hostname) {
+    return !!hostname && this.interactions.has(this.getSite(hostname));
+  }
+
+  getState(tabId) {
+    let state = this.tabs.get(tabId);
+    if (!state) {
+      state = {
+        originUrl: null,
+        committed: null,
+        response: null,
+        hops: [],
+        expectedUrl: null,
+        skippedUrls: new Set()
+      };
+      this.tabs.set(tabId, state);
+    }
+    return state;
+  }
+
+  // Called for every main_frame request; a request that is not the target of the
+  // last redirect starts a new chain
+  startNavigation(tabId, url) {
+    if (!TabActivityLog.isTrackableTab(tabId)) return;
+
+    const state = this.getState(tabId);
+    if (state.expectedUrl === url) {
+      return;
+    }
+
+    state.hops = [];
+    state.expectedUrl = null;
+    state.skippedUrls.clear();
+  }
+
+  // A hop the extension skipped by redirecting straight to its destination; the
+  // redirect it triggers is not reported again as a server hop
+  recordSkippedHop(tabId, url, destinationUrl) {
+    if (!TabActivityLog.isTrackableTab(tabId)) return;
+
+    const state = this.getState(tabId);
+    state.expectedUrl = destinationUrl;
+    state.skippedUrls.add(url);
+
+    if (state.hops.length < BOUNCE_MAX_HOPS) {
+      state.hops.push({
+        url,
+        hostname: BounceTracker.getHostname(url),
+        kind: 'skipped',
+        statusCode: 0,
+        setsCookie: false
+      });
+    }
+  }
+
+  recordRedirect(tabId, { url, redirectUrl, statusCode, method, setsCookie }) {
+    if (!TabActivityLog.isTrackableTab(tabId)) return;
+
+    const state = this.getState(tabId);
+    state.expectedUrl = redirectUrl;
+
+    if (state.skippedUrls.has(url) || state.hops.length >= BOUNCE_MAX_HOPS) {
+      return;
+    }
+
+    state.hops.push({
+      url,
+      hostname: BounceTracker.getHostname(url),
+      kind: 'server',
+      statusCode: statusCode || 0,
+      method: method || 'GET',
+      setsCookie: !!setsCookie
+    });
+  }
+
+  // Response headers of the document that is about to commit
+  recordResponse(tabId, url, setsCookie) {
+    if (!TabActivityLog.isTrackableTab(tabId)) return;
+    this.getState(tabId).response = { url, setsCookie: !!setsCookie };
+  }
+
+  // Returns { originUrl, destinationUrl, hops } for the chain that led to this commit
+  commit(tabId, url, clientRedirect, now = Date.now()) {
+    if (!TabActivityLog.isTrackableTab(tabId)) return null;
+
+    const state = this.getState(tabId);
+    const hops = state.hops.slice();
+    const previous = state.committed;
+
+    const bouncedFromPrevious = clientRedirect && previous &&
+      now - previous.committedAt <= BOUNCE_CLIENT_REDIRECT_WINDOW;
+
+    if (bouncedFromPrevious) {
+      hops.unshift({
+        url: previous.url,
+        hostname: BounceTracker.getHostname(previous.url),
+        kind: 'client',
+        statusCode: 0,
+        setsCookie: previous.setsCookie
+      });
+    } else {
+      state.originUrl = previous ? previous.url : null;
+      // The previous page was left by the user rather than by a redirect, so it was a real visit
+      if (previous) {
+        this.recordInteraction(previous.url, now);
+      }
+    }
+
+    state.committed = {
+      url,
+      committedAt: now,
+      setsCookie: !!(state.response && state.response.url === url && state.response.setsCookie)
+    };
+    state.response = null;
+    state.hops = [];
+    state.expectedUrl = null;
+    state.skippedUrls.clear();
+
+    return { originUrl: state.originUrl, destinationUrl: url, hops };
+  }
+
+  remove(tabId) {
+    return this.tabs.delete(tabId);
+  }
+
+  static getHostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static hasSetCookie(responseHeaders) {
+    return Array.isArray(responseHeaders) &&
+      responseHeaders.some(header => (header.name || '').toLowerCase() === 'set-cookie');
+  }
+
+  static isRedirectEndpoint(rawUrl) {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      return false;
+    }
+
+    return BOUNCE_REDIRECT_ENDPOINTS.some(({ host, path }) => url.hostname === host &&
+      (url.pathname === path || url.pathname.startsWith(path.endsWith('/') ? path : `${path}/`)));
+  }
+
+  // The http(s) URL a hop forwards to, when it is carried in the hop's own URL
+  static extractDestination(rawUrl) {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      return null;
+    }
+
+    const candidates = [];
+    for (const name of BOUNCE_DESTINATION_PARAMS) {
+      const value = url.searchParams.get(name);
+      if (value) candidates.push(value);
+    }
+
+    // DoubleClick-style hops put the destination straight after the "?"
+    const bareQuery = url.search.slice(1);
+    if (/^https?(:|%3A)/i.test(bareQuery)) {
+      candidates.push(bareQuery);
+    }
+
+    for (const candidate of candidates) {
+      const destination = BounceTracker.parseDestination(candidate);
+      if (destination && destination.hostname !== url.hostname) {
+        return destination.href;
+      }
+    }
+
+    return null;
+  }
+
+  static parseDestination(value) {
+    let current = value;
+
+    // Destinations are sometimes encoded more than once
+    for (let i = 0; i < 3; i++) {
+      if (/^https?:\/\//i.test(current)) {
+        try {
+          return new URL(current);
+        } catch (error) {
+          return null;
+        }
+      }
+
+      try {
+        const decoded = decodeURIComponent(current);
+        if (decoded === current) break;
+        current = decoded;
+      } catch (error) {
+        break;
+      }
+    }
+
+    return null;
+  }
+}
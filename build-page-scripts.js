@@ -0,0 +1,51 @@
+// Nixxer Page Script Bundler - Run with `node build-page-scripts.js`
+//
+// Writes page-scripts.js, which carries the sources of the page-context scripts
+// as strings so content.js can inject them inline without reading extension
+// files at page load. Run after editing page-fingerprint.js or page-detector.js;
+// `--check` only reports whether page-scripts.js is out of date.
+
+const fs = require('fs');
+const path = require('path');
+
+// Injected in this order: the guard wraps canvas and audio APIs before the detector runs
+const PAGE_SCRIPTS = [
+  { name: 'fingerprint', file: 'page-fingerprint.js' },
+  { name: 'detector', file: 'page-detector.js' }
+];
+
+const OUTPUT_FILE = path.join(__dirname, 'page-scripts.js');
+
+function buildPageScripts() {
+  const entries = PAGE_SCRIPTS.map(({ name, file }) => {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    return `  ${name}: ${JSON.stringify(source)}`;
+  });
+
+  return [
+    '// Nixxer Page Scripts - Generated by build-page-scripts.js, do not edit',
+    '//',
+    `// Sources of ${PAGE_SCRIPTS.map(({ file }) => file).join(' and ')}, in injection`,
+    '// order, for content.js to run in the page\'s own context.',
+    '',
+    'const PAGE_SCRIPT_SOURCES = {',
+    entries.join(',\n'),
+    '};',
+    ''
+  ].join('\n');
+}
+
+const output = buildPageScripts();
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : null;
+  if (current !== output) {
+    console.log('page-scripts.js is out of date, run `node build-page-scripts.js`');
+    process.exitCode = 1;
+  } else {
+    console.log('page-scripts.js is up to date');
+  }
+} else {
+  fs.writeFileSync(OUTPUT_FILE, output);
+  console.log(`Wrote ${path.basename(OUTPUT_FILE)}`);
+}
@@ -0,0 +1,94 @@
+// Nixxer CNAME Resolver - Uncloaks first-party subdomains aliased to trackers
+//
+// A site can point metrics.example.com at a tracker's collection host with a
+// DNS CNAME record, which hides the tracker from URL-based matching. The
+// canonical name is looked up with browser.dns.resolve and cached; lookups in
+// flight are shared so a burst of requests to one host resolves it once.
+
+const CNAME_CACHE_TTL = 60 * 60 * 1000;
+const CNAME_FAILURE_TTL = 5 * 60 * 1000;
+const CNAME_CACHE_LIMIT = 1000;
+const CNAME_RESOLVE_TIMEOUT = 2000;
+
+class CnameResolver {
+  constructor() {
+    this.cache = new Map();
+    this.pending = new Map();
+  }
+
+  static isAvailable() {
+    return typeof browser !== 'undefined' && !!browser.dns && typeof browser.dns.resolve === 'function';
+  }
+
+  // Canonical name (null when the host is not an alias), or undefined when not cached
+  getCached(hostname, now = Date.now()) {
+    const entry = this.cache.get(hostname);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= now) {
+      this.cache.delete(hostname);
+      return undefined;
+    }
+
+    return entry.canonicalName;
+  }
+
+  setCached(hostname, canonicalName, ttl) {
+    if (this.cache.size >= CNAME_CACHE_LIMIT) {
+      // Maps iterate in insertion order, so the first key is the oldest lookup
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(hostname, { canonicalName, expiresAt: Date.now() + ttl });
+  }
+
+  resolve(hostname) {
+    const cached = this.getCached(hostname);
+    if (cached !== undefined) {
+      return Promise.resolve(cached);
+    }
+
+    if (this.pending.has(hostname)) {
+      return this.pending.get(hostname);
+    }
+
+    const lookup = this.lookup(hostname).finally(() => {
+      this.pending.delete(hostname);
+    });
+    this.pending.set(hostname, lookup);
+    return lookup;
+  }
+
+  async lookup(hostname) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`DNS lookup timed out: ${hostname}`)), CNAME_RESOLVE_TIMEOUT);
+    });
+
+    try {
+      const record = await Promise.race([browser.dns.resolve(hostname, ['canonical_name']), timeout]);
+      const canonicalName = CnameResolver.normalizeCanonicalName(record && record.canonicalName);
+      const alias = canonicalName && canonicalName !== hostname ? canonicalName : null;
+
+      this.setCached(hostname, alias, CNAME_CACHE_TTL);
+      return alias;
+
+    } catch (error) {
+      // Unresolvable hosts and timeouts are retried after a shorter interval
+      this.setCached(hostname, null, CNAME_FAILURE_TTL);
+      return null;
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  static normalizeCanonicalName(name) {
+    return typeof name === 'string' ? name.toLowerCase().replace(/\.$/, '') : null;
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
@@ -0,0 +1,85 @@
+// Nixxer Containers - Per-container protection profiles
+//
+// Firefox containers (contextual identities) keep separate cookie stores,
+// identified by a cookieStoreId on tabs, requests and cookies. Each container
+// can be given a profile that overrides part of the global settings, e.g.
+// "strict" for a shopping container and "relaxed" for a work container whose
+// single sign-on flows depend on tracker redirects and cookies. No profile
+// unblocks known trackers, as registry and filter-list requests are blocked
+// whatever the sensitivity; container allowlist entries do that per site.
+
+const CONTAINER_DEFAULT_STORE = 'firefox-default';
+const CONTAINER_PRIVATE_STORE = 'firefox-private';
+
+const CONTAINER_PROFILES = {
+  'default': {
+    label: 'Use global settings',
+    overrides: {}
+  },
+  'strict': {
+    label: 'Strict',
+    overrides: {
+      detectionSensitivity: 'high',
+      blockSelfHosted: true,
+      deleteZombieCookies: true,
+      stripTrackingParams: true,
+      headerProtection: true,
+      bounceProtection: true
+    }
+  },
+  'relaxed': {
+    label: 'Relaxed',
+    overrides: {
+      blockSelfHosted: false,
+      deleteZombieCookies: false,
+      headerProtection: false,
+      bounceProtection: false
+    }
+  },
+  'off': {
+    label: 'Protection off',
+    overrides: {},
+    disabled: true
+  }
+};
+
+class ContainerPolicy {
+  constructor() {
+    this.profiles = new Map();
+  }
+
+  static isValidProfile(profile) {
+    return Object.prototype.hasOwnProperty.call(CONTAINER_PROFILES, profile);
+  }
+
+  // Only real containers carry a profile; the default and private stores follow the global settings
+  static isContainer(cookieStoreId) {
+    return typeof cookieStoreId === 'string' &&
+           cookieStoreId !== CONTAINER_DEFAULT_STORE &&
+           cookieStoreId !== CONTAINER_PRIVATE_STORE;
+  }
+
+  configure(containerProfiles) {
+    this.profiles = new Map(
+      Object.entries(containerProfiles || {})
+        .filter(([storeId, profile]) => ContainerPolicy.isContainer(storeId) && ContainerPolicy.isValidProfile(profile))
+    );
+  }
+
+  getProfile(cookieStoreId) {
+    return (ContainerPolicy.isContainer(cookieStoreId) && this.profiles.get(cookieStoreId)) || 'default';
+  }
+
+  isDisabled(cookieStoreId) {
+    return CONTAINER_PROFILES[this.getProfile(cookieStoreId)].disabled === true;
+  }
+
+  // The global settings with the container's profile applied on top
+  getSettings(settings, cookieStoreId) {
+    const profile = this.getProfile(cookieStoreId);
+    if (profile === 'default') {
+      return settings;
+    }
+    return Object.assign({}, settings, CONTAINER_PROFILES[profile].overrides);
+  }
+}
@@ -132,59 +132,29 @@ function validatePatterns(patterns) {
   }
 }
 
-// Safe compiled regex patterns with validation
-const COMPILED_PATTERNS = {
-  zombie: validatePatterns([
-    /_ga_backup/,
-    /_gid_backup/,
-    /analytics_backup/,
-    /tracking_id/,
-    /user_fingerprint/,
-    /client_id_backup/,
-    /visitor_id_/,
-    /session_backup/
-  ]),
-  
-  facebook: validatePatterns([
-    /\bfbq\s*\(/,
-    /facebook\.trackEvent/,
-    /_fbq\.push/,
-    /FB\.Event\.subscribe/
-  ]),
-  
-  adobe: validatePatterns([
-    /\bs\.t\s*\(/,
-    /\bs\.tl\s*\(/,
-    /adobe_mc_/,
-    /AppMeasurement/,
-    /omniture/i
-  ]),
-  
-  sessionRecording: validatePatterns([
-    /\bhj\s*\(/,
-    /FS\.identify/,
-    /LogRocket\.identify/,
-    /_lr_\w+/,
-    /smartlook\(/,
-    /mouseflow\(/
-  ]),
-  
-  tiktok: validatePatterns([
-    /ttq\.track/,
-    /ttq\.page/,
-    /tiktok_pixel/
-  ]),
-  
-  googleAnalytics: validatePatterns([
-    /\bgtag\s*\(/,
-    /\bga\s*\(/,
-    /dataLayer\.push\s*\(/,
-    /google_tag_manager/,
-    /GoogleAnalyticsObject/,
-    /_gaq\.push/,
-    /gtm\.start/
-  ])
-};
+// Compile registry pattern strings into validated regexes
+function compilePatterns(sources) {
+  try {
+    if (!Array.isArray(sources)) {
+      return [];
+    }
+    
+    const compiled = [];
+    for (const source of sources) {
+      try {
+        compiled.push(new RegExp(source));
+      } catch (error) {
+        logger.log('warn', 'Invalid registry pattern', error, { source });
+      }
+    }
+    
+    return validatePatterns(compiled);
+    
+  } catch (error) {
+    logger.log('error', 'Error compiling patterns', error);
+    return [];
+  }
+}
 
 // Safe domain validation
 function validateTrackingDomains(domains) {
@@ -214,27 +184,213 @@ function validateTrackingDomains(domains) {
   }
 }
 
-const TRACKING_DOMAINS = validateTrackingDomains([
-  'google-analytics.com',
-  'googletagmanager.com',
-  'connect.facebook.net',
-  'facebook.com',
-  'hotjar.com',
-  'fullstory.com',
-  'logrocket.com',
-  'mouseflow.com',
-  'smartlook.com',
-  'analytics.tiktok.com',
-  'business-api.tiktok.com',
-  '2o7.net',
-  'omtrdc.net',
-  'demdex.net',
-  'everesttech.net'
-]);
+// Tracker definitions are owned by the background registry (trackers.js)
+async function loadTrackerRegistry() {
+  try {
+    if (typeof browser === 'undefined' || !browser.runtime) {
+      throw new Error('Browser runtime not available');
+    }
+    
+    const response = await browser.runtime.sendMessage({ type: 'GET_TRACKER_REGISTRY' });
+    
+    if (!response || response.error || !Array.isArray(response.trackers)) {
+      throw new Error((response && response.error) || 'Invalid tracker registry response');
+    }
+    
+    const signatures = [];
+    const globals = [];
+    const domains = [];
+    const values = [];
+    
+    for (const tracker of response.trackers) {
+      try {
+        domains.push(...(tracker.domains || []));
+        values.push(...compilePatterns(tracker.valuePatterns));
+        
+        const jsSignatures = tracker.jsSignatures || {};
+        globals.push(...(jsSignatures.globals || []));
+        
+        const patterns = compilePatterns(jsSignatures.patterns);
+        if (patterns.length > 0) {
+          signatures.push({ name: tracker.vendor, patterns });
+        }
+      } catch (error) {
+        logger.log('warn', 'Invalid tracker definition', error, { tracker: tracker && tracker.id });
+      }
+    }
+    
+    return {
+      domains: validateTrackingDomains(domains),
+      globals,
+      signatures,
+      zombie: compilePatterns(response.zombieStoragePatterns),
+      zombieValues: values.concat(compilePatterns(response.zombieValuePatterns)),
+      zombieDatabases: compilePatterns(response.zombieDatabasePatterns)
+    };
+    
+  } catch (error) {
+    logger.log('warn', 'Failed to load tracker registry', error);
+    return null;
+  }
+}
+
+// Allowlist state (background allowlist.js) and fingerprinting mode for this page, or null
+async function getSiteStatus() {
+  try {
+    if (typeof browser === 'undefined' || !browser.runtime) {
+      return null;
+    }
+    
+    const response = await browser.runtime.sendMessage({
+      type: 'GET_SITE_STATUS',
+      url: window.location.href
+    });
+    
+    return response && !response.error ? response : null;
+    
+  } catch (error) {
+    logger.log('warn', 'Failed to get site status', error);
+    return null;
+  }
+}
+
+// Events relayed from page-detector.js and page-fingerprint.js; some arrive before the
+// detector has loaded the registry, so they are queued until a listener is attached
+const PAGE_DETECTOR_EVENT_KINDS = ['ready', 'global', 'dataLayer-push', 'fbq-call', 'ttq-track', 'fingerprint'];
+const pageDetectorEvents = [];
+let pageDetectorListener = null;
+
+// Configuration for the page scripts by event name; each page script announces itself
+// with a "ready" event once it listens, and everything sent so far is sent again then
+const pageScriptConfigs = new Map();
+const readyPageScripts = new Set();
+
+function parsePageDetectorEvent(detail) {
+  try {
+    if (typeof detail !== 'string' || detail.length > 1000) {
+      return null;
+    }
+    
+    const event = JSON.parse(detail);
+    if (!event || !PAGE_DETECTOR_EVENT_KINDS.includes(event.kind) ||
+        typeof event.name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(event.name)) {
+      return null;
+    }
+    
+    return {
+      kind: event.kind,
+      name: event.name,
+      detail: typeof event.detail === 'string' ? event.detail.slice(0, 200) : null,
+      score: typeof event.score === 'number' ? event.score : null,
+      source: typeof event.source === 'string' && /^https?:\/\//.test(event.source) ? event.source.slice(0, 500) : null,
+      mode: typeof event.mode === 'string' ? event.mode : null
+    };
+    
+  } catch (error) {
+    return null;
+  }
+}
+
+// Page globals and fingerprinting APIs are only observable from the page's own context, so
+// both page scripts run there and share one relay. The random channel name keeps other
+// page scripts from listening in.
+function injectPageDetector() {
+  try {
+    if (typeof browser === 'undefined' || !browser.runtime || !document.documentElement) {
+      return null;
+    }
+    
+    const channel = 'nixxer-' + Array.from(crypto.getRandomValues(new Uint32Array(4)), n => n.toString(36)).join('');
+    
+    document.addEventListener(channel, (event) => {
+      const data = parsePageDetectorEvent(event.detail);
+      if (!data) return;
+      
+      if (data.kind === 'ready') {
+        readyPageScripts.add(data.name);
+        pageScriptConfigs.forEach((detail, name) => document.dispatchEvent(new CustomEvent(name, { detail })));
+        return;
+      }
+      
+      if (pageDetectorListener) {
+        pageDetectorListener(data);
+      } else if (pageDetectorEvents.length < 50) {
+        pageDetectorEvents.push(data);
+      }
+    });
+    
+    return injectPageScripts(channel) ? channel : null;
+    
+  } catch (error) {
+    logger.log('warn', 'Failed to inject page detector', error);
+    return null;
+  }
+}
+
+// Both scripts go into one inline <script>, guard first so it wraps canvas and audio APIs
+// before the detector and the page's scripts, and run while appendChild returns. The channel
+// travels only inside the code, and the element is removed straight away; at document_start
+// no page script has run yet to see it. A page whose CSP forbids inline scripts gets no
+// page scripts at all, as a script from the extension's URL would expose both to the page.
+function injectPageScripts(channel) {
+  if (typeof PAGE_SCRIPT_SOURCES === 'undefined') {
+    return false;
+  }
+  
+  const script = document.createElement('script');
+  script.textContent = `(function(channel) {\n${PAGE_SCRIPT_SOURCES.fingerprint}\n${PAGE_SCRIPT_SOURCES.detector}\n})(${JSON.stringify(channel)});`;
+  (document.head || document.documentElement).appendChild(script);
+  script.remove();
+  
+  if (!readyPageScripts.has('fingerprint') || !readyPageScripts.has('detector')) {
+    logger.log('info', 'Page context unavailable, falling back to content script detection');
+    return false;
+  }
+  return true;
+}
+
+// Sends configuration to the page scripts now and again whenever one reports ready
+function sendPageScriptConfig(name, config) {
+  if (!pageDetectorChannel) return;
+  
+  const detail = JSON.stringify(config);
+  pageScriptConfigs.set(`${pageDetectorChannel}:${name}`, detail);
+  document.dispatchEvent(new CustomEvent(`${pageDetectorChannel}:${name}`, { detail }));
+}
 
 // Initialize logger
 const logger = new ContentErrorLogger();
 
+// Injected immediately so the page scripts are in place before the page's own scripts run
+const pageDetectorChannel = injectPageDetector();
+
+// Requested at document_start rather than when the detector starts after DOMContentLoaded,
+// so the guard leaves report-only mode before the page has run most of its scripts
+const pageSiteStatus = getSiteStatus();
+pageSiteStatus.then(configureFingerprintGuard);
+
+// Until this arrives the guard only reports; allowlisted or disabled sites turn it off
+function configureFingerprintGuard(siteStatus) {
+  try {
+    if (!pageDetectorChannel || !siteStatus) return;
+    
+    const mode = siteStatus.allowlisted || siteStatus.enabled === false
+      ? 'off'
+      : siteStatus.fingerprintMode || 'report';
+    
+    sendPageScriptConfig('fingerprint-config', { mode });
+    
+  } catch (error) {
+    logger.log('warn', 'Error configuring fingerprint guard', error);
+  }
+}
+
+// Limits for one zombie storage pass, so pages with large stores stay responsive
+const ZOMBIE_MAX_STORAGE_KEYS = 500;
+const ZOMBIE_MAX_VALUE_LENGTH = 4096;
+const ZOMBIE_MAX_DATABASES = 50;
+const ZOMBIE_MAX_CACHE_ENTRIES = 200;
+
 class SafeNixxerDetector {
   constructor() {
     this.detected = new Set();
@@ -243,6 +399,8 @@ class SafeNixxerDetector {
     this.maxScans = 30;
     this.initialized = false;
     this.initializationError = null;
+    this.registry = null;
+    this.zombieCleanupEnabled = true;
     
     // Safe domain extraction
     try {
@@ -295,8 +453,22 @@ class SafeNixxerDetector {
     }
   }
 
-  init() {
+  async init() {
     try {
+      const siteStatus = await pageSiteStatus;
+      this.zombieCleanupEnabled = !siteStatus || siteStatus.deleteZombieCookies !== false;
+      
+      if (siteStatus && siteStatus.allowlisted) {
+        logger.log('info', 'Site is allowlisted, detection disabled');
+        return;
+      }
+      
+      this.registry = await loadTrackerRegistry();
+      if (!this.registry) {
+        logger.log('warn', 'No tracker registry available, detection disabled');
+        return;
+      }
+      
       // Use requestIdleCallback for better performance if available
       if (typeof window !== 'undefined' && window.requestIdleCallback) {
         window.requestIdleCallback(() => {
@@ -323,10 +495,14 @@ class SafeNixxerDetector {
 
   performSafeDetection() {
     try {
+      if (!this.registry) return;
+      
       logger.log('debug', 'Starting safe detection', null, { domain: this.domain });
       
-      // 1. Safe global checks
-      this.safeDetectTrackerGlobals();
+      // 1. Tracker globals, observed from the page context when the detector is injected
+      if (!this.setupPageDetectorRelay()) {
+        this.safeDetectTrackerGlobals();
+      }
       
       // 2. Safe script scanning
       this.safeScriptScan();
@@ -346,11 +522,84 @@ class SafeNixxerDetector {
     }
   }
 
-  safeDetectTrackerGlobals() {
+  setupPageDetectorRelay() {
     try {
-      const globals = ['gtag', 'ga', 'dataLayer', 'google_tag_manager', '_gaq', 'fbq', '_fbq', 's', 'hj', 'FS', 'LogRocket', 'ttq'];
+      if (!pageDetectorChannel) {
+        return false;
+      }
       
-      for (const global of globals) {
+      sendPageScriptConfig('config', { globals: this.registry.globals });
+      
+      pageDetectorListener = (event) => this.handlePageDetectorEvent(event);
+      pageDetectorEvents.splice(0).forEach(pageDetectorListener);
+      
+      return true;
+      
+    } catch (error) {
+      logger.log('warn', 'Error setting up page detector relay', error);
+      return false;
+    }
+  }
+
+  reportFingerprint(event) {
+    try {
+      let trackingDomain = this.domain;
+      if (event.source) {
+        try {
+          trackingDomain = new URL(event.source).hostname || this.domain;
+        } catch (error) {
+          logger.log('warn', 'Error parsing fingerprinting script URL', error);
+        }
+      }
+      
+      const detectionKey = `fingerprint:${event.name}:${trackingDomain}`;
+      if (this.detected.has(detectionKey)) {
+        return;
+      }
+      this.detected.add(detectionKey);
+      
+      this.sendSafeMessage({
+        type: 'FINGERPRINT_DETECTED',
+        domain: trackingDomain,
+        websiteDomain: this.domain,
+        technique: event.name,
+        details: event.detail,
+        score: event.score,
+        mode: event.mode,
+        source: event.source,
+        timestamp: Date.now(),
+        url: this.getCurrentUrl()
+      });
+      
+    } catch (error) {
+      logger.log('warn', 'Error reporting fingerprinting attempt', error, { technique: event && event.name });
+    }
+  }
+
+  handlePageDetectorEvent(event) {
+    try {
+      if (event.kind === 'fingerprint') {
+        this.reportFingerprint(event);
+        return;
+      }
+      
+      if (event.kind === 'global') {
+        this.safeReport('global', `Global: ${event.name}`, this.domain);
+        return;
+      }
+      
+      const details = event.detail ? `${event.name}: ${event.detail}` : `${event.name} call`;
+      this.safeReport(event.kind, details, this.domain);
+      
+    } catch (error) {
+      logger.log('warn', 'Error handling page detector event', error, { kind: event && event.kind });
+    }
+  }
+
+  // Fallback when the page detector could not be injected; sees only what Xray exposes
+  safeDetectTrackerGlobals() {
+    try {
+      for (const global of this.registry.globals) {
         try {
           if (typeof window !== 'undefined' && typeof window[global] !== 'undefined') {
             this.safeReport('global', `Global: ${global}`, this.domain);
@@ -479,15 +728,7 @@ class SafeNixxerDetector {
       }
       
       // Efficient pattern matching with error handling
-      const patterns = [
-        { name: 'Google Analytics', patterns: COMPILED_PATTERNS.googleAnalytics },
-        { name: 'Facebook', patterns: COMPILED_PATTERNS.facebook },
-        { name: 'Adobe', patterns: COMPILED_PATTERNS.adobe },
-        { name: 'Session Recording', patterns: COMPILED_PATTERNS.sessionRecording },
-        { name: 'TikTok', patterns: COMPILED_PATTERNS.tiktok }
-      ];
-      
-      for (const { name, patterns: patternList } of patterns) {
+      for (const { name, patterns: patternList } of this.registry.signatures) {
         try {
           for (const pattern of patternList) {
             try {
@@ -561,11 +802,12 @@ class SafeNixxerDetector {
       try {
         const url = new URL(src);
         const hostname = url.hostname.toLowerCase();
-        return TRACKING_DOMAINS.has(hostname) || 
-               Array.from(TRACKING_DOMAINS).some(domain => hostname.endsWith('.' + domain));
+        const domains = this.registry.domains;
+        return domains.has(hostname) || 
+               Array.from(domains).some(domain => hostname.endsWith('.' + domain));
       } catch (urlError) {
         // Fallback to string matching if URL parsing fails
-        return Array.from(TRACKING_DOMAINS).some(domain => 
+        return Array.from(this.registry.domains).some(domain => 
           src.toLowerCase().includes(domain.toLowerCase())
         );
       }
@@ -729,8 +971,10 @@ class SafeNixxerDetector {
         }
       }, 25000);
       
-      // Safe DataLayer monitoring setup
-      this.setupSafeDataLayerMonitoring();
+      // The page detector already intercepts dataLayer.push in the page context
+      if (!pageDetectorChannel) {
+        this.setupSafeDataLayerMonitoring();
+      }
       
     } catch (error) {
       logger.log('error', 'Error scheduling safe tasks', error);
@@ -777,59 +1021,294 @@ class SafeNixxerDetector {
     }
   }
 
+  // Tracking IDs backed up in page storage are restored into cookies after Nixxer deletes
+  // them, so every store the page can write to is checked by name and by value
   cleanupZombieStorage() {
     try {
-      if (typeof Storage === 'undefined' || typeof localStorage === 'undefined') {
-        logger.log('debug', 'localStorage not available');
-        return;
+      if (!this.registry || !this.zombieCleanupEnabled) return;
+      
+      this.cleanupZombieWebStorage('localStorage');
+      this.cleanupZombieWebStorage('sessionStorage');
+      this.cleanupZombieWindowName();
+      
+      this.cleanupZombieDatabases().catch(error => {
+        logger.log('warn', 'IndexedDB cleanup failed', error);
+      });
+      
+      this.cleanupZombieCaches().catch(error => {
+        logger.log('warn', 'Cache Storage cleanup failed', error);
+      });
+      
+    } catch (error) {
+      logger.log('warn', 'Zombie storage cleanup failed', error);
+    }
+  }
+
+  matchesZombiePattern(patterns, value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      return false;
+    }
+    
+    for (const pattern of patterns) {
+      try {
+        if (pattern.test(value)) {
+          return true;
+        }
+      } catch (error) {
+        logger.log('warn', 'Error testing zombie pattern', error);
+      }
+    }
+    
+    return false;
+  }
+
+  // Only a value that is an identifier and nothing else; an ID inside a larger value
+  // (JSON app state, a URL) does not make the whole value disposable
+  isZombieValue(value) {
+    if (typeof value !== 'string' || value.length > ZOMBIE_MAX_VALUE_LENGTH) {
+      return false;
+    }
+    
+    const id = value.trim().replace(/^"(.*)"$/, '$1');
+    return id.length > 0 && this.extractZombieIds(id).includes(id);
+  }
+
+  // The identifiers themselves, so the background can tell whether a deleted cookie value came back
+  extractZombieIds(value) {
+    const ids = [];
+    if (typeof value !== 'string' || value.length > ZOMBIE_MAX_VALUE_LENGTH) {
+      return ids;
+    }
+    
+    for (const pattern of this.registry.zombieValues) {
+      try {
+        const match = value.match(pattern);
+        if (match) {
+          const id = match[0].replace(/^[^\w]+|[^\w]+$/g, '');
+          if (id && !ids.includes(id)) {
+            ids.push(id);
+          }
+        }
+      } catch (error) {
+        logger.log('warn', 'Error extracting zombie ID', error);
       }
+    }
+    
+    return ids;
+  }
+
+  reportZombieIds(storeType, ids) {
+    if (ids.length === 0) return;
+    
+    this.sendSafeMessage({
+      type: 'ZOMBIE_IDS_FOUND',
+      domain: this.domain,
+      storeType,
+      ids: ids.slice(0, 20)
+    });
+  }
+
+  // One report per store type and page; handleZombieCookieDetection keeps the types apart
+  reportZombieStorage(storeType, removed) {
+    try {
+      if (removed.length === 0) return;
+      
+      logger.log('debug', 'Zombie storage removed', null, { storeType, removed });
+      
+      // Sent for every removal, not once per store, so the background can count purged keys
+      this.sendSafeMessage({
+        type: 'ZOMBIE_COOKIE_DETECTED',
+        domain: this.domain,
+        method: `zombie-${storeType}`,
+        details: `Removed from ${storeType}: ${removed.slice(0, 5).join(', ')}`,
+        count: removed.length,
+        timestamp: Date.now(),
+        url: this.getCurrentUrl()
+      });
       
-      let cleanedCount = 0;
-      const maxKeys = Math.min(localStorage.length, 30);
+    } catch (error) {
+      logger.log('warn', 'Error reporting zombie storage', error, { storeType });
+    }
+  }
+
+  cleanupZombieWebStorage(storeType) {
+    let storage;
+    try {
+      storage = window[storeType];
+      if (!storage) return;
+    } catch (error) {
+      // Access throws when the page's storage is disabled
+      logger.log('debug', `${storeType} not available`);
+      return;
+    }
+    
+    try {
+      // Collect keys first: removing items while indexing shifts the remaining keys
+      const keys = [];
+      const keyCount = Math.min(storage.length, ZOMBIE_MAX_STORAGE_KEYS);
+      for (let i = 0; i < keyCount; i++) {
+        const key = storage.key(i);
+        if (typeof key === 'string') {
+          keys.push(key);
+        }
+      }
       
-      for (let i = 0; i < maxKeys; i++) {
+      const removed = [];
+      const ids = [];
+      for (const key of keys) {
         try {
-          const key = localStorage.key(i);
-          if (key && typeof key === 'string') {
-            
-            // Safe pattern matching
-            let isZombieKey = false;
-            for (const pattern of COMPILED_PATTERNS.zombie) {
-              try {
-                if (pattern.test(key)) {
-                  isZombieKey = true;
-                  break;
-                }
-              } catch (error) {
-                logger.log('warn', 'Error testing zombie pattern', error);
-              }
-            }
-            
-            if (isZombieKey) {
-              try {
-                localStorage.removeItem(key);
-                cleanedCount++;
-                
-                if (cleanedCount === 1) {
-                  this.safeReport('zombie-storage', `Removed: ${key}`, this.domain);
-                }
-              } catch (removalError) {
-                logger.log('warn', 'Failed to remove zombie storage item', removalError, { key });
-              }
-            }
+          const value = storage.getItem(key);
+          if (this.matchesZombiePattern(this.registry.zombie, key) || this.isZombieValue(value)) {
+            ids.push(...this.extractZombieIds(value));
+            storage.removeItem(key);
+            removed.push(key);
           }
         } catch (error) {
-          logger.log('warn', 'Error processing localStorage key', error);
+          logger.log('warn', 'Failed to remove zombie storage item', error, { storeType, key });
         }
       }
       
-      if (cleanedCount > 0) {
-        logger.log('debug', 'Zombie storage cleanup completed', null, { cleanedCount });
-      }
+      this.reportZombieStorage(storeType, removed);
+      this.reportZombieIds(storeType, ids);
+      
+    } catch (error) {
+      logger.log('warn', `${storeType} cleanup failed`, error);
+    }
+  }
+
+  // window.name survives navigations within the tab, including to other sites
+  cleanupZombieWindowName() {
+    try {
+      const name = window.name;
+      if (!name || !this.isZombieValue(name)) return;
+      
+      window.name = '';
+      this.reportZombieStorage('windowName', ['window.name']);
+      this.reportZombieIds('windowName', this.extractZombieIds(name));
       
     } catch (error) {
-      logger.log('warn', 'localStorage cleanup failed', error);
+      logger.log('warn', 'window.name cleanup failed', error);
+    }
+  }
+
+  async cleanupZombieDatabases() {
+    if (typeof indexedDB === 'undefined' || typeof indexedDB.databases !== 'function') {
+      return;
+    }
+    
+    const databases = (await indexedDB.databases()).slice(0, ZOMBIE_MAX_DATABASES);
+    const removed = [];
+    
+    for (const { name } of databases) {
+      try {
+        if (typeof name !== 'string') continue;
+        
+        if (this.matchesZombiePattern(this.registry.zombieDatabases, name)) {
+          await this.deleteZombieDatabase(name);
+          removed.push(name);
+          continue;
+        }
+        
+        // Otherwise only object stores named like tracker backups are cleared
+        const stores = await this.clearZombieObjectStores(name);
+        removed.push(...stores.map(store => `${name}/${store}`));
+        
+      } catch (error) {
+        logger.log('warn', 'Error cleaning IndexedDB database', error, { name });
+      }
+    }
+    
+    this.reportZombieStorage('indexedDB', removed);
+  }
+
+  deleteZombieDatabase(name) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+      // Open connections in the page delay deletion until they close
+      request.onblocked = () => resolve();
+    });
+  }
+
+  clearZombieObjectStores(name) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name);
+      
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => resolve([]);
+      request.onsuccess = () => {
+        const db = request.result;
+        try {
+          const stores = Array.from(db.objectStoreNames)
+            .filter(store => this.matchesZombiePattern(this.registry.zombie, store) ||
+                             this.matchesZombiePattern(this.registry.zombieDatabases, store));
+          
+          if (stores.length === 0) {
+            db.close();
+            resolve([]);
+            return;
+          }
+          
+          const transaction = db.transaction(stores, 'readwrite');
+          stores.forEach(store => transaction.objectStore(store).clear());
+          transaction.oncomplete = () => {
+            db.close();
+            resolve(stores);
+          };
+          transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+          };
+          
+        } catch (error) {
+          db.close();
+          reject(error);
+        }
+      };
+    });
+  }
+
+  // Tracker-named caches are deleted whole; other caches lose entries fetched from
+  // tracker domains or whose URL carries a tracking ID
+  async cleanupZombieCaches() {
+    if (typeof caches === 'undefined' || typeof caches.keys !== 'function') {
+      return;
+    }
+    
+    const cacheNames = (await caches.keys()).slice(0, ZOMBIE_MAX_DATABASES);
+    const removed = [];
+    const ids = [];
+    
+    for (const cacheName of cacheNames) {
+      try {
+        if (this.matchesZombiePattern(this.registry.zombieDatabases, cacheName)) {
+          if (await caches.delete(cacheName)) {
+            removed.push(cacheName);
+          }
+          continue;
+        }
+        
+        const cache = await caches.open(cacheName);
+        const requests = (await cache.keys()).slice(0, ZOMBIE_MAX_CACHE_ENTRIES);
+        
+        for (const request of requests) {
+          const urlIds = this.extractZombieIds(request.url);
+          if (this.safeIsTrackingScript(request.url) || urlIds.length > 0) {
+            ids.push(...urlIds);
+            if (await cache.delete(request)) {
+              removed.push(`${cacheName}: ${request.url.slice(0, 100)}`);
+            }
+          }
+        }
+        
+      } catch (error) {
+        logger.log('warn', 'Error cleaning cache', error, { cacheName });
+      }
     }
+    
+    this.reportZombieStorage('cacheStorage', removed);
+    this.reportZombieIds('cacheStorage', ids);
   }
 
   safeReport(method, details, targetDomain = null) {
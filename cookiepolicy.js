@@ -0,0 +1,94 @@
+// Nixxer Cookie Policies - What happens to a tracker cookie once it is matched
+//
+// Each tracker category has a policy, and a site can override it for every
+// tracker cookie set while that site is the top-level page. The site a cookie
+// belongs to comes from its partition key (Total Cookie Protection) or its
+// first-party domain (first-party isolation); unpartitioned cookies are taken
+// to belong to their own domain. A "keep" override on facebook.com therefore
+// keeps `datr`/`sb` there, while the same cookies partitioned under other
+// sites follow the social category policy.
+
+const COOKIE_POLICIES = {
+  'delete': 'Delete immediately',
+  'session': 'Keep until the browser closes',
+  'tab-close': 'Delete when the site\'s tabs close',
+  'keep': 'Keep'
+};
+
+const COOKIE_DEFAULT_POLICY = 'delete';
+
+class CookiePolicy {
+  constructor() {
+    this.categoryPolicies = {};
+    this.sitePolicies = new Map();
+  }
+
+  static isValidPolicy(policy) {
+    return Object.prototype.hasOwnProperty.call(COOKIE_POLICIES, policy);
+  }
+
+  configure({ categoryPolicies, sitePolicies } = {}) {
+    if (categoryPolicies && typeof categoryPolicies === 'object') {
+      this.categoryPolicies = Object.fromEntries(
+        Object.entries(categoryPolicies).filter(([, policy]) => CookiePolicy.isValidPolicy(policy))
+      );
+    }
+
+    if (sitePolicies && typeof sitePolicies === 'object') {
+      this.sitePolicies = new Map(
+        Object.entries(sitePolicies).filter(([domain, policy]) => domain && CookiePolicy.isValidPolicy(policy))
+      );
+    }
+  }
+
+  // Hostname of the top-level site a cookie was stored for
+  static getContextHost(cookie) {
+    const topLevelSite = cookie.partitionKey && cookie.partitionKey.topLevelSite;
+    if (topLevelSite) {
+      try {
+        return new URL(topLevelSite).hostname;
+      } catch (error) {
+        // Fall through to the other keys
+      }
+    }
+
+    if (cookie.firstPartyDomain) {
+      return cookie.firstPartyDomain;
+    }
+
+    return (cookie.domain || '').replace(/^\./, '').toLowerCase();
+  }
+
+  // Returns { domain, policy } for the site override covering a hostname, or null
+  getSiteOverride(hostname) {
+    if (typeof hostname !== 'string' || hostname.length === 0 || this.sitePolicies.size === 0) {
+      return null;
+    }
+
+    let candidate = hostname.toLowerCase();
+    while (candidate) {
+      if (this.sitePolicies.has(candidate)) {
+        return { domain: candidate, policy: this.sitePolicies.get(candidate) };
+      }
+      const dot = candidate.indexOf('.');
+      if (dot === -1) break;
+      candidate = candidate.slice(dot + 1);
+    }
+
+    return null;
+  }
+
+  // Returns { policy, source } where source is "site", "category" or "default"
+  resolve(contextHost, category) {
+    const override = this.getSiteOverride(contextHost);
+    if (override) {
+      return { policy: override.policy, source: 'site', domain: override.domain };
+    }
+
+    if (category && this.categoryPolicies[category]) {
+      return { policy: this.categoryPolicies[category], source: 'category' };
+    }
+
+    return { policy: COOKIE_DEFAULT_POLICY, source: 'default' };
+  }
+}
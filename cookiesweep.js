@@ -0,0 +1,142 @@
+// Nixxer Cookie Sweeper - Incremental pass over every cookie store
+//
+// cookies.onChanged only sees cookies written while Nixxer is running, so a
+// periodic sweep catches the rest. A pass walks each store returned by
+// cookies.getAllCookieStores (the default jar, containers and, when allowed,
+// private browsing), enumerating a store once when it is reached and then
+// handing its cookies to the processor in slices bounded by a time budget.
+// Progress is kept between slices, so large jars are covered in full without
+// stalling the background page.
+
+const COOKIE_SWEEP_SLICE_BUDGET = 50;
+const COOKIE_SWEEP_SLICE_DELAY = 1000;
+const COOKIE_SWEEP_PASS_INTERVAL = 30000;
+
+class CookieSweeper {
+  // listStores() resolves to store ids, listCookies(storeId) to that store's cookies,
+  // processCookie(cookie) to the action taken or null
+  constructor({ listStores, listCookies, processCookie, budget = COOKIE_SWEEP_SLICE_BUDGET }) {
+    this.listStores = listStores;
+    this.listCookies = listCookies;
+    this.processCookie = processCookie;
+    this.budget = budget;
+
+    this.pass = null;
+    this.running = false;
+    this.passesCompleted = 0;
+    this.lastPass = null;
+  }
+
+  isPassActive() {
+    return this.pass !== null;
+  }
+
+  startPass(storeIds) {
+    this.pass = {
+      startedAt: Date.now(),
+      storeIds,
+      storeIndex: 0,
+      cookies: null,
+      cookieIndex: 0,
+      cookiesTotal: 0,
+      cookiesScanned: 0,
+      storesScanned: 0,
+      actions: {},
+      errors: 0
+    };
+  }
+
+  // Processes cookies until the budget runs out; resolves to true once the pass is complete
+  async runSlice() {
+    if (this.running) {
+      return false;
+    }
+
+    this.running = true;
+    try {
+      if (!this.pass) {
+        this.startPass(await this.listStores());
+      }
+
+      const pass = this.pass;
+      const deadline = Date.now() + this.budget;
+
+      while (pass.storeIndex < pass.storeIds.length) {
+        if (pass.cookies === null) {
+          pass.cookies = await this.listCookies(pass.storeIds[pass.storeIndex]) || [];
+          pass.cookieIndex = 0;
+          pass.cookiesTotal += pass.cookies.length;
+        }
+
+        while (pass.cookieIndex < pass.cookies.length) {
+          if (Date.now() >= deadline) {
+            return false;
+          }
+
+          const cookie = pass.cookies[pass.cookieIndex++];
+          pass.cookiesScanned++;
+          try {
+            const action = await this.processCookie(cookie);
+            if (action) {
+              pass.actions[action] = (pass.actions[action] || 0) + 1;
+            }
+          } catch (error) {
+            pass.errors++;
+          }
+        }
+
+        pass.cookies = null;
+        pass.storeIndex++;
+        pass.storesScanned++;
+      }
+
+      this.finishPass();
+      return true;
+
+    } finally {
+      this.running = false;
+    }
+  }
+
+  finishPass() {
+    const pass = this.pass;
+    const completedAt = Date.now();
+
+    this.lastPass = {
+      startedAt: pass.startedAt,
+      completedAt,
+      duration: completedAt - pass.startedAt,
+      stores: pass.storeIds.length,
+      cookies: pass.cookiesScanned,
+      actions: pass.actions,
+      errors: pass.errors
+    };
+    this.passesCompleted++;
+    this.pass = null;
+  }
+
+  // Coverage of the pass in progress; stores not yet enumerated are counted as uncovered
+  getStats() {
+    const pass = this.pass;
+    let coverage = 100;
+
+    if (pass) {
+      const storeShare = pass.storeIds.length > 0 ? 100 / pass.storeIds.length : 100;
+      const inStore = pass.cookies && pass.cookies.length > 0 ? pass.cookieIndex / pass.cookies.length : 0;
+      coverage = Math.min(100, Math.floor((pass.storeIndex + inStore) * storeShare));
+    }
+
+    return {
+      passActive: pass !== null,
+      coverage,
+      passesCompleted: this.passesCompleted,
+      currentPass: pass ? {
+        startedAt: pass.startedAt,
+        stores: pass.storeIds.length,
+        storesScanned: pass.storesScanned,
+        cookiesScanned: pass.cookiesScanned
+      } : null,
+      lastPass: this.lastPass
+    };
+  }
+}
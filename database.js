@@ -0,0 +1,121 @@
+// Nixxer Database - Versioned IndexedDB shared by the background modules
+//
+// Data that grows with browsing (detection events, detected domains and trend buckets)
+// lives in one IndexedDB database instead of storage.local, so it can be
+// written a record at a time and queried through indexes. The schema is
+// versioned: DATABASE_UPGRADES holds one step per version, and opening an
+// older database runs every step above its version in order.
+
+const DATABASE_NAME = 'nixxer';
+const DATABASE_VERSION = 3;
+const DATABASE_OPEN_TIMEOUT = 10000;
+
+const DATABASE_UPGRADES = {
+  1: (db) => {
+    const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+    events.createIndex('timestamp', 'timestamp');
+    events.createIndex('site', 'site');
+    events.createIndex('vendor', 'vendor');
+    events.createIndex('method', 'method');
+  },
+
+  // Detected domains, previously one storage.local object rewritten on every save
+  2: (db) => {
+    const domains = db.createObjectStore('domains', { keyPath: 'domain' });
+    domains.createIndex('lastSeen', 'lastSeen');
+    domains.createIndex('websiteDomain', 'websiteDomain');
+    domains.createIndex('vendor', 'vendor');
+  },
+
+  // Hourly and daily trend buckets, previously saved with the settings blob after every event
+  3: (db) => {
+    db.createObjectStore('timeseries', { keyPath: 'id' });
+  }
+};
+
+class NixxerDatabase {
+  constructor(name = DATABASE_NAME, version = DATABASE_VERSION) {
+    this.name = name;
+    this.version = version;
+    this.db = null;
+    this.opening = null;
+  }
+
+  // Resolves with the result of an IDBRequest
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Resolves once a transaction has committed
+  static complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB not available'));
+          return;
+        }
+
+        const timer = setTimeout(() => reject(new Error('Timed out opening database')), DATABASE_OPEN_TIMEOUT);
+        const request = indexedDB.open(this.name, this.version);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          for (let version = event.oldVersion + 1; version <= this.version; version++) {
+            if (DATABASE_UPGRADES[version]) {
+              DATABASE_UPGRADES[version](db, request.transaction);
+            }
+          }
+        };
+
+        request.onsuccess = () => {
+          clearTimeout(timer);
+          this.db = request.result;
+          // Another page upgrading the schema needs this connection closed
+          this.db.onversionchange = () => this.close();
+          resolve(this.db);
+        };
+
+        request.onerror = () => {
+          clearTimeout(timer);
+          reject(request.error);
+        };
+
+        request.onblocked = () => {
+          clearTimeout(timer);
+          reject(new Error('Database upgrade blocked by another connection'));
+        };
+      }).finally(() => {
+        this.opening = null;
+      });
+    }
+
+    return this.opening;
+  }
+
+  async transaction(storeNames, mode = 'readonly') {
+    const db = await this.open();
+    return db.transaction(storeNames, mode);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
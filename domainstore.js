@@ -0,0 +1,171 @@
+// Nixxer Domain Store - Detected domains cached in memory, persisted per record
+//
+// The background reads detected domains synchronously on the request path, so
+// they stay in a Map. Writes are tracked instead of re-serializing the whole
+// list: set() and delete() record the key, code that changes an entry in place
+// calls touch(), and flush() upserts or deletes just those records in the
+// IndexedDB `domains` store.
+
+class DetectedDomainStore extends Map {
+  constructor(database) {
+    super();
+    this.database = database;
+    this.dirty = new Set();
+    this.removed = new Set();
+    this.flushing = null;
+  }
+
+  set(domain, data) {
+    super.set(domain, data);
+    this.dirty.add(domain);
+    this.removed.delete(domain);
+    return this;
+  }
+
+  delete(domain) {
+    const existed = super.delete(domain);
+    if (existed) {
+      this.dirty.delete(domain);
+      this.removed.add(domain);
+    }
+    return existed;
+  }
+
+  clear() {
+    for (const domain of this.keys()) {
+      this.removed.add(domain);
+    }
+    this.dirty.clear();
+    super.clear();
+  }
+
+  // Empties the map and the database store, including records that never loaded
+  async reset() {
+    super.clear();
+    this.dirty.clear();
+    this.removed.clear();
+
+    const transaction = await this.database.transaction('domains', 'readwrite');
+    transaction.objectStore('domains').clear();
+    await NixxerDatabase.complete(transaction);
+  }
+
+  // Marks an entry changed in place
+  touch(domain) {
+    if (this.has(domain)) {
+      this.dirty.add(domain);
+    }
+  }
+
+  get pendingChanges() {
+    return this.dirty.size + this.removed.size;
+  }
+
+  static toRecord(domain, data) {
+    const record = { ...data, domain };
+    // Absent values keep records out of the index instead of indexing null
+    for (const key of ['websiteDomain', 'vendor']) {
+      if (record[key] === null || record[key] === undefined) {
+        delete record[key];
+      }
+    }
+    return record;
+  }
+
+  async load() {
+    const transaction = await this.database.transaction('domains');
+    const records = await NixxerDatabase.request(transaction.objectStore('domains').getAll());
+
+    super.clear();
+    for (const { domain, ...data } of records) {
+      super.set(domain, data);
+    }
+    this.dirty.clear();
+    this.removed.clear();
+
+    return this.size;
+  }
+
+  // Writes every changed entry in one transaction; on failure the changes stay pending
+  async flush() {
+    if (this.flushing) {
+      await this.flushing.catch(() => {});
+    }
+
+    if (this.pendingChanges === 0) {
+      return 0;
+    }
+
+    const dirty = Array.from(this.dirty);
+    const removed = Array.from(this.removed);
+    this.dirty.clear();
+    this.removed.clear();
+
+    this.flushing = (async () => {
+      try {
+        const transaction = await this.database.transaction('domains', 'readwrite');
+        const store = transaction.objectStore('domains');
+
+        for (const domain of dirty) {
+          if (this.has(domain)) {
+            store.put(DetectedDomainStore.toRecord(domain, this.get(domain)));
+          }
+        }
+        for (const domain of removed) {
+          store.delete(domain);
+        }
+
+        await NixxerDatabase.complete(transaction);
+        return dirty.length + removed.length;
+
+      } catch (error) {
+        dirty.forEach(domain => {
+          if (this.has(domain)) this.dirty.add(domain);
+        });
+        removed.forEach(domain => {
+          if (!this.has(domain)) this.removed.add(domain);
+        });
+        throw error;
+
+      } finally {
+        this.flushing = null;
+      }
+    })();
+
+    return this.flushing;
+  }
+
+  // Resolves to records most recently seen first, optionally limited to one website or vendor
+  async query({ websiteDomain = null, vendor = null, limit = 100 } = {}) {
+    await this.flush().catch(() => {});
+
+    const transaction = await this.database.transaction('domains');
+    const store = transaction.objectStore('domains');
+    const max = Math.max(1, parseInt(limit) || 100);
+
+    if (websiteDomain || vendor) {
+      const index = store.index(websiteDomain ? 'websiteDomain' : 'vendor');
+      const records = await NixxerDatabase.request(index.getAll(IDBKeyRange.only(websiteDomain || vendor)));
+      return records
+        .filter(record => !vendor || record.vendor === vendor)
+        .sort((a, b) => b.lastSeen - a.lastSeen)
+        .slice(0, max);
+    }
+
+    const records = [];
+    await new Promise((resolve, reject) => {
+      const request = store.index('lastSeen').openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || records.length >= max) {
+          resolve();
+          return;
+        }
+        records.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return records;
+  }
+}
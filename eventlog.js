@@ -0,0 +1,235 @@
+// Nixxer Event Log - Append-only history of detections in IndexedDB
+//
+// Every decision Nixxer makes about a tracker is appended as one event: when,
+// on which tab and site, which tracker domain and vendor, how it was found,
+// what was done and which rule matched. Events are buffered and written in
+// batches, and rotated out once they pass EVENT_LOG_MAX_AGE or the log grows
+// past EVENT_LOG_MAX_EVENTS. Queries filter by time range, site, vendor,
+// method and action, newest first.
+
+const EVENT_LOG_MAX_EVENTS = 50000;
+const EVENT_LOG_MAX_AGE = 90 * 24 * 60 * 60 * 1000;
+const EVENT_LOG_FLUSH_DELAY = 2000;
+const EVENT_LOG_FLUSH_SIZE = 200;
+const EVENT_LOG_PENDING_LIMIT = 5000;
+const EVENT_LOG_QUERY_LIMIT = 1000;
+
+const EVENT_ACTIONS = {
+  'blocked': 'Blocked',
+  'allowed': 'Allowed',
+  'detected': 'Detected',
+  'deleted': 'Cookie deleted',
+  'session': 'Cookie made session-only',
+  'tab-close': 'Cookie deleted when tabs close',
+  'stripped': 'Stripped',
+  'purged': 'Storage purged'
+};
+
+class DetectionEventLog {
+  constructor(database) {
+    this.database = database;
+    this.pending = [];
+    this.flushTimer = null;
+    this.flushing = null;
+    this.dropped = 0;
+  }
+
+  static normalizeEvent(event) {
+    const text = (value, max = 500) => (value === null || value === undefined ? null : String(value).slice(0, max));
+
+    return {
+      timestamp: typeof event.timestamp === 'number' ? event.timestamp : Date.now(),
+      tabId: Number.isInteger(event.tabId) ? event.tabId : -1,
+      website: text(event.website, 253),
+      site: text(event.site, 253),
+      domain: text(event.domain, 253),
+      vendor: text(event.vendor, 100),
+      trackerId: text(event.trackerId, 100),
+      category: text(event.category, 50),
+      method: text(event.method, 50) || 'unknown',
+      action: text(event.action, 20) || 'detected',
+      rule: text(event.rule),
+      reason: text(event.reason),
+      cookieStoreId: text(event.cookieStoreId, 100)
+    };
+  }
+
+  record(event) {
+    this.pending.push(DetectionEventLog.normalizeEvent(event));
+
+    // If the database stays unavailable, keep memory bounded by dropping the oldest buffered events
+    if (this.pending.length > EVENT_LOG_PENDING_LIMIT) {
+      this.dropped += this.pending.length - EVENT_LOG_PENDING_LIMIT;
+      this.pending.splice(0, this.pending.length - EVENT_LOG_PENDING_LIMIT);
+    }
+
+    if (this.pending.length >= EVENT_LOG_FLUSH_SIZE) {
+      this.flush().catch(() => {});
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flush().catch(() => {});
+      }, EVENT_LOG_FLUSH_DELAY);
+    }
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.flushing) {
+      await this.flushing;
+    }
+
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    const batch = this.pending;
+    this.pending = [];
+
+    this.flushing = (async () => {
+      try {
+        const transaction = await this.database.transaction('events', 'readwrite');
+        const store = transaction.objectStore('events');
+        batch.forEach(event => store.add(event));
+        await NixxerDatabase.complete(transaction);
+      } catch (error) {
+        // Put the batch back so the next flush retries it
+        this.pending = batch.concat(this.pending).slice(-EVENT_LOG_PENDING_LIMIT);
+        throw error;
+      } finally {
+        this.flushing = null;
+      }
+    })();
+
+    return this.flushing;
+  }
+
+  // Deletes events older than maxAge, then the oldest events above maxEvents; resolves to the number removed
+  async rotate({ maxEvents = EVENT_LOG_MAX_EVENTS, maxAge = EVENT_LOG_MAX_AGE } = {}) {
+    await this.flush();
+
+    const transaction = await this.database.transaction('events', 'readwrite');
+    const store = transaction.objectStore('events');
+    const byTime = store.index('timestamp');
+    let removed = 0;
+
+    await new Promise((resolve, reject) => {
+      const request = byTime.openCursor(IDBKeyRange.upperBound(Date.now() - maxAge, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    let excess = (await NixxerDatabase.request(store.count())) - maxEvents;
+    if (excess > 0) {
+      await new Promise((resolve, reject) => {
+        const request = byTime.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || excess <= 0) {
+            resolve();
+            return;
+          }
+          cursor.delete();
+          removed++;
+          excess--;
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    await NixxerDatabase.complete(transaction);
+    return removed;
+  }
+
+  // Picks the most selective index for the filter; the remaining fields are checked per event
+  static getQueryRange(filter) {
+    if (filter.site) return { index: 'site', range: IDBKeyRange.only(filter.site) };
+    if (filter.vendor) return { index: 'vendor', range: IDBKeyRange.only(filter.vendor) };
+    if (filter.method) return { index: 'method', range: IDBKeyRange.only(filter.method) };
+
+    const from = typeof filter.from === 'number' ? filter.from : 0;
+    const to = typeof filter.to === 'number' ? filter.to : Date.now();
+    return { index: 'timestamp', range: IDBKeyRange.bound(from, to) };
+  }
+
+  static matches(event, filter) {
+    return (typeof filter.from !== 'number' || event.timestamp >= filter.from) &&
+           (typeof filter.to !== 'number' || event.timestamp <= filter.to) &&
+           (!filter.site || event.site === filter.site) &&
+           (!filter.vendor || event.vendor === filter.vendor) &&
+           (!filter.method || event.method === filter.method) &&
+           (!filter.action || event.action === filter.action) &&
+           (!filter.domain || event.domain === filter.domain);
+  }
+
+  // Resolves to { events, total, summary } with up to `limit` matching events, newest first,
+  // and counts by vendor, method and action over every match
+  async query(filter = {}) {
+    await this.flush().catch(() => {});
+
+    const limit = Math.max(1, Math.min(EVENT_LOG_QUERY_LIMIT, parseInt(filter.limit) || 100));
+    const { index, range } = DetectionEventLog.getQueryRange(filter);
+    const transaction = await this.database.transaction('events');
+    const source = transaction.objectStore('events').index(index);
+
+    const events = [];
+    const summary = { vendors: {}, methods: {}, actions: {}, sites: {} };
+    let total = 0;
+
+    await new Promise((resolve, reject) => {
+      // Within a single-value index range, entries are ordered by primary key, i.e. insertion time
+      const request = source.openCursor(range, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        const event = cursor.value;
+        if (DetectionEventLog.matches(event, filter)) {
+          total++;
+          if (events.length < limit) {
+            events.push(event);
+          }
+          const vendor = event.vendor || event.domain || 'unknown';
+          summary.vendors[vendor] = (summary.vendors[vendor] || 0) + 1;
+          summary.methods[event.method] = (summary.methods[event.method] || 0) + 1;
+          summary.actions[event.action] = (summary.actions[event.action] || 0) + 1;
+          if (event.site) {
+            summary.sites[event.site] = (summary.sites[event.site] || 0) + 1;
+          }
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return { events, total, summary };
+  }
+
+  async count() {
+    const transaction = await this.database.transaction('events');
+    return NixxerDatabase.request(transaction.objectStore('events').count());
+  }
+
+  async clear() {
+    this.pending = [];
+    const transaction = await this.database.transaction('events', 'readwrite');
+    transaction.objectStore('events').clear();
+    await NixxerDatabase.complete(transaction);
+  }
+}
@@ -0,0 +1,704 @@
+// Nixxer Filter Lists - External blocklists in Adblock Plus / EasyPrivacy syntax
+//
+// Supported network rules: `||domain^` host anchors, `|` start/end anchors, path
+// and substring rules with `*` and `^`, `@@` exceptions, and the `$third-party`,
+// `$script` (and other resource types) and `$domain=` options. Cosmetic rules,
+// regex rules and options we cannot honour are skipped so they never over-block.
+
+// Filter resource type options mapped to webRequest resource types
+const FILTER_TYPE_OPTIONS = {
+  'script': ['script'],
+  'image': ['image', 'imageset'],
+  'stylesheet': ['stylesheet'],
+  'css': ['stylesheet'],
+  'xmlhttprequest': ['xmlhttprequest'],
+  'xhr': ['xmlhttprequest'],
+  'subdocument': ['sub_frame'],
+  'frame': ['sub_frame'],
+  'ping': ['ping', 'beacon'],
+  'object': ['object', 'object_subrequest'],
+  'media': ['media'],
+  'font': ['font'],
+  'websocket': ['websocket'],
+  'other': ['other', 'csp_report', 'xslt', 'xml_dtd', 'web_manifest', 'speculative']
+};
+
+// Options that do not change which requests a rule matches
+const FILTER_NEUTRAL_OPTIONS = new Set(['important', 'match-case']);
+
+const FILTER_TOKEN_PATTERN = /[a-z0-9%]{3,}/g;
+
+class FilterListParser {
+  // Returns { rules, skipped } for the text of a filter list
+  static parse(text, listId = null) {
+    const rules = [];
+    let skipped = 0;
+
+    if (typeof text !== 'string') {
+      return { rules, skipped };
+    }
+
+    const lines = text.split(/\r?\n/);
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+
+      if (!line || line.startsWith('!') || line.startsWith('[')) {
+        continue;
+      }
+
+      try {
+        const rule = this.parseRule(line, listId);
+        if (rule) {
+          rules.push(rule);
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    return { rules, skipped };
+  }
+
+  static parseRule(line, listId = null) {
+    // Element hiding and scriptlet rules are cosmetic, not network rules
+    if (/#[@?$%]?#|#@[$%?]#/.test(line)) {
+      return null;
+    }
+
+    let text = line;
+    const exception = text.startsWith('@@');
+    if (exception) {
+      text = text.slice(2);
+    }
+
+    let pattern = text;
+    let optionText = '';
+    const optionIndex = text.lastIndexOf('$');
+    if (optionIndex !== -1 && !/^\/.*\/$/.test(text)) {
+      pattern = text.slice(0, optionIndex);
+      optionText = text.slice(optionIndex + 1);
+    }
+
+    // Raw regex rules are too costly to evaluate on every request
+    if (pattern.length > 1 && pattern.startsWith('/') && pattern.endsWith('/')) {
+      return null;
+    }
+
+    const options = this.parseOptions(optionText);
+    if (!options) {
+      return null;
+    }
+
+    if (pattern === '' || pattern === '*' || pattern === '||' || pattern === '|') {
+      // A bare option rule (e.g. `$third-party,script`) would match everything
+      return null;
+    }
+
+    const rule = {
+      text: line,
+      listId,
+      exception,
+      pattern,
+      matchCase: options.matchCase,
+      types: options.types,
+      excludedTypes: options.excludedTypes,
+      thirdParty: options.thirdParty,
+      includeDomains: options.includeDomains,
+      excludeDomains: options.excludeDomains,
+      hostAnchor: null,
+      hostOnly: false,
+      regex: null
+    };
+
+    if (pattern.startsWith('||')) {
+      const hostMatch = pattern.slice(2).match(/^[a-z0-9.-]+/i);
+      if (hostMatch) {
+        const host = hostMatch[0].toLowerCase().replace(/\.$/, '');
+        const rest = pattern.slice(2 + hostMatch[0].length);
+
+        // A wildcard directly after the host means the host itself is partial
+        if (host && !rest.startsWith('*') && !rest.startsWith('.')) {
+          rule.hostAnchor = host;
+          rule.hostOnly = rest === '' || rest === '^' || rest === '^|';
+        }
+      }
+    }
+
+    return rule;
+  }
+
+  static parseOptions(optionText) {
+    const parsed = {
+      matchCase: false,
+      types: null,
+      excludedTypes: null,
+      thirdParty: null,
+      includeDomains: [],
+      excludeDomains: []
+    };
+
+    if (!optionText) {
+      return parsed;
+    }
+
+    for (const rawOption of optionText.split(',')) {
+      const option = rawOption.trim().toLowerCase();
+      if (!option) continue;
+
+      const negated = option.startsWith('~');
+      const name = negated ? option.slice(1) : option;
+
+      if (name === 'third-party' || name === '3p') {
+        parsed.thirdParty = !negated;
+      } else if (name === 'first-party' || name === '1p') {
+        parsed.thirdParty = negated;
+      } else if (name === 'match-case') {
+        parsed.matchCase = true;
+      } else if (name.startsWith('domain=')) {
+        for (const domain of rawOption.trim().slice(7).split('|')) {
+          const cleanDomain = domain.trim().toLowerCase();
+          if (!cleanDomain) continue;
+          if (cleanDomain.startsWith('~')) {
+            parsed.excludeDomains.push(cleanDomain.slice(1));
+          } else {
+            parsed.includeDomains.push(cleanDomain);
+          }
+        }
+      } else if (FILTER_TYPE_OPTIONS[name]) {
+        const key = negated ? 'excludedTypes' : 'types';
+        if (!parsed[key]) {
+          parsed[key] = new Set();
+        }
+        FILTER_TYPE_OPTIONS[name].forEach(type => parsed[key].add(type));
+      } else if (!FILTER_NEUTRAL_OPTIONS.has(name)) {
+        // Unsupported option (redirect, csp, removeparam, popup, ...) - skip the rule
+        return null;
+      }
+    }
+
+    return parsed;
+  }
+
+  static patternToRegExp(pattern, matchCase = false) {
+    let source = '';
+    let start = 0;
+    let end = pattern.length;
+
+    if (pattern.startsWith('||')) {
+      source = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?';
+      start = 2;
+    } else if (pattern.startsWith('|')) {
+      source = '^';
+      start = 1;
+    }
+
+    const anchoredEnd = end > start && pattern.endsWith('|');
+    if (anchoredEnd) {
+      end--;
+    }
+
+    for (let i = start; i < end; i++) {
+      const char = pattern[i];
+      if (char === '*') {
+        source += '.*';
+      } else if (char === '^') {
+        source += '(?:[^\\w.%-]|$)';
+      } else {
+        source += char.replace(/[.+?${}()|[\]\\\/]/g, '\\$&');
+      }
+    }
+
+    if (anchoredEnd) {
+      source += '$';
+    }
+
+    return new RegExp(source, matchCase ? '' : 'i');
+  }
+
+  // The longest token that must appear as a whole word in any matching URL
+  static getRuleToken(pattern) {
+    const body = pattern.toLowerCase();
+    let best = null;
+
+    FILTER_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = FILTER_TOKEN_PATTERN.exec(body)) !== null) {
+      const startIndex = match.index;
+      const endIndex = startIndex + match[0].length;
+      const before = startIndex > 0 ? body[startIndex - 1] : null;
+      const after = endIndex < body.length ? body[endIndex] : null;
+
+      if (before === null || before === '*' || after === null || after === '*') {
+        continue;
+      }
+
+      if (!best || match[0].length > best.length) {
+        best = match[0];
+      }
+    }
+
+    return best;
+  }
+}
+
+class FilterListMatcher {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.hostRules = new Map();
+    this.tokenRules = new Map();
+    this.genericRules = [];
+    this.ruleCount = 0;
+  }
+
+  addRules(rules) {
+    for (const rule of rules) {
+      this.ruleCount++;
+
+      if (rule.hostAnchor) {
+        this.addToIndex(this.hostRules, rule.hostAnchor, rule);
+        continue;
+      }
+
+      const token = FilterListParser.getRuleToken(rule.pattern);
+      if (token) {
+        this.addToIndex(this.tokenRules, token, rule);
+      } else {
+        this.genericRules.push(rule);
+      }
+    }
+  }
+
+  addToIndex(index, key, rule) {
+    const bucket = index.get(key);
+    if (bucket) {
+      bucket.push(rule);
+    } else {
+      index.set(key, [rule]);
+    }
+  }
+
+  // request: { url, hostname, type, thirdParty, pageHostname }
+  // Returns the matching blocking rule, or null when nothing (or an exception) matches
+  match(request) {
+    if (this.ruleCount === 0 || !request || typeof request.url !== 'string') {
+      return null;
+    }
+
+    const candidates = this.collectCandidates(request);
+    let blockingRule = null;
+
+    for (const rule of candidates) {
+      if (!rule.exception && !blockingRule && this.ruleMatches(rule, request)) {
+        blockingRule = rule;
+      }
+    }
+
+    if (!blockingRule) {
+      return null;
+    }
+
+    for (const rule of candidates) {
+      if (rule.exception && this.ruleMatches(rule, request)) {
+        return null;
+      }
+    }
+
+    return blockingRule;
+  }
+
+  collectCandidates(request) {
+    const candidates = [];
+    const hostname = (request.hostname || '').toLowerCase();
+
+    let candidateHost = hostname;
+    while (candidateHost) {
+      const bucket = this.hostRules.get(candidateHost);
+      if (bucket) candidates.push(...bucket);
+      const dot = candidateHost.indexOf('.');
+      if (dot === -1) break;
+      candidateHost = candidateHost.slice(dot + 1);
+    }
+
+    const tokens = request.url.toLowerCase().match(FILTER_TOKEN_PATTERN) || [];
+    const seenTokens = new Set();
+    for (const token of tokens) {
+      if (seenTokens.has(token)) continue;
+      seenTokens.add(token);
+      const bucket = this.tokenRules.get(token);
+      if (bucket) candidates.push(...bucket);
+    }
+
+    candidates.push(...this.genericRules);
+    return candidates;
+  }
+
+  ruleMatches(rule, request) {
+    if (rule.types && !rule.types.has(request.type)) {
+      return false;
+    }
+
+    if (rule.excludedTypes && rule.excludedTypes.has(request.type)) {
+      return false;
+    }
+
+    if (rule.thirdParty !== null && rule.thirdParty !== Boolean(request.thirdParty)) {
+      return false;
+    }
+
+    if (rule.includeDomains.length > 0 || rule.excludeDomains.length > 0) {
+      const pageHostname = (request.pageHostname || '').toLowerCase();
+      const onDomain = domain => pageHostname === domain || pageHostname.endsWith('.' + domain);
+
+      if (rule.includeDomains.length > 0 && !rule.includeDomains.some(onDomain)) {
+        return false;
+      }
+      if (rule.excludeDomains.some(onDomain)) {
+        return false;
+      }
+    }
+
+    if (rule.hostOnly) {
+      return true;
+    }
+
+    if (!rule.regex) {
+      rule.regex = FilterListParser.patternToRegExp(rule.pattern, rule.matchCase);
+    }
+
+    return rule.regex.test(request.url);
+  }
+}
+
+class FilterListManager {
+  constructor() {
+    this.lists = [];
+    this.matcher = new FilterListMatcher();
+    this.updateIntervalHours = 24;
+    this.refreshing = new Set();
+  }
+
+  async load() {
+    try {
+      const data = await withTimeout(
+        browser.storage.local.get(['filterLists', 'filterListData']),
+        5000
+      );
+
+      this.lists = Array.isArray(data.filterLists) ? data.filterLists : [];
+      this.rebuild(data.filterListData || {});
+
+      logger.log('info', `Loaded ${this.lists.length} filter lists with ${this.matcher.ruleCount} rules`);
+
+    } catch (error) {
+      logger.log('error', 'Failed to load filter lists', error);
+      this.lists = [];
+      this.matcher.clear();
+    }
+  }
+
+  rebuild(textById) {
+    this.matcher.clear();
+
+    for (const list of this.lists) {
+      try {
+        if (!list.enabled || typeof textById[list.id] !== 'string') {
+          continue;
+        }
+
+        const { rules, skipped } = FilterListParser.parse(textById[list.id], list.id);
+        list.ruleCount = rules.length;
+        list.skippedCount = skipped;
+        this.matcher.addRules(rules);
+
+      } catch (error) {
+        logger.log('warn', 'Failed to parse filter list', error, { listId: list.id });
+        list.lastError = error.message;
+      }
+    }
+  }
+
+  async reload() {
+    const data = await browser.storage.local.get(['filterListData']);
+    this.rebuild(data.filterListData || {});
+  }
+
+  async saveList(list, text = null) {
+    const data = await browser.storage.local.get(['filterListData']);
+    const textById = data.filterListData || {};
+
+    if (text !== null) {
+      textById[list.id] = text;
+    }
+
+    await withRetry(() => browser.storage.local.set({
+      filterLists: this.lists,
+      filterListData: textById
+    }));
+
+    this.rebuild(textById);
+  }
+
+  createList(title, url, source) {
+    return {
+      id: `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      title: title || url || 'Local filter list',
+      url: url || null,
+      source,
+      enabled: true,
+      ruleCount: 0,
+      skippedCount: 0,
+      lastUpdated: null,
+      lastError: null
+    };
+  }
+
+  async addSubscription(url, title = null) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw new Error('Invalid filter list URL');
+    }
+
+    if (!['https:', 'http:'].includes(parsedUrl.protocol)) {
+      throw new Error('Filter list URL must use http or https');
+    }
+
+    if (this.lists.some(list => list.url === parsedUrl.href)) {
+      throw new Error('Filter list is already subscribed');
+    }
+
+    const list = this.createList(title, parsedUrl.href, 'url');
+    this.lists.push(list);
+    await this.refresh(list.id);
+    return list;
+  }
+
+  async importText(title, text) {
+    if (typeof text !== 'string' || text.length === 0) {
+      throw new Error('Filter list is empty');
+    }
+
+    const { rules } = FilterListParser.parse(text);
+    if (rules.length === 0) {
+      throw new Error('No supported filter rules found');
+    }
+
+    const list = this.createList(title, null, 'file');
+    list.lastUpdated = Date.now();
+    this.lists.push(list);
+    await this.saveList(list, text);
+    return list;
+  }
+
+  async refresh(listId) {
+    const list = this.lists.find(item => item.id === listId);
+    if (!list) {
+      throw new Error('Filter list not found');
+    }
+
+    if (list.source !== 'url' || this.refreshing.has(listId)) {
+      return list;
+    }
+
+    this.refreshing.add(listId);
+    try {
+      const response = await withTimeout(
+        fetch(list.url, { cache: 'no-cache', credentials: 'omit' }),
+        30000
+      );
+
+      if (!response.ok) {
+        throw new Error(`Download failed with status ${response.status}`);
+      }
+
+      const text = await response.text();
+      const { rules } = FilterListParser.parse(text);
+      if (rules.length === 0) {
+        throw new Error('No supported filter rules found');
+      }
+
+      list.lastUpdated = Date.now();
+      list.lastError = null;
+      await this.saveList(list, text);
+
+      logger.log('info', 'Filter list refreshed', null, { listId, ruleCount: list.ruleCount });
+
+    } catch (error) {
+      list.lastError = error.message;
+      list.lastAttempt = Date.now();
+      logger.log('warn', 'Failed to refresh filter list', error, { listId, url: list.url });
+      await browser.storage.local.set({ filterLists: this.lists });
+    } finally {
+      this.refreshing.delete(listId);
+    }
+
+    return list;
+  }
+
+  async refreshStale() {
+    const maxAge = this.updateIntervalHours * 60 * 60 * 1000;
+    const now = Date.now();
+
+    for (const list of this.lists) {
+      const lastChecked = Math.max(list.lastUpdated || 0, list.lastAttempt || 0);
+      if (list.enabled && list.source === 'url' && now - lastChecked >= maxAge) {
+        await this.refresh(list.id);
+      }
+    }
+  }
+
+  async refreshAll() {
+    for (const list of this.lists) {
+      if (list.enabled && list.source === 'url') {
+        await this.refresh(list.id);
+      }
+    }
+  }
+
+  async remove(listId) {
+    const data = await browser.storage.local.get(['filterListData']);
+    const textById = data.filterListData || {};
+    delete textById[listId];
+
+    this.lists = this.lists.filter(list => list.id !== listId);
+    await browser.storage.local.set({ filterLists: this.lists, filterListData: textById });
+    this.rebuild(textById);
+  }
+
+  async setEnabled(listId, enabled) {
+    const list = this.lists.find(item => item.id === listId);
+    if (!list) {
+      throw new Error('Filter list not found');
+    }
+
+    list.enabled = Boolean(enabled);
+    await browser.storage.local.set({ filterLists: this.lists });
+    await this.reload();
+  }
+
+  // Subscriptions as sync shares them: the address and choices, not the downloaded rules
+  getSubscriptions() {
+    return this.lists
+      .filter(list => list.source === 'url')
+      .map(({ url, title, enabled }) => ({ url, title, enabled }));
+  }
+
+  // Adds, updates and removes URL subscriptions to match; resolves to the added lists, which
+  // have no rules until they are refreshed
+  async applySubscriptions(subscriptions) {
+    const wanted = new Map();
+    for (const subscription of Array.isArray(subscriptions) ? subscriptions : []) {
+      if (subscription && typeof subscription.url === 'string' && /^https?:\/\//.test(subscription.url)) {
+        wanted.set(subscription.url, subscription);
+      }
+    }
+
+    const data = await browser.storage.local.get(['filterListData']);
+    const textById = data.filterListData || {};
+
+    this.lists = this.lists.filter(list => {
+      if (list.source === 'url' && !wanted.has(list.url)) {
+        delete textById[list.id];
+        return false;
+      }
+      return true;
+    });
+
+    const added = [];
+    for (const [url, subscription] of wanted) {
+      const existing = this.lists.find(list => list.source === 'url' && list.url === url);
+      if (existing) {
+        existing.title = subscription.title || existing.title;
+        existing.enabled = subscription.enabled !== false;
+      } else {
+        const list = this.createList(subscription.title || null, url, 'url');
+        list.enabled = subscription.enabled !== false;
+        this.lists.push(list);
+        added.push(list);
+      }
+    }
+
+    await withRetry(() => browser.storage.local.set({ filterLists: this.lists, filterListData: textById }));
+    this.rebuild(textById);
+    return added;
+  }
+
+  // Imported lists exist only as their text, so sync carries the rules themselves
+  async getFileLists() {
+    const data = await browser.storage.local.get(['filterListData']);
+    const textById = data.filterListData || {};
+
+    return this.lists
+      .filter(list => list.source === 'file' && typeof textById[list.id] === 'string')
+      .map(list => ({ title: list.title, enabled: list.enabled, text: textById[list.id] }));
+  }
+
+  async applyFileLists(fileLists) {
+    const remaining = (Array.isArray(fileLists) ? fileLists : [])
+      .filter(list => list && typeof list.text === 'string' && list.text.length > 0);
+
+    const data = await browser.storage.local.get(['filterListData']);
+    const textById = data.filterListData || {};
+
+    // A list already here with the same title and rules keeps its id
+    this.lists = this.lists.filter(list => {
+      if (list.source !== 'file') {
+        return true;
+      }
+      const index = remaining.findIndex(remote => remote.title === list.title && remote.text === textById[list.id]);
+      if (index === -1) {
+        delete textById[list.id];
+        return false;
+      }
+      list.enabled = remaining[index].enabled !== false;
+      remaining.splice(index, 1);
+      return true;
+    });
+
+    for (const remote of remaining) {
+      const list = this.createList(remote.title || null, null, 'file');
+      list.enabled = remote.enabled !== false;
+      list.lastUpdated = Date.now();
+      this.lists.push(list);
+      textById[list.id] = remote.text;
+    }
+
+    await withRetry(() => browser.storage.local.set({ filterLists: this.lists, filterListData: textById }));
+    this.rebuild(textById);
+  }
+
+  setUpdateInterval(hours) {
+    const value = parseInt(hours);
+    if (!isNaN(value) && value > 0) {
+      this.updateIntervalHours = value;
+    }
+  }
+
+  match(request) {
+    return this.matcher.match(request);
+  }
+
+  getListTitle(listId) {
+    const list = this.lists.find(item => item.id === listId);
+    return list ? list.title : 'Unknown list';
+  }
+
+  getSummaries() {
+    return this.lists.map(list => ({
+      id: list.id,
+      title: list.title,
+      url: list.url,
+      source: list.source,
+      enabled: list.enabled,
+      ruleCount: list.enabled ? list.ruleCount || 0 : 0,
+      lastUpdated: list.lastUpdated || null,
+      lastError: list.lastError || null
+    }));
+  }
+}
@@ -0,0 +1,69 @@
+// Nixxer Fingerprinting Policy - Per-site response to fingerprinting attempts
+//
+// The page-world guard (page-fingerprint.js) applies one of these modes to
+// reads it scores as fingerprinting. Site overrides cover subdomains, like
+// allowlist entries, and fall back to the default mode from settings.
+
+const FINGERPRINT_MODES = {
+  'report': 'Report only',
+  'noise': 'Add noise',
+  'block': 'Block'
+};
+
+const FINGERPRINT_DEFAULT_MODE = 'noise';
+
+const FINGERPRINT_TECHNIQUE_LABELS = {
+  'canvas': 'Canvas fingerprinting',
+  'webgl': 'WebGL fingerprinting',
+  'audio': 'Audio fingerprinting',
+  'fonts': 'Font enumeration'
+};
+
+const FINGERPRINT_TECHNIQUES = Object.keys(FINGERPRINT_TECHNIQUE_LABELS);
+
+class FingerprintPolicy {
+  constructor() {
+    this.defaultMode = FINGERPRINT_DEFAULT_MODE;
+    this.siteModes = new Map();
+  }
+
+  static isValidMode(mode) {
+    return Object.prototype.hasOwnProperty.call(FINGERPRINT_MODES, mode);
+  }
+
+  configure({ defaultMode, siteModes } = {}) {
+    if (FingerprintPolicy.isValidMode(defaultMode)) {
+      this.defaultMode = defaultMode;
+    }
+
+    if (siteModes && typeof siteModes === 'object') {
+      this.siteModes = new Map(
+        Object.entries(siteModes).filter(([domain, mode]) => domain && FingerprintPolicy.isValidMode(mode))
+      );
+    }
+  }
+
+  // Returns { domain, mode } for the override covering a hostname, or null
+  getOverride(hostname) {
+    if (typeof hostname !== 'string' || hostname.length === 0 || this.siteModes.size === 0) {
+      return null;
+    }
+
+    let candidate = hostname.toLowerCase();
+    while (candidate) {
+      if (this.siteModes.has(candidate)) {
+        return { domain: candidate, mode: this.siteModes.get(candidate) };
+      }
+      const dot = candidate.indexOf('.');
+      if (dot === -1) break;
+      candidate = candidate.slice(dot + 1);
+    }
+
+    return null;
+  }
+
+  getMode(hostname) {
+    const override = this.getOverride(hostname);
+    return override ? override.mode : this.defaultMode;
+  }
+}
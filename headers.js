@@ -0,0 +1,81 @@
+// Nixxer Header Protection - Rewrites HTTP headers exchanged with tracker hosts
+//
+// Requests to trackers lose their Cookie and If-None-Match headers, and a
+// third-party Referer is cut down to its origin. Tracker responses lose
+// Set-Cookie and ETag, so no identifier reaches the cookie jar or HTTP cache.
+// Each rewrite is reported as a detection method (see HEADER_ACTIONS).
+
+const HEADER_ACTIONS = {
+  COOKIE: 'header-cookie',
+  SET_COOKIE: 'header-set-cookie',
+  ETAG: 'header-etag',
+  REFERER: 'header-referer'
+};
+
+class HeaderProtection {
+  // Returns { headers, actions } for an outgoing tracker request
+  static rewriteRequestHeaders(requestHeaders, { trimReferer = false } = {}) {
+    const actions = new Set();
+    const headers = [];
+
+    for (const header of requestHeaders || []) {
+      const name = (header.name || '').toLowerCase();
+
+      if (name === 'cookie') {
+        actions.add(HEADER_ACTIONS.COOKIE);
+        continue;
+      }
+
+      if (name === 'if-none-match') {
+        actions.add(HEADER_ACTIONS.ETAG);
+        continue;
+      }
+
+      if (name === 'referer' && trimReferer) {
+        const origin = HeaderProtection.getRefererOrigin(header.value);
+        if (origin && origin !== header.value) {
+          headers.push({ name: header.name, value: origin });
+          actions.add(HEADER_ACTIONS.REFERER);
+          continue;
+        }
+      }
+
+      headers.push(header);
+    }
+
+    return { headers, actions: Array.from(actions) };
+  }
+
+  // Returns { headers, actions } for a tracker response
+  static rewriteResponseHeaders(responseHeaders) {
+    const actions = new Set();
+    const headers = [];
+
+    for (const header of responseHeaders || []) {
+      const name = (header.name || '').toLowerCase();
+
+      if (name === 'set-cookie') {
+        actions.add(HEADER_ACTIONS.SET_COOKIE);
+        continue;
+      }
+
+      if (name === 'etag') {
+        actions.add(HEADER_ACTIONS.ETAG);
+        continue;
+      }
+
+      headers.push(header);
+    }
+
+    return { headers, actions: Array.from(actions) };
+  }
+
+  static getRefererOrigin(value) {
+    try {
+      const url = new URL(value);
+      return url.origin === 'null' ? null : url.origin + '/';
+    } catch (error) {
+      return null;
+    }
+  }
+}
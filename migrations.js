@@ -0,0 +1,113 @@
+// Nixxer Migrations - Step-by-step upgrades of stored and backed-up data
+//
+// storage.local records the layout it was written in under `schemaVersion`;
+// data written before the key existed counts as version 1. DATA_MIGRATIONS
+// holds one step per version: each takes { settings, statistics,
+// detectedDomains } in the previous layout and returns it in its own, and
+// older data runs every step above its version in order. The background runs
+// the steps on stored data at startup and the options page on imported
+// backups. Nothing here touches browser APIs, so the steps also run in Node.
+
+const STORAGE_SCHEMA_VERSION = 3;
+const LEGACY_SCHEMA_VERSION = 1;
+
+const DATA_MIGRATIONS = {
+  // Running totals became daily counters with lifetime totals and a per-day history
+  2: (data) => {
+    const statistics = data.statistics;
+    if (statistics && typeof statistics === 'object' && !statistics.lifetime &&
+        (statistics.blockedToday !== undefined || statistics.cookiesDeleted !== undefined)) {
+      const { blockedToday, cookiesDeleted, paramsStripped, ...rest } = statistics;
+      // blockedToday was never reset at midnight, so it is a lifetime total
+      data.statistics = {
+        ...rest,
+        lifetime: {
+          requestsBlocked: DataMigrator.toCount(blockedToday),
+          cookiesDeleted: DataMigrator.toCount(cookiesDeleted),
+          storagePurged: 0,
+          paramsStripped: DataMigrator.toCount(paramsStripped),
+          since: Date.now()
+        },
+        history: []
+      };
+    }
+
+    // Out-of-range numbers used to be saved as typed, and one of them makes validation reject every setting
+    const settings = data.settings;
+    if (settings && typeof settings === 'object') {
+      if (settings.maxHostsEntries !== undefined) {
+        settings.maxHostsEntries = Math.min(10000, Math.max(50, parseInt(settings.maxHostsEntries) || 500));
+      }
+      if (settings.autoExportThreshold !== undefined) {
+        settings.autoExportThreshold = Math.max(10, parseInt(settings.autoExportThreshold) || 450);
+      }
+    }
+
+    return data;
+  },
+
+  // Domain records moved to IndexedDB, where every record needs the full layout to be indexed and merged
+  3: (data) => {
+    const domains = data.detectedDomains;
+    if (!domains || typeof domains !== 'object' || Array.isArray(domains)) {
+      return data;
+    }
+
+    const now = Date.now();
+    const migrated = {};
+    for (const [domain, record] of Object.entries(domains)) {
+      if (!record || typeof record !== 'object') {
+        continue;
+      }
+
+      const lastSeen = typeof record.lastSeen === 'number' ? record.lastSeen : now;
+      migrated[domain] = {
+        ...record,
+        firstSeen: typeof record.firstSeen === 'number' ? record.firstSeen : lastSeen,
+        lastSeen,
+        frequency: Math.max(1, DataMigrator.toCount(record.frequency)),
+        gaTypes: Array.isArray(record.gaTypes) ? record.gaTypes.filter(type => typeof type === 'string') : [],
+        details: Array.isArray(record.details) ? record.details : [],
+        blocked: record.blocked !== false,
+        containers: Array.isArray(record.containers) ? record.containers : []
+      };
+    }
+    data.detectedDomains = migrated;
+
+    return data;
+  }
+};
+
+class DataMigrator {
+  static toCount(value) {
+    return Math.max(0, parseInt(value) || 0);
+  }
+
+  static getVersion(data) {
+    const version = data && data.schemaVersion;
+    return Number.isInteger(version) && version >= LEGACY_SCHEMA_VERSION ? version : LEGACY_SCHEMA_VERSION;
+  }
+
+  // Returns { data, fromVersion, toVersion, applied }; data newer than this release is returned unchanged
+  static migrate(data, fromVersion = DataMigrator.getVersion(data), toVersion = STORAGE_SCHEMA_VERSION) {
+    let current = {
+      settings: data ? data.settings : undefined,
+      statistics: data ? data.statistics : undefined,
+      detectedDomains: data ? data.detectedDomains : undefined
+    };
+    const applied = [];
+
+    for (let version = fromVersion + 1; version <= toVersion; version++) {
+      if (DATA_MIGRATIONS[version]) {
+        current = DATA_MIGRATIONS[version](current);
+        applied.push(version);
+      }
+    }
+
+    return { data: current, fromVersion, toVersion: Math.max(fromVersion, toVersion), applied };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { STORAGE_SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, DATA_MIGRATIONS, DataMigrator };
+}
@@ -0,0 +1,152 @@
+// Nixxer Migrations Tests - Run with `node migrations.test.js`
+//
+// Covers the storage migrations in migrations.js and the backup import path in
+// options.js that runs them. options.js is loaded into a sandbox with just
+// enough of `document` and `window` for its top level to run without a page.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { STORAGE_SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, DataMigrator } = require('./migrations');
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function loadDataValidator() {
+  const noop = () => {};
+  const context = vm.createContext({
+    console,
+    document: { readyState: 'loading', addEventListener: noop },
+    window: { addEventListener: noop, setTimeout: noop, setInterval: noop },
+    setTimeout: noop,
+    setInterval: noop
+  });
+
+  vm.runInContext(fs.readFileSync(path.join(__dirname, 'migrations.js'), 'utf8'), context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, 'options.js'), 'utf8'), context);
+  return vm.runInContext('DataValidator', context);
+}
+
+function legacyData() {
+  return {
+    settings: { detectionSensitivity: 'medium', maxHostsEntries: 50000, autoExportThreshold: 3 },
+    statistics: { blockedToday: 120, cookiesDeleted: '45', paramsStripped: -2, lastUpdated: 1 },
+    detectedDomains: {
+      'tracker.example': { lastSeen: 1700000000000, websiteDomain: 'site.example' },
+      'broken.example': null
+    }
+  };
+}
+
+test('stored data without a schema version counts as version 1', () => {
+  assert.strictEqual(DataMigrator.getVersion({}), LEGACY_SCHEMA_VERSION);
+  assert.strictEqual(DataMigrator.getVersion({ schemaVersion: 'x' }), LEGACY_SCHEMA_VERSION);
+  assert.strictEqual(DataMigrator.getVersion({ schemaVersion: 2 }), 2);
+});
+
+test('v1 to v3 runs every step in order', () => {
+  const result = DataMigrator.migrate(legacyData(), 1, 3);
+  assert.deepStrictEqual(result.applied, [2, 3]);
+  assert.strictEqual(result.fromVersion, 1);
+  assert.strictEqual(result.toVersion, 3);
+});
+
+test('legacy running totals become lifetime counters', () => {
+  const { data } = DataMigrator.migrate(legacyData(), 1);
+  const { lifetime, history } = data.statistics;
+
+  assert.strictEqual(lifetime.requestsBlocked, 120);
+  assert.strictEqual(lifetime.cookiesDeleted, 45);
+  assert.strictEqual(lifetime.paramsStripped, 0);
+  assert.strictEqual(lifetime.storagePurged, 0);
+  assert.strictEqual(typeof lifetime.since, 'number');
+  assert.deepStrictEqual(history, []);
+  assert.strictEqual(data.statistics.blockedToday, undefined);
+  assert.strictEqual(data.statistics.lastUpdated, 1);
+});
+
+test('statistics already in the lifetime layout are left alone', () => {
+  const statistics = { lifetime: { requestsBlocked: 7 }, history: [] };
+  const { data } = DataMigrator.migrate({ statistics }, 1);
+  assert.deepStrictEqual(data.statistics, statistics);
+});
+
+test('out-of-range numeric settings are clamped', () => {
+  const { data } = DataMigrator.migrate(legacyData(), 1);
+  assert.strictEqual(data.settings.maxHostsEntries, 10000);
+  assert.strictEqual(data.settings.autoExportThreshold, 10);
+
+  const low = DataMigrator.migrate({ settings: { maxHostsEntries: '3', autoExportThreshold: 'abc' } }, 1).data;
+  assert.strictEqual(low.settings.maxHostsEntries, 50);
+  assert.strictEqual(low.settings.autoExportThreshold, 450);
+});
+
+test('domain records get the full layout and invalid records are dropped', () => {
+  const { data } = DataMigrator.migrate(legacyData(), 1);
+  const record = data.detectedDomains['tracker.example'];
+
+  assert.strictEqual(record.firstSeen, 1700000000000);
+  assert.strictEqual(record.lastSeen, 1700000000000);
+  assert.strictEqual(record.frequency, 1);
+  assert.deepStrictEqual(record.gaTypes, []);
+  assert.deepStrictEqual(record.details, []);
+  assert.deepStrictEqual(record.containers, []);
+  assert.strictEqual(record.blocked, true);
+  assert.strictEqual(record.websiteDomain, 'site.example');
+  assert.ok(!('broken.example' in data.detectedDomains));
+});
+
+test('data at the current version is not migrated', () => {
+  const result = DataMigrator.migrate(legacyData(), STORAGE_SCHEMA_VERSION);
+  assert.deepStrictEqual(result.applied, []);
+  assert.strictEqual(result.data.settings.maxHostsEntries, 50000);
+});
+
+test('data from a newer version is returned unchanged', () => {
+  const result = DataMigrator.migrate(legacyData(), STORAGE_SCHEMA_VERSION + 1);
+  assert.deepStrictEqual(result.applied, []);
+  assert.strictEqual(result.toVersion, STORAGE_SCHEMA_VERSION + 1);
+});
+
+test('importing a legacy backup migrates it to the current version', () => {
+  const DataValidator = loadDataValidator();
+  const data = legacyData();
+  const backup = {
+    settings: data.settings,
+    statistics: data.statistics,
+    domains: [{ domain: 'tracker.example', lastSeen: 1700000000000, websiteDomain: 'site.example' }]
+  };
+
+  const result = DataValidator.validateImportData(backup);
+  assert.strictEqual(result.schemaVersion, STORAGE_SCHEMA_VERSION);
+  assert.strictEqual(result.settings.maxHostsEntries, 10000);
+  assert.strictEqual(result.statistics.lifetime.requestsBlocked, 120);
+  assert.strictEqual(result.domains.length, 1);
+  assert.strictEqual(result.domains[0].domain, 'tracker.example');
+});
+
+test('importing a backup from a newer version is rejected', () => {
+  const DataValidator = loadDataValidator();
+  const backup = { settings: {}, domains: [], schemaVersion: STORAGE_SCHEMA_VERSION + 1 };
+
+  assert.throws(() => DataValidator.validateImportData(backup), /newer version/);
+});
+
+let failed = 0;
+for (const { name, fn } of tests) {
+  try {
+    fn();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`not ok - ${name}`);
+    console.log(error.stack);
+  }
+}
+
+console.log(`${tests.length - failed}/${tests.length} passed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -165,7 +165,11 @@ class OptionsDOMHelper {
     resetButton.onclick = async () => {
       try {
         if (confirm('This will reset all extension data and reload the page. Continue?')) {
-          await browser.storage.local.clear();
+          // Clearing through the background also resets its in-memory copy; storage is the fallback
+          const response = await browser.runtime.sendMessage({ type: 'CLEAR_ALL_DATA' }).catch(() => null);
+          if (!response || response.error) {
+            await browser.storage.local.clear();
+          }
           window.location.reload();
         }
       } catch (error) {
@@ -235,6 +239,41 @@ class OptionsDOMHelper {
   }
 }
 
+// Port the background pushes DATA_CHANGED updates on (NIXXER_UPDATE_PORT in background.js)
+const UPDATE_PORT_NAME = 'nixxer-updates';
+
+// Mirrors COOKIE_POLICIES in cookiepolicy.js, which only the background page loads
+const COOKIE_POLICY_LABELS = {
+  'delete': 'Delete immediately',
+  'session': 'Keep until the browser closes',
+  'tab-close': 'Delete when the site\'s tabs close',
+  'keep': 'Keep'
+};
+
+const EVENT_ACTION_LABELS = {
+  'blocked': 'Blocked',
+  'allowed': 'Allowed',
+  'detected': 'Detected',
+  'deleted': 'Cookie deleted',
+  'session': 'Cookie made session-only',
+  'tab-close': 'Cookie deleted when tabs close',
+  'stripped': 'Stripped',
+  'purged': 'Storage purged'
+};
+
+const HISTORY_METHODS = [
+  'request', 'filter-list', 'surrogate', 'cname', 'bounce', 'cookie', 'url-params',
+  'header-cookie', 'header-set-cookie', 'header-etag', 'header-referer',
+  'fingerprint-canvas', 'fingerprint-webgl', 'fingerprint-audio', 'fingerprint-fonts'
+];
+
+const CONTAINER_PROFILE_LABELS = {
+  'default': 'Use global settings',
+  'strict': 'Strict',
+  'relaxed': 'Relaxed',
+  'off': 'Protection off'
+};
+
 // Data validation and sanitization utilities
 class DataValidator {
   static validateSettings(settings) {
@@ -271,6 +310,22 @@ class DataValidator {
       validated.autoExportThreshold = threshold;
     }
     
+    if (settings.statisticsHistoryDays !== undefined) {
+      const days = parseInt(settings.statisticsHistoryDays);
+      if (isNaN(days) || days < 1 || days > 365) {
+        throw new Error('statisticsHistoryDays must be between 1 and 365');
+      }
+      validated.statisticsHistoryDays = days;
+    }
+    
+    if (settings.filterListUpdateHours !== undefined) {
+      const hours = parseInt(settings.filterListUpdateHours);
+      if (isNaN(hours) || hours < 1 || hours > 168) {
+        throw new Error('filterListUpdateHours must be between 1 and 168');
+      }
+      validated.filterListUpdateHours = hours;
+    }
+    
     // Validate export format
     if (settings.exportFormat !== undefined) {
       const validFormats = ['pihole', 'nextdns', 'hosts', 'adguard'];
@@ -281,8 +336,86 @@ class DataValidator {
       }
     }
     
+    if (settings.stripParamCategories !== undefined) {
+      if (!Array.isArray(settings.stripParamCategories) ||
+          !settings.stripParamCategories.every(category => typeof category === 'string')) {
+        throw new Error('stripParamCategories must be a list of category names');
+      }
+      validated.stripParamCategories = settings.stripParamCategories.slice();
+    }
+    
+    if (settings.stripParamExceptions !== undefined) {
+      if (!Array.isArray(settings.stripParamExceptions)) {
+        throw new Error('stripParamExceptions must be an array');
+      }
+      validated.stripParamExceptions = settings.stripParamExceptions.map(domain => {
+        const clean = String(domain).toLowerCase().trim();
+        if (!/^[a-z0-9.-]+$/.test(clean) || clean.length > 253) {
+          throw new Error(`Invalid URL cleaning exception: ${domain}`);
+        }
+        return clean;
+      });
+    }
+    
+    const fingerprintModes = ['report', 'noise', 'block'];
+    
+    if (settings.fingerprintMode !== undefined) {
+      if (!fingerprintModes.includes(settings.fingerprintMode)) {
+        throw new Error(`Invalid fingerprinting mode: ${settings.fingerprintMode}`);
+      }
+      validated.fingerprintMode = settings.fingerprintMode;
+    }
+    
+    if (settings.fingerprintSiteModes !== undefined) {
+      if (!settings.fingerprintSiteModes || typeof settings.fingerprintSiteModes !== 'object' ||
+          Array.isArray(settings.fingerprintSiteModes)) {
+        throw new Error('fingerprintSiteModes must be an object');
+      }
+      validated.fingerprintSiteModes = {};
+      Object.entries(settings.fingerprintSiteModes).forEach(([domain, mode]) => {
+        const clean = String(domain).toLowerCase().trim();
+        if (!/^[a-z0-9.-]+$/.test(clean) || clean.length > 253 || !fingerprintModes.includes(mode)) {
+          throw new Error(`Invalid fingerprinting override: ${domain}`);
+        }
+        validated.fingerprintSiteModes[clean] = mode;
+      });
+    }
+    
+    ['cookieCategoryPolicies', 'cookieSitePolicies'].forEach(key => {
+      if (settings[key] === undefined) return;
+      
+      if (!settings[key] || typeof settings[key] !== 'object' || Array.isArray(settings[key])) {
+        throw new Error(`${key} must be an object`);
+      }
+      validated[key] = {};
+      Object.entries(settings[key]).forEach(([name, policy]) => {
+        if (!Object.prototype.hasOwnProperty.call(COOKIE_POLICY_LABELS, policy)) {
+          throw new Error(`Invalid cookie policy for ${name}: ${policy}`);
+        }
+        const clean = String(name).toLowerCase().trim();
+        if (key === 'cookieSitePolicies' && (!/^[a-z0-9.-]+$/.test(clean) || clean.length > 253)) {
+          throw new Error(`Invalid cookie policy site: ${name}`);
+        }
+        validated[key][clean] = policy;
+      });
+    });
+    
+    if (settings.containerProfiles !== undefined) {
+      if (!settings.containerProfiles || typeof settings.containerProfiles !== 'object' ||
+          Array.isArray(settings.containerProfiles)) {
+        throw new Error('containerProfiles must be an object');
+      }
+      validated.containerProfiles = {};
+      Object.entries(settings.containerProfiles).forEach(([cookieStoreId, profile]) => {
+        if (!Object.prototype.hasOwnProperty.call(CONTAINER_PROFILE_LABELS, profile)) {
+          throw new Error(`Invalid container profile for ${cookieStoreId}: ${profile}`);
+        }
+        validated.containerProfiles[String(cookieStoreId)] = profile;
+      });
+    }
+    
     // Validate boolean settings
-    ['blockSelfHosted', 'debugLogging', 'deleteZombieCookies', 'autoCleanup'].forEach(key => {
+    ['blockSelfHosted', 'debugLogging', 'deleteZombieCookies', 'autoCleanup', 'stripTrackingParams', 'headerProtection', 'cnameUncloaking', 'bounceProtection', 'useSurrogates', 'syncEnabled'].forEach(key => {
       if (settings[key] !== undefined) {
         validated[key] = Boolean(settings[key]);
       }
@@ -291,6 +424,17 @@ class DataValidator {
     return validated;
   }
 
+  static validateCounters(counters) {
+    const source = counters && typeof counters === 'object' ? counters : {};
+    return {
+      requestsBlocked: Math.max(0, parseInt(source.requestsBlocked) || 0),
+      cookiesDeleted: Math.max(0, parseInt(source.cookiesDeleted) || 0),
+      storagePurged: Math.max(0, parseInt(source.storagePurged) || 0),
+      paramsStripped: Math.max(0, parseInt(source.paramsStripped) || 0),
+      since: typeof source.since === 'number' ? source.since : null
+    };
+  }
+
   static validateDomainData(domains) {
     if (!Array.isArray(domains)) {
       throw new Error('Domains must be an array');
@@ -325,16 +469,39 @@ class DataValidator {
       throw new Error('Import data must contain domains array');
     }
     
+    // Backups from older releases go through the same steps as stored data (migrations.js)
+    const schemaVersion = DataMigrator.getVersion(data);
+    if (schemaVersion > STORAGE_SCHEMA_VERSION) {
+      throw new Error('Backup was made by a newer version of Nixxer');
+    }
+    
+    const detectedDomains = {};
+    data.domains.forEach(entry => {
+      if (entry && typeof entry.domain === 'string') {
+        const { domain, ...info } = entry;
+        detectedDomains[domain] = info;
+      }
+    });
+    
+    const { data: migrated } = DataMigrator.migrate({
+      settings: data.settings,
+      statistics: data.statistics,
+      detectedDomains
+    }, schemaVersion);
+    
     // Validate settings
-    const validatedSettings = this.validateSettings(data.settings);
+    const validatedSettings = this.validateSettings(migrated.settings);
     
     // Validate domains
-    const validatedDomains = this.validateDomainData(data.domains);
+    const validatedDomains = this.validateDomainData(
+      Object.entries(migrated.detectedDomains).map(([domain, info]) => ({ domain, ...info }))
+    );
     
     return {
       settings: validatedSettings,
       domains: validatedDomains,
-      statistics: data.statistics || {},
+      statistics: migrated.statistics || {},
+      schemaVersion: STORAGE_SCHEMA_VERSION,
       version: data.version || 'unknown',
       exportedAt: data.exportedAt || null
     };
@@ -372,13 +539,40 @@ class SafeNixxerOptions {
       maxHostsEntries: 500,
       autoExportThreshold: 450,
       autoCleanup: true,
-      exportFormat: 'pihole'
+      exportFormat: 'pihole',
+      filterListUpdateHours: 24,
+      statisticsHistoryDays: 90,
+      stripTrackingParams: true,
+      stripParamExceptions: [],
+      headerProtection: true,
+      cnameUncloaking: true,
+      bounceProtection: true,
+      useSurrogates: true,
+      fingerprintMode: 'noise',
+      fingerprintSiteModes: {},
+      cookieCategoryPolicies: {},
+      cookieSitePolicies: {},
+      containerProfiles: {},
+      syncEnabled: false
     };
     
     this.domains = [];
     this.statistics = {};
+    this.trackerDomains = [];
+    this.trackerCategories = {};
+    this.trackerVendors = [];
+    this.trackingParamsByCategory = {};
+    this.filterLists = [];
+    this.allowlist = [];
+    this.timeline = null;
+    this.syncStatus = null;
+    this.containers = [];
+    this.domainContainerFilter = '';
     this.initialized = false;
     this.saveInProgress = false;
+    this.updatePort = null;
+    this.pendingUpdateScopes = new Set();
+    this.refreshingData = false;
     
     this.init();
   }
@@ -392,11 +586,18 @@ class SafeNixxerOptions {
       
       // Load data with error handling
       await this.safeLoadData();
+      await this.safeLoadTrackerRegistry();
+      await this.safeLoadFilterLists();
+      await this.safeLoadAllowlist();
+      await this.safeLoadContainers();
+      await this.safeLoadTimeline();
+      await this.safeLoadSyncStatus();
       await this.safeLoadVersion();
       
       // Setup UI with error handling
       this.setupSafeEventListeners();
       this.safeUpdateUI();
+      this.setupUpdatePort();
       
       this.initialized = true;
       errorHandler.log('info', 'Options page initialized successfully');
@@ -434,7 +635,7 @@ class SafeNixxerOptions {
     try {
       const data = await errorHandler.withTimeout(
         errorHandler.withRetry(async () => {
-          return await browser.storage.local.get(['settings', 'detectedDomains', 'statistics']);
+          return await browser.storage.local.get(['settings', 'statistics']);
         }, 'load_data'),
         12000,
         'data loading'
@@ -451,33 +652,11 @@ class SafeNixxerOptions {
         }
       }
       
-      // Validate and load domains
-      if (data.detectedDomains) {
-        try {
-          const domainEntries = Object.entries(data.detectedDomains).map(([domain, info]) => ({
-            domain,
-            ...info
-          }));
-          this.domains = DataValidator.validateDomainData(domainEntries);
-          errorHandler.log('info', `Loaded ${this.domains.length} domains`);
-        } catch (error) {
-          errorHandler.log('warn', 'Error loading domains, using empty array', error);
-          this.domains = [];
-        }
-      }
+      await this.safeLoadDomains();
       
       // Load statistics
       if (data.statistics) {
-        try {
-          this.statistics = {
-            blockedToday: Math.max(0, parseInt(data.statistics.blockedToday) || 0),
-            cookiesDeleted: Math.max(0, parseInt(data.statistics.cookiesDeleted) || 0),
-            lastUpdated: data.statistics.lastUpdated || Date.now()
-          };
-        } catch (error) {
-          errorHandler.log('warn', 'Error loading statistics', error);
-          this.statistics = {};
-        }
+        this.safeSetStatistics(data.statistics);
       }
       
     } catch (error) {
@@ -486,6 +665,278 @@ class SafeNixxerOptions {
     }
   }
 
+  // Detected domains live in the background's database
+  async safeLoadDomains() {
+    try {
+      const domainEntries = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'GET_DETECTED_DOMAINS' }),
+        12000,
+        'detected domains loading'
+      );
+      
+      if (!Array.isArray(domainEntries)) {
+        throw new Error((domainEntries && domainEntries.error) || 'Invalid domains response');
+      }
+      
+      this.domains = DataValidator.validateDomainData(domainEntries.map(([domain, info]) => ({
+        domain,
+        ...info
+      })));
+      errorHandler.log('info', `Loaded ${this.domains.length} domains`);
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Error loading domains, using empty array', error);
+      this.domains = [];
+    }
+  }
+
+  safeSetStatistics(statistics) {
+    try {
+      this.statistics = {
+        today: DataValidator.validateCounters(statistics.today),
+        lifetime: DataValidator.validateCounters(statistics.lifetime),
+        history: Array.isArray(statistics.history) ?
+          statistics.history.filter(day => day && typeof day.start === 'number') : [],
+        cookieSweep: statistics.cookieSweep && typeof statistics.cookieSweep === 'object' ?
+          statistics.cookieSweep : null,
+        containers: statistics.containers && typeof statistics.containers === 'object' ?
+          statistics.containers : {},
+        lastUpdated: statistics.lastUpdated || Date.now()
+      };
+    } catch (error) {
+      errorHandler.log('warn', 'Error loading statistics', error);
+      this.statistics = {};
+    }
+  }
+
+  // Live counters from the background; storage only has them as of its last save
+  async safeRefreshStatistics() {
+    try {
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'GET_STATS' }),
+        5000,
+        'statistics loading'
+      );
+      
+      if (!response || response.error || !response.statistics) {
+        throw new Error((response && response.error) || 'Invalid statistics response');
+      }
+      
+      this.safeSetStatistics({
+        ...response.statistics,
+        cookieSweep: response.cookieSweep,
+        containers: response.containers,
+        lastUpdated: Date.now()
+      });
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to refresh statistics', error);
+    }
+  }
+
+  // The background pushes DATA_CHANGED over this port when data shown here changes
+  setupUpdatePort() {
+    try {
+      this.updatePort = browser.runtime.connect({ name: UPDATE_PORT_NAME });
+      this.updatePort.onMessage.addListener((message) => {
+        if (message && message.type === 'DATA_CHANGED') {
+          this.safeHandleDataChanged(message.scope);
+        }
+      });
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to connect for live updates', error);
+    }
+  }
+
+  // One refresh runs at a time; scopes pushed meanwhile are merged into the next one
+  async safeHandleDataChanged(scope) {
+    this.pendingUpdateScopes.add(scope);
+    if (this.refreshingData) {
+      return;
+    }
+    
+    this.refreshingData = true;
+    try {
+      while (this.pendingUpdateScopes.size > 0) {
+        const scopes = new Set(this.pendingUpdateScopes);
+        this.pendingUpdateScopes.clear();
+        const reloadAll = scopes.has('all') || scopes.has('settings');
+        
+        if (reloadAll) {
+          await this.safeLoadData();
+        } else {
+          if (scopes.has('stats')) {
+            await this.safeRefreshStatistics();
+          }
+          // The domain list is large, so only changes to it reload it, not every stats push
+          if (scopes.has('domains')) {
+            await this.safeLoadDomains();
+          }
+        }
+        if (reloadAll || scopes.has('allowlist')) {
+          await this.safeLoadAllowlist();
+        }
+        if (reloadAll || scopes.has('filterLists')) {
+          await this.safeLoadFilterLists();
+        }
+        if (reloadAll || scopes.has('sync')) {
+          await this.safeLoadSyncStatus();
+        }
+        if (reloadAll || scopes.has('stats')) {
+          await this.safeLoadTimeline();
+        }
+        
+        this.safeUpdateUI();
+      }
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to apply pushed update', error, { scope });
+    } finally {
+      this.refreshingData = false;
+    }
+  }
+
+  async safeLoadTrackerRegistry() {
+    try {
+      const registry = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'GET_TRACKER_REGISTRY' }),
+        5000,
+        'tracker registry loading'
+      );
+      
+      if (!registry || registry.error || !Array.isArray(registry.trackers)) {
+        throw new Error((registry && registry.error) || 'Invalid tracker registry');
+      }
+      
+      this.trackerDomains = registry.trackers.flatMap(tracker => tracker.domains || []);
+      this.trackerCategories = registry.categories || {};
+      this.trackerVendors = Array.from(new Set(registry.trackers.map(tracker => tracker.vendor).filter(Boolean))).sort();
+      
+      this.trackingParamsByCategory = {};
+      for (const tracker of registry.trackers) {
+        if (!Array.isArray(tracker.trackingParams) || tracker.trackingParams.length === 0) continue;
+        const params = this.trackingParamsByCategory[tracker.category] || [];
+        params.push(...tracker.trackingParams);
+        this.trackingParamsByCategory[tracker.category] = params;
+      }
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load tracker registry', error);
+      this.trackerDomains = [];
+      this.trackerCategories = {};
+      this.trackerVendors = [];
+      this.trackingParamsByCategory = {};
+    }
+  }
+
+  async safeLoadFilterLists() {
+    try {
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'GET_FILTER_LISTS' }),
+        5000,
+        'filter list loading'
+      );
+      
+      if (!response || response.error || !Array.isArray(response.lists)) {
+        throw new Error((response && response.error) || 'Invalid filter list response');
+      }
+      
+      this.filterLists = response.lists;
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load filter lists', error);
+      this.filterLists = [];
+    }
+  }
+
+  async safeLoadSyncStatus() {
+    try {
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'GET_SYNC_STATUS' }),
+        5000,
+        'sync status loading'
+      );
+      
+      if (!response || response.error || !Array.isArray(response.keys)) {
+        throw new Error((response && response.error) || 'Invalid sync status');
+      }
+      
+      this.syncStatus = response;
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load sync status', error);
+      this.syncStatus = null;
+    }
+  }
+
+  async safeLoadAllowlist() {
+    try {
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'GET_ALLOWLIST' }),
+        5000,
+        'allowlist loading'
+      );
+      
+      if (!response || response.error || !Array.isArray(response.entries)) {
+        throw new Error((response && response.error) || 'Invalid allowlist response');
+      }
+      
+      this.allowlist = response.entries;
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load allowlist', error);
+      this.allowlist = [];
+    }
+  }
+
+  // Without the contextualIdentities API (or with containers disabled) the section stays empty
+  async safeLoadContainers() {
+    try {
+      if (!browser.contextualIdentities) {
+        this.containers = [];
+        return;
+      }
+      
+      const identities = await errorHandler.withTimeout(
+        browser.contextualIdentities.query({}),
+        5000,
+        'container loading'
+      );
+      this.containers = Array.isArray(identities) ? identities : [];
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load containers', error);
+      this.containers = [];
+    }
+  }
+
+  async safeLoadTimeline() {
+    try {
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({
+          type: 'GET_TIMELINE',
+          days: parseInt(this.safeGetElement('trend-range')?.value) || 7
+        }),
+        5000,
+        'timeline loading'
+      );
+      
+      if (!response || response.error || !Array.isArray(response.series)) {
+        throw new Error((response && response.error) || 'Invalid timeline');
+      }
+      
+      this.timeline = response;
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load timeline', error);
+      this.timeline = null;
+    }
+  }
+
+  getContainerName(cookieStoreId) {
+    const identity = this.containers.find(container => container.cookieStoreId === cookieStoreId);
+    return identity ? identity.name : cookieStoreId;
+  }
+
   async safeLoadVersion() {
     try {
       const manifest = await errorHandler.withTimeout(
@@ -521,6 +972,101 @@ class SafeNixxerOptions {
       this.setupSafeCheckbox('debug-logging', 'debugLogging');
       this.setupSafeCheckbox('delete-zombie-cookies', 'deleteZombieCookies');
       this.setupSafeCheckbox('auto-cleanup', 'autoCleanup');
+      this.setupSafeCheckbox('strip-tracking-params', 'stripTrackingParams');
+      this.setupSafeCheckbox('header-protection', 'headerProtection');
+      this.setupSafeCheckbox('cname-uncloaking', 'cnameUncloaking');
+      this.setupSafeCheckbox('bounce-protection', 'bounceProtection');
+      this.setupSafeCheckbox('use-surrogates', 'useSurrogates');
+      this.setupSafeCheckbox('sync-enabled', 'syncEnabled');
+      
+      // URL cleaning exceptions, one domain per line
+      this.safeAddEventListener('strip-param-exceptions', 'change', (e) => {
+        const domains = e.target.value
+          .split('\n')
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line.length > 0);
+        this.settings.stripParamExceptions = Array.from(new Set(domains));
+      });
+      
+      // Selects with error handling
+      this.setupSafeNumberSelect('filter-list-update-hours', 'filterListUpdateHours');
+      this.setupSafeNumberSelect('statistics-history-days', 'statisticsHistoryDays');
+      
+      this.safeAddEventListener('fingerprint-mode', 'change', (e) => {
+        this.settings.fingerprintMode = e.target.value;
+      });
+      
+      // Site cookie policies
+      this.safeFillCookiePolicySelect(this.safeGetElement('cookie-site-policy'), 'keep');
+      
+      this.safeAddEventListener('trend-range', 'change', async () => {
+        await this.safeLoadTimeline();
+        this.safeUpdateTrends();
+      });
+      
+      // Canvas pixels depend on the laid-out width
+      let resizeTimer = null;
+      window.addEventListener('resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => this.safeDrawTimelineChart(), 200);
+      });
+      
+      this.safeAddEventListener('search-history', 'click', () => {
+        this.safeSearchHistory();
+      });
+      
+      this.safeAddEventListener('history-site', 'keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.safeSearchHistory();
+        }
+      });
+      
+      this.safeAddEventListener('domain-container-filter', 'change', (e) => {
+        this.domainContainerFilter = e.target.value;
+        this.safeUpdateDomainsTable();
+      });
+      
+      this.safeAddEventListener('add-cookie-site-policy', 'click', () => {
+        this.safeAddCookieSitePolicy();
+      });
+      
+      this.safeAddEventListener('cookie-site-domain', 'keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.safeAddCookieSitePolicy();
+        }
+      });
+      
+      // Filter list management
+      this.safeAddEventListener('add-filter-list', 'click', () => {
+        this.safeAddFilterList();
+      });
+      
+      this.safeAddEventListener('import-filter-list', 'click', () => {
+        const fileInput = this.safeGetElement('filter-list-file');
+        if (fileInput) fileInput.click();
+      });
+      
+      this.safeAddEventListener('filter-list-file', 'change', (e) => {
+        this.safeImportFilterList(e.target.files[0]);
+        e.target.value = '';
+      });
+      
+      this.safeAddEventListener('sync-now', 'click', () => this.safeSyncNow());
+      
+      this.safeAddEventListener('refresh-filter-lists', 'click', () => {
+        this.safeFilterListAction({ type: 'REFRESH_FILTER_LISTS' }, 'Filter lists refreshed');
+      });
+      
+      // Site allowlist management
+      this.safeAddEventListener('add-allowlist-entry', 'click', () => {
+        this.safeAddAllowlistEntry();
+      });
+      
+      this.safeAddEventListener('allowlist-domain', 'keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.safeAddAllowlistEntry();
+        }
+      });
       
       // Action buttons with error handling
       this.safeAddEventListener('save-settings', 'click', () => {
@@ -658,6 +1204,31 @@ class SafeNixxerOptions {
     }
   }
 
+  setupSafeNumberSelect(selectId, settingKey) {
+    try {
+      const select = this.safeGetElement(selectId);
+      
+      if (!select) {
+        errorHandler.log('warn', `Select ${selectId} not found`);
+        return;
+      }
+      
+      select.addEventListener('change', (e) => {
+        try {
+          const value = parseInt(e.target.value);
+          if (!isNaN(value)) {
+            this.settings[settingKey] = value;
+          }
+        } catch (error) {
+          errorHandler.log('error', `Error in select handler for ${selectId}`, error);
+        }
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', `Failed to setup select ${selectId}`, error);
+    }
+  }
+
   safeAddEventListener(elementId, event, handler) {
     try {
       const element = this.safeGetElement(elementId);
@@ -726,6 +1297,43 @@ class SafeNixxerOptions {
       this.safeSetChecked('debug-logging', this.settings.debugLogging);
       this.safeSetChecked('delete-zombie-cookies', this.settings.deleteZombieCookies);
       this.safeSetChecked('auto-cleanup', this.settings.autoCleanup);
+      this.safeSetChecked('strip-tracking-params', this.settings.stripTrackingParams);
+      this.safeSetChecked('header-protection', this.settings.headerProtection);
+      this.safeSetChecked('cname-uncloaking', this.settings.cnameUncloaking);
+      this.safeSetChecked('bounce-protection', this.settings.bounceProtection);
+      this.safeSetChecked('use-surrogates', this.settings.useSurrogates);
+      this.safeSetChecked('sync-enabled', this.settings.syncEnabled);
+      
+      // Update URL cleaning options
+      this.safeSetValue('strip-param-exceptions', (this.settings.stripParamExceptions || []).join('\n'));
+      this.safeUpdateStripParamCategories();
+      
+      // Update selects
+      this.safeSetValue('filter-list-update-hours', this.settings.filterListUpdateHours);
+      this.safeSetValue('statistics-history-days', this.settings.statisticsHistoryDays);
+      this.safeSetValue('fingerprint-mode', this.settings.fingerprintMode);
+      
+      // Update fingerprinting overrides table
+      this.safeUpdateFingerprintSitesTable();
+      
+      // Update cookie policies
+      this.safeUpdateCookieCategoryPolicies();
+      this.safeUpdateCookieSitePoliciesTable();
+      
+      // Update containers table
+      this.safeUpdateContainersTable();
+      
+      // Update tracking history filters
+      this.safeUpdateHistoryFilters();
+      
+      // Update filter lists table
+      this.safeUpdateFilterListsTable();
+      
+      // Update allowlist table
+      this.safeUpdateAllowlistTable();
+      
+      // Update sync status
+      this.safeUpdateSyncStatus();
       
       // Update statistics
       this.safeUpdateStatistics();
@@ -774,42 +1382,757 @@ class SafeNixxerOptions {
     }
   }
 
-  safeUpdateStatistics() {
-    try {
-      this.safeUpdateElement('total-blocked', (this.statistics.blockedToday || 0).toLocaleString());
-      this.safeUpdateElement('cookies-deleted', (this.statistics.cookiesDeleted || 0).toLocaleString());
-      this.safeUpdateElement('domains-detected', this.domains.length.toLocaleString());
-      this.safeUpdateElement('hosts-entries', this.getSafeExportableDomainsCount().toLocaleString());
-    } catch (error) {
-      errorHandler.log('error', 'Error updating statistics', error);
-    }
-  }
-
-  getSafeExportableDomainsCount() {
+  safeUpdateStripParamCategories() {
     try {
-      const THIRD_PARTY_TRACKING_DOMAINS = [
-        'google-analytics.com', 'googletagmanager.com', 'facebook.com', 'connect.facebook.net',
-        '2o7.net', 'omtrdc.net', 'demdex.net', 'everesttech.net', 'hotjar.com', 'fullstory.com',
-        'logrocket.com', 'mouseflow.com', 'smartlook.com', 'analytics.tiktok.com',
-        'business-api.tiktok.com', 'stats.wp.com', 'scorecardresearch.com', 'quantserve.com',
-        'doubleclick.net', 'googlesyndication.com', 'analytics.twitter.com', 'platform.twitter.com'
-      ];
+      const container = this.safeGetElement('strip-param-categories');
+      if (!container) return;
       
-      return this.domains.filter(domain => {
-        try {
-          const domainName = domain.domain.toLowerCase();
-          return THIRD_PARTY_TRACKING_DOMAINS.some(tracker => 
-            domainName === tracker || domainName.endsWith('.' + tracker)
-          );
-        } catch (error) {
+      while (container.firstChild) {
+        container.removeChild(container.firstChild);
+      }
+      
+      const categories = Object.keys(this.trackingParamsByCategory);
+      if (categories.length === 0) {
+        container.appendChild(OptionsDOMHelper.createTextElement('div', 'Tracker categories unavailable', 'setting-description'));
+        return;
+      }
+      
+      // No saved choice means every category is stripped
+      const enabled = Array.isArray(this.settings.stripParamCategories) ?
+        new Set(this.settings.stripParamCategories) :
+        new Set(Object.keys(this.trackerCategories));
+      
+      categories.forEach(category => {
+        const group = document.createElement('div');
+        group.className = 'checkbox-group';
+        
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = `strip-category-${category}`;
+        input.className = 'checkbox-input strip-category';
+        input.dataset.category = category;
+        input.checked = enabled.has(category);
+        input.addEventListener('change', () => {
+          this.settings.stripParamCategories = Array.from(container.querySelectorAll('.strip-category'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.dataset.category);
+        });
+        
+        const label = OptionsDOMHelper.createTextElement('label',
+          `${this.trackerCategories[category] || category} (${this.trackingParamsByCategory[category].join(', ')})`,
+          'setting-label');
+        label.htmlFor = input.id;
+        
+        group.appendChild(input);
+        group.appendChild(label);
+        container.appendChild(group);
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error updating URL cleaning categories', error);
+    }
+  }
+
+  safeUpdateCookieSweepStatus() {
+    try {
+      const sweep = this.statistics.cookieSweep;
+      if (!sweep) {
+        this.safeUpdateElement('cookie-sweep-coverage', '–');
+        this.safeUpdateElement('cookie-sweep-status', 'No cookie sweep has run yet.');
+        return;
+      }
+      
+      this.safeUpdateElement('cookie-sweep-coverage', `${Math.max(0, Math.min(100, parseInt(sweep.coverage) || 0))}%`);
+      
+      const parts = [];
+      if (sweep.passActive && sweep.currentPass) {
+        parts.push(`Sweep in progress: ${sweep.currentPass.cookiesScanned || 0} cookies checked in ` +
+          `${sweep.currentPass.storesScanned || 0} of ${sweep.currentPass.stores || 0} cookie stores.`);
+      }
+      
+      const lastPass = sweep.lastPass;
+      if (lastPass && lastPass.completedAt) {
+        const handled = Object.values(lastPass.actions || {}).reduce((sum, count) => sum + (parseInt(count) || 0), 0);
+        parts.push(`Last full sweep ${new Date(lastPass.completedAt).toLocaleString()}: ` +
+          `${lastPass.cookies || 0} cookies in ${lastPass.stores || 0} cookie stores, ` +
+          `${handled} tracker cookies handled, in ${((lastPass.duration || 0) / 1000).toFixed(1)}s.`);
+      }
+      
+      this.safeUpdateElement('cookie-sweep-status', parts.join(' ') || 'No cookie sweep has completed yet.');
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Error updating cookie sweep status', error);
+    }
+  }
+
+  safeFillCookiePolicySelect(select, value) {
+    if (!select) return;
+    
+    while (select.firstChild) {
+      select.removeChild(select.firstChild);
+    }
+    
+    Object.entries(COOKIE_POLICY_LABELS).forEach(([policy, label]) => {
+      const option = OptionsDOMHelper.createTextElement('option', label);
+      option.value = policy;
+      select.appendChild(option);
+    });
+    select.value = value;
+  }
+
+  safeUpdateCookieCategoryPolicies() {
+    try {
+      const container = this.safeGetElement('cookie-category-policies');
+      if (!container) return;
+      
+      while (container.firstChild) {
+        container.removeChild(container.firstChild);
+      }
+      
+      const categories = Object.keys(this.trackerCategories);
+      if (categories.length === 0) {
+        container.appendChild(OptionsDOMHelper.createTextElement('div', 'Tracker categories unavailable', 'setting-description'));
+        return;
+      }
+      
+      const policies = this.settings.cookieCategoryPolicies || {};
+      
+      categories.forEach(category => {
+        const group = document.createElement('div');
+        group.className = 'inline-form';
+        
+        const label = OptionsDOMHelper.createTextElement('label', this.trackerCategories[category] || category, 'setting-label');
+        label.htmlFor = `cookie-policy-${category}`;
+        
+        const select = document.createElement('select');
+        select.id = `cookie-policy-${category}`;
+        select.className = 'form-control';
+        this.safeFillCookiePolicySelect(select, policies[category] || 'delete');
+        select.addEventListener('change', () => {
+          this.settings.cookieCategoryPolicies = Object.assign({}, this.settings.cookieCategoryPolicies, {
+            [category]: select.value
+          });
+        });
+        
+        group.appendChild(label);
+        group.appendChild(select);
+        container.appendChild(group);
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error updating cookie category policies', error);
+    }
+  }
+
+  safeUpdateCookieSitePoliciesTable() {
+    try {
+      const tableBody = this.safeGetElement('cookie-site-policies-table-body');
+      if (!tableBody) return;
+      
+      while (tableBody.firstChild) {
+        tableBody.removeChild(tableBody.firstChild);
+      }
+      
+      const sitePolicies = Object.entries(this.settings.cookieSitePolicies || {});
+      
+      if (sitePolicies.length === 0) {
+        const noDataRow = OptionsDOMHelper.createTableRow([
+          { text: 'No site cookie policies', style: 'text-align: center; color: #718096;' }
+        ]);
+        noDataRow.firstChild.colSpan = 3;
+        tableBody.appendChild(noDataRow);
+        return;
+      }
+      
+      sitePolicies.sort(([a], [b]) => a.localeCompare(b)).forEach(([domain, policy]) => {
+        try {
+          const row = OptionsDOMHelper.createTableRow([domain, COOKIE_POLICY_LABELS[policy] || policy]);
+          
+          const actionsCell = document.createElement('td');
+          const removeButton = OptionsDOMHelper.createTextElement('button', 'Remove', 'btn btn-danger btn-small');
+          removeButton.addEventListener('click', () => {
+            const remaining = Object.assign({}, this.settings.cookieSitePolicies);
+            delete remaining[domain];
+            this.settings.cookieSitePolicies = remaining;
+            this.safeUpdateCookieSitePoliciesTable();
+            this.showWarning('Save settings to apply the change');
+          });
+          actionsCell.appendChild(removeButton);
+          
+          row.appendChild(actionsCell);
+          tableBody.appendChild(row);
+          
+        } catch (error) {
+          errorHandler.log('warn', 'Error formatting cookie policy row', error, { domain });
+        }
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error updating cookie policy table', error);
+    }
+  }
+
+  safeAddCookieSitePolicy() {
+    const input = this.safeGetElement('cookie-site-domain');
+    const select = this.safeGetElement('cookie-site-policy');
+    let domain = input ? input.value.trim().toLowerCase() : '';
+    
+    if (!domain) {
+      this.showWarning('Enter a site first');
+      return;
+    }
+    
+    // Accept pasted URLs as well as bare hostnames
+    if (domain.includes('://')) {
+      try {
+        domain = new URL(domain).hostname;
+      } catch (error) {
+        this.showError('Invalid site address');
+        return;
+      }
+    }
+    
+    if (!/^[a-z0-9.-]+$/.test(domain) || domain.length > 253) {
+      this.showError('Invalid site address');
+      return;
+    }
+    
+    this.settings.cookieSitePolicies = Object.assign({}, this.settings.cookieSitePolicies, {
+      [domain]: select ? select.value : 'keep'
+    });
+    this.safeUpdateCookieSitePoliciesTable();
+    if (input) input.value = '';
+    this.showWarning('Save settings to apply the change');
+  }
+
+  safeUpdateStatistics() {
+    try {
+      const today = this.statistics.today || DataValidator.validateCounters(null);
+      const lifetime = this.statistics.lifetime || DataValidator.validateCounters(null);
+      const since = lifetime.since ? ` since ${new Date(lifetime.since).toLocaleDateString()}` : ' in total';
+      [
+        ['total-blocked', 'requestsBlocked'],
+        ['cookies-deleted', 'cookiesDeleted'],
+        ['storage-purged', 'storagePurged'],
+        ['params-stripped', 'paramsStripped']
+      ].forEach(([id, counter]) => {
+        this.safeUpdateElement(id, today[counter].toLocaleString());
+        this.safeUpdateElement(`${id}-lifetime`, `${lifetime[counter].toLocaleString()}${since}`);
+      });
+      this.safeUpdateStatisticsHistory();
+      this.safeUpdateElement('domains-detected', this.domains.length.toLocaleString());
+      this.safeUpdateElement('hosts-entries', this.getSafeExportableDomainsCount().toLocaleString());
+      this.safeUpdateCookieSweepStatus();
+      this.safeUpdateContainersTable();
+      this.safeUpdateTrends();
+    } catch (error) {
+      errorHandler.log('error', 'Error updating statistics', error);
+    }
+  }
+
+  safeUpdateStatisticsHistory() {
+    try {
+      const tableBody = this.safeGetElement('statistics-history-table-body');
+      if (!tableBody) return;
+      
+      while (tableBody.firstChild) {
+        tableBody.removeChild(tableBody.firstChild);
+      }
+      
+      const history = [...(this.statistics.history || [])].sort((a, b) => b.start - a.start);
+      if (history.length === 0) {
+        const noDataRow = OptionsDOMHelper.createTableRow([
+          { text: 'No finished days yet', style: 'text-align: center; color: #718096;' }
+        ]);
+        noDataRow.firstChild.colSpan = 5;
+        tableBody.appendChild(noDataRow);
+        return;
+      }
+      
+      history.slice(0, 30).forEach(day => {
+        const counters = DataValidator.validateCounters(day);
+        tableBody.appendChild(OptionsDOMHelper.createTableRow([
+          new Date(day.start).toLocaleDateString(),
+          counters.requestsBlocked.toLocaleString(),
+          counters.cookiesDeleted.toLocaleString(),
+          counters.storagePurged.toLocaleString(),
+          counters.paramsStripped.toLocaleString()
+        ]));
+      });
+      
+      if (history.length > 30) {
+        const moreRow = OptionsDOMHelper.createTableRow([
+          { text: `Showing 30 of ${history.length} days`, style: 'text-align: center; color: #718096; font-style: italic;' }
+        ]);
+        moreRow.firstChild.colSpan = 5;
+        tableBody.appendChild(moreRow);
+      }
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Error updating statistics history', error);
+    }
+  }
+
+  getSafeExportableDomainsCount() {
+    try {
+      return this.domains.filter(domain => {
+        try {
+          const domainName = domain.domain.toLowerCase();
+          return this.trackerDomains.some(tracker => 
+            domainName === tracker || domainName.endsWith('.' + tracker)
+          );
+        } catch (error) {
           errorHandler.log('warn', 'Error processing domain for export count', error, { domain });
           return false;
         }
-      }).length;
+      }).length;
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error calculating exportable domains count', error);
+      return 0;
+    }
+  }
+
+  safeUpdateTrends() {
+    try {
+      const timeline = this.timeline;
+      if (!timeline) {
+        this.safeUpdateElement('trend-summary', 'Trend data is unavailable.');
+        this.safeDrawTimelineChart();
+        this.safeDrawBarList('top-sites-chart', []);
+        this.safeDrawBarList('top-vendors-chart', []);
+        return;
+      }
+      
+      const period = timeline.days === 1 ? 'the last 24 hours' : `the last ${timeline.days} days`;
+      const perDay = timeline.days > 1 ? `, ${Math.round(timeline.totals.blocked / timeline.days).toLocaleString()} per day` : '';
+      this.safeUpdateElement('trend-summary',
+        `${(timeline.totals.blocked || 0).toLocaleString()} trackers stopped and ` +
+        `${(timeline.totals.events || 0).toLocaleString()} tracker events in ${period}${perDay}.`);
+      
+      this.safeDrawTimelineChart();
+      this.safeDrawBarList('top-sites-chart', timeline.sites || []);
+      this.safeDrawBarList('top-vendors-chart', timeline.vendors || []);
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error updating trends', error);
+    }
+  }
+
+  // Bar chart of blocked events per bucket, drawn at the device pixel ratio
+  safeDrawTimelineChart() {
+    try {
+      const canvas = this.safeGetElement('timeline-chart');
+      if (!canvas || !canvas.getContext) return;
+      
+      const width = canvas.clientWidth || 600;
+      const height = canvas.clientHeight || 220;
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+      
+      const series = this.timeline ? this.timeline.series : [];
+      const max = Math.max(0, ...series.map(point => point.events));
+      
+      if (series.length === 0 || max === 0) {
+        ctx.fillStyle = '#718096';
+        ctx.textAlign = 'center';
+        ctx.fillText('No tracker activity in this period', width / 2, height / 2);
+        return;
+      }
+      
+      const padding = { top: 10, right: 10, bottom: 24, left: 40 };
+      const plotWidth = width - padding.left - padding.right;
+      const plotHeight = height - padding.top - padding.bottom;
+      const slot = plotWidth / series.length;
+      const barWidth = Math.max(1, slot * 0.7);
+      
+      // Horizontal grid lines with their values
+      ctx.strokeStyle = '#e2e8f0';
+      ctx.fillStyle = '#718096';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      for (let i = 0; i <= 4; i++) {
+        const y = padding.top + plotHeight - (plotHeight * i) / 4;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(width - padding.right, y);
+        ctx.stroke();
+        ctx.fillText(String(Math.round((max * i) / 4)), padding.left - 6, y);
+      }
+      
+      // All events in a light shade, the blocked share on top of it
+      series.forEach((point, index) => {
+        const x = padding.left + index * slot + (slot - barWidth) / 2;
+        const eventsHeight = (point.events / max) * plotHeight;
+        const blockedHeight = (point.blocked / max) * plotHeight;
+        
+        ctx.fillStyle = '#c3dafe';
+        ctx.fillRect(x, padding.top + plotHeight - eventsHeight, barWidth, eventsHeight);
+        ctx.fillStyle = '#667eea';
+        ctx.fillRect(x, padding.top + plotHeight - blockedHeight, barWidth, blockedHeight);
+      });
+      
+      // Roughly six labels along the time axis
+      ctx.fillStyle = '#718096';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      const step = Math.max(1, Math.ceil(series.length / 6));
+      for (let index = 0; index < series.length; index += step) {
+        const date = new Date(series[index].start);
+        const label = this.timeline.interval === 'hour' ?
+          date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) :
+          date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+        ctx.fillText(label, padding.left + index * slot + slot / 2, padding.top + plotHeight + 6);
+      }
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Error drawing timeline chart', error);
+    }
+  }
+
+  safeDrawBarList(containerId, items) {
+    try {
+      const container = this.safeGetElement(containerId);
+      if (!container) return;
+      
+      while (container.firstChild) {
+        container.removeChild(container.firstChild);
+      }
+      
+      if (items.length === 0) {
+        container.appendChild(OptionsDOMHelper.createTextElement('div', 'No data for this period', 'setting-description'));
+        return;
+      }
+      
+      const max = Math.max(...items.map(item => item.count));
+      items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'bar-row';
+        
+        const label = OptionsDOMHelper.createTextElement('div', item.name, 'bar-label');
+        label.title = item.name;
+        
+        const track = document.createElement('div');
+        track.className = 'bar-track';
+        const fill = document.createElement('div');
+        fill.className = 'bar-fill';
+        fill.style.width = `${max > 0 ? Math.max(2, (item.count / max) * 100) : 0}%`;
+        track.appendChild(fill);
+        
+        row.appendChild(label);
+        row.appendChild(track);
+        row.appendChild(OptionsDOMHelper.createTextElement('div', item.count.toLocaleString(), 'bar-value'));
+        container.appendChild(row);
+      });
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Error drawing bar list', error, { containerId });
+    }
+  }
+
+  safeUpdateHistoryFilters() {
+    try {
+      const fill = (id, values, labels = {}) => {
+        const select = this.safeGetElement(id);
+        if (!select) return;
+        while (select.options.length > 1) {
+          select.remove(1);
+        }
+        values.forEach(value => {
+          const option = OptionsDOMHelper.createTextElement('option', labels[value] || value);
+          option.value = value;
+          select.appendChild(option);
+        });
+      };
+      
+      fill('history-vendor', this.trackerVendors);
+      fill('history-method', HISTORY_METHODS);
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Error updating history filters', error);
+    }
+  }
+
+  async safeSearchHistory() {
+    const tableBody = this.safeGetElement('history-table-body');
+    if (!tableBody) return;
+    
+    const showMessage = (text, color = '#718096') => {
+      while (tableBody.firstChild) {
+        tableBody.removeChild(tableBody.firstChild);
+      }
+      const row = OptionsDOMHelper.createTableRow([{ text, style: `text-align: center; color: ${color};` }]);
+      row.firstChild.colSpan = 6;
+      tableBody.appendChild(row);
+    };
+    
+    try {
+      let site = (this.safeGetElement('history-site')?.value || '').trim().toLowerCase();
+      if (site.includes('/')) {
+        try {
+          site = new URL(site.includes('://') ? site : 'https://' + site).hostname;
+        } catch (error) {
+          this.showError('Invalid site address');
+          return;
+        }
+      }
+      if (site && (!/^[a-z0-9.-]+$/.test(site) || site.length > 253)) {
+        this.showError('Invalid site address');
+        return;
+      }
+      
+      const days = parseInt(this.safeGetElement('history-range')?.value) || 7;
+      showMessage('Searching...');
+      
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({
+          type: 'QUERY_EVENTS',
+          from: Date.now() - days * 24 * 60 * 60 * 1000,
+          site: site || undefined,
+          vendor: this.safeGetElement('history-vendor')?.value || undefined,
+          method: this.safeGetElement('history-method')?.value || undefined,
+          limit: 200
+        }),
+        15000,
+        'history search'
+      );
+      
+      if (!response || response.error || !Array.isArray(response.events)) {
+        throw new Error((response && response.error) || 'Invalid history response');
+      }
+      
+      this.safeUpdateHistorySummary(response, site, days);
+      
+      if (response.events.length === 0) {
+        showMessage('No tracking events found');
+        return;
+      }
+      
+      while (tableBody.firstChild) {
+        tableBody.removeChild(tableBody.firstChild);
+      }
+      
+      response.events.forEach(event => {
+        try {
+          tableBody.appendChild(OptionsDOMHelper.createTableRow([
+            this.safeFormatDate(event.timestamp),
+            { text: event.website || event.site || '–', title: event.website || '' },
+            { text: event.vendor ? `${event.vendor} (${event.domain})` : (event.domain || 'unknown'), title: event.domain || '' },
+            event.method || 'unknown',
+            EVENT_ACTION_LABELS[event.action] || event.action || 'unknown',
+            { text: event.rule || event.reason || '–', title: event.reason || '' }
+          ]));
+        } catch (error) {
+          errorHandler.log('warn', 'Error formatting history row', error, { id: event && event.id });
+        }
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', 'History search failed', error);
+      showMessage('Failed to load tracking history', '#ef4444');
+    }
+  }
+
+  safeUpdateHistorySummary(response, site, days) {
+    const vendors = Object.entries(response.summary && response.summary.vendors || {})
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([vendor, count]) => `${vendor} (${count})`);
+    
+    const scope = site ? `on ${site}` : 'on all sites';
+    const period = days === 1 ? 'the last 24 hours' : `the last ${days} days`;
+    let summary = `${(response.total || 0).toLocaleString()} events ${scope} in ${period}`;
+    if (vendors.length > 0) {
+      summary += `. Most active: ${vendors.join(', ')}`;
+    }
+    if (response.total > response.events.length) {
+      summary += `. Showing the latest ${response.events.length}`;
+    }
+    
+    this.safeUpdateElement('history-summary', summary + '.');
+  }
+
+  safeUpdateDomainContainerFilter() {
+    const group = this.safeGetElement('domain-container-filter-group');
+    const select = this.safeGetElement('domain-container-filter');
+    if (!group || !select) return;
+    
+    if (this.containers.length === 0) {
+      group.style.display = 'none';
+      this.domainContainerFilter = '';
+      return;
+    }
+    
+    group.style.display = '';
+    while (select.options.length > 1) {
+      select.remove(1);
+    }
+    this.containers.forEach(container => {
+      const option = OptionsDOMHelper.createTextElement('option', container.name);
+      option.value = container.cookieStoreId;
+      select.appendChild(option);
+    });
+    select.value = this.domainContainerFilter;
+  }
+
+  safeUpdateSyncStatus() {
+    try {
+      const status = this.syncStatus;
+      const tableBody = this.safeGetElement('sync-table-body');
+      
+      let summary;
+      if (!status) {
+        summary = 'Sync status unavailable';
+      } else if (!status.available) {
+        summary = 'Sync storage is not available in this browser';
+      } else if (!status.enabled) {
+        summary = 'Sync is off';
+      } else if (status.syncing) {
+        summary = 'Syncing...';
+      } else if (status.lastError) {
+        summary = `Last sync failed: ${status.lastError}`;
+      } else if (status.lastSync) {
+        summary = `Last synced ${new Date(status.lastSync).toLocaleString()} - ` +
+          `${(status.bytesUsed / 1024).toFixed(1)} of ${Math.round(status.quotaBytes / 1024)} KB of sync storage used`;
+      } else {
+        summary = 'Not synced yet';
+      }
+      this.safeUpdateElement('sync-status', summary);
+      
+      if (!tableBody) return;
+      while (tableBody.firstChild) {
+        tableBody.removeChild(tableBody.firstChild);
+      }
+      
+      if (!status) {
+        const noDataRow = OptionsDOMHelper.createTableRow([
+          { text: 'Sync status unavailable', style: 'text-align: center; color: #718096;' }
+        ]);
+        noDataRow.firstChild.colSpan = 5;
+        tableBody.appendChild(noDataRow);
+        return;
+      }
+      
+      const directionLabels = {
+        sent: 'Sent from this device',
+        received: 'Received from another device',
+        merged: 'Merged with another device'
+      };
+      status.keys.forEach(entry => {
+        tableBody.appendChild(OptionsDOMHelper.createTableRow([
+          entry.label,
+          entry.modified ? new Date(entry.modified).toLocaleString() : 'Never',
+          entry.syncedAt ? new Date(entry.syncedAt).toLocaleString() : 'Never',
+          entry.error ?
+            { text: entry.error, style: 'color: #ef4444;' } :
+            directionLabels[entry.direction] || '-',
+          entry.bytes ? `${(entry.bytes / 1024).toFixed(1)} KB` : '-'
+        ]));
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error updating sync status', error);
+    }
+  }
+
+  async safeSyncNow() {
+    try {
+      if (!this.syncStatus || !this.syncStatus.enabled) {
+        this.showWarning('Turn on sync and save settings first');
+        return;
+      }
+      
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'SYNC_NOW' }),
+        30000,
+        'sync'
+      );
+      
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'No response from background script');
+      }
+      
+      this.syncStatus = response;
+      this.safeUpdateSyncStatus();
+      
+      if (response.lastError) {
+        throw new Error(response.lastError);
+      }
+      this.showSuccess('Sync complete');
+      
+    } catch (error) {
+      errorHandler.log('error', 'Sync failed', error);
+      this.showError('Sync failed: ' + error.message);
+    }
+  }
+
+  safeUpdateContainersTable() {
+    try {
+      const tableBody = this.safeGetElement('containers-table-body');
+      if (!tableBody) return;
+      
+      while (tableBody.firstChild) {
+        tableBody.removeChild(tableBody.firstChild);
+      }
+      
+      if (this.containers.length === 0) {
+        const noDataRow = OptionsDOMHelper.createTableRow([
+          { text: 'No containers found. Enable containers in Firefox settings to use profiles.', style: 'text-align: center; color: #718096;' }
+        ]);
+        noDataRow.firstChild.colSpan = 4;
+        tableBody.appendChild(noDataRow);
+        return;
+      }
+      
+      const profiles = this.settings.containerProfiles || {};
+      const stats = this.statistics.containers || {};
+      
+      this.containers.forEach(container => {
+        try {
+          const containerStats = stats[container.cookieStoreId] || {};
+          const row = document.createElement('tr');
+          
+          row.appendChild(OptionsDOMHelper.createTextElement('td', container.name));
+          
+          const profileCell = document.createElement('td');
+          const select = document.createElement('select');
+          select.className = 'form-control';
+          Object.entries(CONTAINER_PROFILE_LABELS).forEach(([profile, label]) => {
+            const option = OptionsDOMHelper.createTextElement('option', label);
+            option.value = profile;
+            select.appendChild(option);
+          });
+          select.value = profiles[container.cookieStoreId] || 'default';
+          select.addEventListener('change', () => {
+            const updated = Object.assign({}, this.settings.containerProfiles);
+            if (select.value === 'default') {
+              delete updated[container.cookieStoreId];
+            } else {
+              updated[container.cookieStoreId] = select.value;
+            }
+            this.settings.containerProfiles = updated;
+            this.showWarning('Save settings to apply the change');
+          });
+          profileCell.appendChild(select);
+          row.appendChild(profileCell);
+          
+          row.appendChild(OptionsDOMHelper.createTextElement('td', (parseInt(containerStats.blocked) || 0).toLocaleString()));
+          row.appendChild(OptionsDOMHelper.createTextElement('td', (parseInt(containerStats.cookiesDeleted) || 0).toLocaleString()));
+          tableBody.appendChild(row);
+          
+        } catch (error) {
+          errorHandler.log('warn', 'Error formatting container row', error, { container: container && container.name });
+        }
+      });
       
     } catch (error) {
-      errorHandler.log('error', 'Error calculating exportable domains count', error);
-      return 0;
+      errorHandler.log('error', 'Error updating containers table', error);
     }
   }
 
@@ -823,17 +2146,26 @@ class SafeNixxerOptions {
         tableBody.removeChild(tableBody.firstChild);
       }
       
-      if (this.domains.length === 0) {
+      this.safeUpdateDomainContainerFilter();
+      
+      const domains = this.domainContainerFilter ?
+        this.domains.filter(domain => Array.isArray(domain.containers) && domain.containers.includes(this.domainContainerFilter)) :
+        this.domains;
+      
+      if (domains.length === 0) {
         const noDataRow = OptionsDOMHelper.createTableRow([
-          { text: 'No domains detected yet', style: 'text-align: center; color: #718096;' }
+          {
+            text: this.domainContainerFilter ? 'No domains detected in this container' : 'No domains detected yet',
+            style: 'text-align: center; color: #718096;'
+          }
         ]);
-        noDataRow.firstChild.colSpan = 5;
+        noDataRow.firstChild.colSpan = 6;
         tableBody.appendChild(noDataRow);
         return;
       }
       
       // Sort domains by last seen (most recent first) with error handling
-      const sortedDomains = [...this.domains].sort((a, b) => {
+      const sortedDomains = [...domains].sort((a, b) => {
         try {
           return (b.lastSeen || 0) - (a.lastSeen || 0);
         } catch (error) {
@@ -848,13 +2180,21 @@ class SafeNixxerOptions {
           const lastSeen = this.safeFormatDate(domain.lastSeen);
           const types = domain.gaTypes ? domain.gaTypes.join(', ') : 'unknown';
           
-          return OptionsDOMHelper.createTableRow([
+          const row = OptionsDOMHelper.createTableRow([
             { text: domain.domain, title: domain.domain },
             firstSeen,
             lastSeen,
             String(domain.frequency || 1),
             types
           ]);
+          
+          const actionsCell = document.createElement('td');
+          const deleteButton = OptionsDOMHelper.createTextElement('button', 'Delete', 'btn btn-danger btn-small');
+          deleteButton.addEventListener('click', () => this.safeDeleteDomain(domain.domain));
+          actionsCell.appendChild(deleteButton);
+          row.appendChild(actionsCell);
+          
+          return row;
         } catch (error) {
           errorHandler.log('warn', 'Error formatting domain row', error, { domain });
           return OptionsDOMHelper.createTableRow([
@@ -874,7 +2214,7 @@ class SafeNixxerOptions {
             style: 'text-align: center; color: #718096; font-style: italic;' 
           }
         ]);
-        moreRow.firstChild.colSpan = 5;
+        moreRow.firstChild.colSpan = 6;
         tableBody.appendChild(moreRow);
       }
       
@@ -889,12 +2229,365 @@ class SafeNixxerOptions {
         const errorRow = OptionsDOMHelper.createTableRow([
           { text: 'Error loading domains', style: 'text-align: center; color: #ef4444;' }
         ]);
-        errorRow.firstChild.colSpan = 5;
+        errorRow.firstChild.colSpan = 6;
         tableBody.appendChild(errorRow);
       }
     }
   }
 
+  async safeDeleteDomain(domain) {
+    try {
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'DELETE_DOMAIN', domain }),
+        5000,
+        'domain deletion'
+      );
+      
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'No response from background script');
+      }
+      
+      this.domains = this.domains.filter(entry => entry.domain !== domain);
+      this.safeUpdateDomainsTable();
+      this.showSuccess('Domain removed');
+      
+    } catch (error) {
+      errorHandler.log('error', 'Failed to delete domain', error, { domain });
+      this.showError('Failed to delete domain: ' + error.message);
+    }
+  }
+
+  safeUpdateFilterListsTable() {
+    try {
+      const tableBody = this.safeGetElement('filter-lists-table-body');
+      if (!tableBody) return;
+      
+      while (tableBody.firstChild) {
+        tableBody.removeChild(tableBody.firstChild);
+      }
+      
+      if (this.filterLists.length === 0) {
+        const noDataRow = OptionsDOMHelper.createTableRow([
+          { text: 'No filter lists subscribed', style: 'text-align: center; color: #718096;' }
+        ]);
+        noDataRow.firstChild.colSpan = 5;
+        tableBody.appendChild(noDataRow);
+        return;
+      }
+      
+      this.filterLists.forEach(list => {
+        try {
+          let status = { text: 'Active', className: 'status-ok' };
+          if (!list.enabled) {
+            status = { text: 'Disabled', className: 'status-muted' };
+          } else if (list.lastError) {
+            status = { text: `Error: ${list.lastError}`, className: 'status-error' };
+          }
+          
+          const row = OptionsDOMHelper.createTableRow([
+            { text: list.title, title: list.url || 'Imported from file' },
+            (list.ruleCount || 0).toLocaleString(),
+            list.lastUpdated ? new Date(list.lastUpdated).toLocaleString() : 'Never',
+            status.text
+          ]);
+          row.lastChild.className = status.className;
+          
+          const actionsCell = document.createElement('td');
+          
+          const toggleButton = OptionsDOMHelper.createTextElement('button', list.enabled ? 'Disable' : 'Enable', 'btn btn-secondary btn-small');
+          toggleButton.addEventListener('click', () => {
+            this.safeFilterListAction({ type: 'TOGGLE_FILTER_LIST', id: list.id, enabled: !list.enabled },
+              `Filter list ${list.enabled ? 'disabled' : 'enabled'}`);
+          });
+          actionsCell.appendChild(toggleButton);
+          
+          if (list.source === 'url') {
+            const refreshButton = OptionsDOMHelper.createTextElement('button', 'Refresh', 'btn btn-secondary btn-small');
+            refreshButton.addEventListener('click', () => {
+              this.safeFilterListAction({ type: 'REFRESH_FILTER_LISTS', id: list.id }, 'Filter list refreshed');
+            });
+            actionsCell.appendChild(refreshButton);
+          }
+          
+          const removeButton = OptionsDOMHelper.createTextElement('button', 'Remove', 'btn btn-danger btn-small');
+          removeButton.addEventListener('click', () => {
+            if (confirm(`Remove filter list "${list.title}"?`)) {
+              this.safeFilterListAction({ type: 'REMOVE_FILTER_LIST', id: list.id }, 'Filter list removed');
+            }
+          });
+          actionsCell.appendChild(removeButton);
+          
+          row.appendChild(actionsCell);
+          tableBody.appendChild(row);
+          
+        } catch (error) {
+          errorHandler.log('warn', 'Error formatting filter list row', error, { listId: list && list.id });
+        }
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error updating filter lists table', error);
+    }
+  }
+
+  async safeFilterListAction(message, successMessage) {
+    try {
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage(message),
+        60000,
+        'filter list update'
+      );
+      
+      if (response && Array.isArray(response.lists)) {
+        this.filterLists = response.lists;
+        this.safeUpdateFilterListsTable();
+      }
+      
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'No response from background script');
+      }
+      
+      this.showSuccess(successMessage);
+      return true;
+      
+    } catch (error) {
+      errorHandler.log('error', 'Filter list action failed', error, { type: message.type });
+      this.showError('Filter list update failed: ' + error.message);
+      return false;
+    }
+  }
+
+  safeUpdateAllowlistTable() {
+    try {
+      const tableBody = this.safeGetElement('allowlist-table-body');
+      if (!tableBody) return;
+      
+      while (tableBody.firstChild) {
+        tableBody.removeChild(tableBody.firstChild);
+      }
+      
+      if (this.allowlist.length === 0) {
+        const noDataRow = OptionsDOMHelper.createTableRow([
+          { text: 'No sites allowlisted', style: 'text-align: center; color: #718096;' }
+        ]);
+        noDataRow.firstChild.colSpan = 6;
+        tableBody.appendChild(noDataRow);
+        return;
+      }
+      
+      const typeLabels = {
+        permanent: 'Permanent',
+        timed: 'Temporary',
+        tab: 'Until tab closes'
+      };
+      
+      this.allowlist.forEach(entry => {
+        try {
+          let expires = 'Never';
+          if (entry.type === 'timed' && entry.expiresAt) {
+            expires = new Date(entry.expiresAt).toLocaleString();
+          } else if (entry.type === 'tab') {
+            expires = 'When tab closes';
+          }
+          
+          const row = OptionsDOMHelper.createTableRow([
+            entry.domain,
+            entry.cookieStoreId ? this.getContainerName(entry.cookieStoreId) : 'All',
+            typeLabels[entry.type] || entry.type,
+            entry.createdAt ? new Date(entry.createdAt).toLocaleString() : 'Unknown',
+            expires
+          ]);
+          
+          const actionsCell = document.createElement('td');
+          const removeButton = OptionsDOMHelper.createTextElement('button', 'Remove', 'btn btn-danger btn-small');
+          removeButton.addEventListener('click', () => {
+            this.safeAllowlistAction({
+              type: 'ALLOWLIST_REMOVE',
+              domain: entry.domain,
+              cookieStoreId: entry.cookieStoreId || null
+            }, 'Site removed from allowlist');
+          });
+          actionsCell.appendChild(removeButton);
+          
+          row.appendChild(actionsCell);
+          tableBody.appendChild(row);
+          
+        } catch (error) {
+          errorHandler.log('warn', 'Error formatting allowlist row', error, { domain: entry && entry.domain });
+        }
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error updating allowlist table', error);
+    }
+  }
+
+  safeUpdateFingerprintSitesTable() {
+    try {
+      const tableBody = this.safeGetElement('fingerprint-sites-table-body');
+      if (!tableBody) return;
+      
+      while (tableBody.firstChild) {
+        tableBody.removeChild(tableBody.firstChild);
+      }
+      
+      const siteModes = Object.entries(this.settings.fingerprintSiteModes || {});
+      
+      if (siteModes.length === 0) {
+        const noDataRow = OptionsDOMHelper.createTableRow([
+          { text: 'No per-site overrides. Set one from the popup.', style: 'text-align: center; color: #718096;' }
+        ]);
+        noDataRow.firstChild.colSpan = 3;
+        tableBody.appendChild(noDataRow);
+        return;
+      }
+      
+      const modeLabels = {
+        report: 'Report only',
+        noise: 'Add noise',
+        block: 'Block'
+      };
+      
+      siteModes.sort(([a], [b]) => a.localeCompare(b)).forEach(([domain, mode]) => {
+        try {
+          const row = OptionsDOMHelper.createTableRow([domain, modeLabels[mode] || mode]);
+          
+          const actionsCell = document.createElement('td');
+          const removeButton = OptionsDOMHelper.createTextElement('button', 'Remove', 'btn btn-danger btn-small');
+          removeButton.addEventListener('click', () => {
+            this.safeRemoveFingerprintOverride(domain);
+          });
+          actionsCell.appendChild(removeButton);
+          
+          row.appendChild(actionsCell);
+          tableBody.appendChild(row);
+          
+        } catch (error) {
+          errorHandler.log('warn', 'Error formatting fingerprinting row', error, { domain });
+        }
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error updating fingerprinting table', error);
+    }
+  }
+
+  async safeRemoveFingerprintOverride(domain) {
+    try {
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'SET_FINGERPRINT_MODE', domain, mode: null }),
+        5000,
+        'fingerprint mode update'
+      );
+      
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'No response from background script');
+      }
+      
+      this.settings.fingerprintSiteModes = response.siteModes || {};
+      this.safeUpdateFingerprintSitesTable();
+      this.showSuccess('Site now uses the default fingerprinting mode');
+      
+    } catch (error) {
+      errorHandler.log('error', 'Failed to remove fingerprinting override', error, { domain });
+      this.showError('Fingerprinting update failed: ' + error.message);
+    }
+  }
+
+  async safeAllowlistAction(message, successMessage) {
+    try {
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage(message),
+        5000,
+        'allowlist update'
+      );
+      
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'No response from background script');
+      }
+      
+      if (Array.isArray(response.entries)) {
+        this.allowlist = response.entries;
+        this.safeUpdateAllowlistTable();
+      }
+      
+      this.showSuccess(successMessage);
+      return true;
+      
+    } catch (error) {
+      errorHandler.log('error', 'Allowlist action failed', error, { type: message.type });
+      this.showError('Allowlist update failed: ' + error.message);
+      return false;
+    }
+  }
+
+  async safeAddAllowlistEntry() {
+    const input = this.safeGetElement('allowlist-domain');
+    let domain = input ? input.value.trim() : '';
+    
+    if (!domain) {
+      this.showWarning('Enter a site to allowlist first');
+      return;
+    }
+    
+    // Accept pasted URLs as well as bare hostnames
+    if (domain.includes('://')) {
+      try {
+        domain = new URL(domain).hostname;
+      } catch (error) {
+        this.showError('Invalid site address');
+        return;
+      }
+    }
+    
+    const added = await this.safeAllowlistAction({ type: 'ALLOWLIST_ADD', domain, duration: 'permanent' }, 'Site added to allowlist');
+    if (added && input) {
+      input.value = '';
+    }
+  }
+
+  async safeAddFilterList() {
+    const input = this.safeGetElement('filter-list-url');
+    const url = input ? input.value.trim() : '';
+    
+    if (!url) {
+      this.showWarning('Enter a filter list URL first');
+      return;
+    }
+    
+    const added = await this.safeFilterListAction({ type: 'ADD_FILTER_LIST', url }, 'Filter list subscribed');
+    if (added && input) {
+      input.value = '';
+    }
+  }
+
+  async safeImportFilterList(file) {
+    if (!file) return;
+    
+    try {
+      if (file.size > 20 * 1024 * 1024) { // 20MB limit
+        throw new Error('File too large (max 20MB)');
+      }
+      
+      const text = await errorHandler.withTimeout(
+        new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = e => resolve(e.target.result);
+          reader.onerror = e => reject(new Error('Failed to read file'));
+          reader.readAsText(file);
+        }),
+        10000,
+        'file reading'
+      );
+      
+      await this.safeFilterListAction({ type: 'IMPORT_FILTER_LIST', title: file.name, text }, 'Filter list imported');
+      
+    } catch (error) {
+      errorHandler.log('error', 'Filter list import failed', error);
+      this.showError('Failed to import filter list: ' + error.message);
+    }
+  }
+
   safeFormatDate(timestamp) {
     try {
       if (!timestamp || isNaN(timestamp)) {
@@ -919,22 +2612,15 @@ class SafeNixxerOptions {
       // Validate settings before saving
       const validatedSettings = DataValidator.validateSettings(this.settings);
       
-      await errorHandler.withTimeout(
-        errorHandler.withRetry(async () => {
-          await browser.storage.local.set({ settings: validatedSettings });
-        }, 'save_settings'),
+      // The background owns stored data; writing storage here would be undone by its next save
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'SETTINGS_UPDATED', settings: validatedSettings }),
         8000,
         'settings save'
       );
       
-      // Send updated settings to background script
-      try {
-        await browser.runtime.sendMessage({
-          type: 'SETTINGS_UPDATED',
-          settings: validatedSettings
-        });
-      } catch (msgError) {
-        errorHandler.log('warn', 'Failed to notify background script of settings update', msgError);
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'No response from background script');
       }
       
       this.showSuccess('Settings saved successfully');
@@ -954,7 +2640,8 @@ class SafeNixxerOptions {
         domains: this.domains,
         statistics: this.statistics,
         exportedAt: new Date().toISOString(),
-        version: '1.3.0',
+        version: browser.runtime.getManifest().version,
+        schemaVersion: STORAGE_SCHEMA_VERSION,
         criticalErrors: errorHandler.getCriticalErrors()
       };
       
@@ -1047,36 +2734,16 @@ class SafeNixxerOptions {
 
   async safeSaveImportedData(validatedData) {
     try {
-      const storageData = {
-        settings: validatedData.settings,
-        detectedDomains: {},
-        statistics: validatedData.statistics
-      };
-      
-      // Convert domains array back to object format
-      validatedData.domains.forEach(domain => {
-        try {
-          storageData.detectedDomains[domain.domain] = {
-            firstSeen: domain.firstSeen,
-            lastSeen: domain.lastSeen,
-            frequency: domain.frequency,
-            gaTypes: domain.gaTypes,
-            blocked: domain.blocked,
-            details: domain.details
-          };
-        } catch (error) {
-          errorHandler.log('warn', 'Error processing domain for import', error, { domain });
-        }
-      });
-      
-      await errorHandler.withTimeout(
-        errorHandler.withRetry(async () => {
-          await browser.storage.local.set(storageData);
-        }, 'save_imported_data'),
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'IMPORT_DATA', data: validatedData }),
         15000,
         'imported data save'
       );
       
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'No response from background script');
+      }
+      
     } catch (error) {
       errorHandler.log('error', 'Failed to save imported data', error);
       throw error;
@@ -1093,14 +2760,16 @@ class SafeNixxerOptions {
         return;
       }
       
-      await errorHandler.withTimeout(
-        errorHandler.withRetry(async () => {
-          await browser.storage.local.clear();
-        }, 'clear_all_data'),
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'CLEAR_ALL_DATA' }),
         10000,
         'data clearing'
       );
       
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'No response from background script');
+      }
+      
       // Reset local data
       this.settings = {
         detectionSensitivity: 'high',
@@ -1110,7 +2779,21 @@ class SafeNixxerOptions {
         maxHostsEntries: 500,
         autoExportThreshold: 450,
         autoCleanup: true,
-        exportFormat: 'pihole'
+        exportFormat: 'pihole',
+        filterListUpdateHours: 24,
+        statisticsHistoryDays: 90,
+        stripTrackingParams: true,
+        stripParamExceptions: [],
+        headerProtection: true,
+        cnameUncloaking: true,
+        bounceProtection: true,
+        useSurrogates: true,
+        fingerprintMode: 'noise',
+        fingerprintSiteModes: {},
+        cookieCategoryPolicies: {},
+        cookieSitePolicies: {},
+        containerProfiles: {},
+        syncEnabled: false
       };
       this.domains = [];
       this.statistics = {};
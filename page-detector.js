@@ -0,0 +1,211 @@
+// Nixxer Page Detector - Runs in the page's own JavaScript context
+//
+// Content scripts only see the page through Xray wrappers, so tracker globals
+// such as gtag, fbq or ttq are invisible to them. content.js injects this file
+// (bundled into page-scripts.js) as an inline <script> at document_start, so it
+// runs before any page script, wrapped in a function that hands it a random
+// event name as `channel`. Observations go back as CustomEvents on it with a JSON
+// string detail. A "ready" event tells content.js the listener is in place;
+// it answers with a "config" event listing the registry's globals to watch,
+// sent again on "ready" in case this file loaded after the config was sent.
+//
+// Everything here must stay invisible to the page: no globals are added,
+// content.js removes the injected <script> element, and any failure is swallowed.
+// After editing, regenerate page-scripts.js with `node build-page-scripts.js`.
+
+(function() {
+  'use strict';
+
+  if (typeof channel !== 'string' || !channel) {
+    return;
+  }
+
+  const MAX_EVENTS = 50;
+  const reported = new Set();
+  const watchedGlobals = new Set();
+  const hookedObjects = new WeakSet();
+
+  function emit(kind, name, detail) {
+    try {
+      const key = `${kind}:${name}:${detail || ''}`;
+      if (reported.has(key) || reported.size >= MAX_EVENTS) return;
+      reported.add(key);
+
+      document.dispatchEvent(new CustomEvent(channel, {
+        detail: JSON.stringify({ kind, name, detail: detail ? String(detail).slice(0, 200) : null })
+      }));
+    } catch (error) {
+      // Never let detection break the page
+    }
+  }
+
+  function describeCall(args) {
+    const parts = [];
+    for (let i = 0; i < Math.min(args.length, 2); i++) {
+      if (typeof args[i] === 'string') parts.push(args[i]);
+    }
+    return parts.join(' ');
+  }
+
+  // Keeps obj[method] wrapped even when the page later replaces it (GTM swaps
+  // dataLayer.push for its own function once it loads)
+  function hookMethod(obj, method, onCall) {
+    if (!obj || (typeof obj !== 'object' && typeof obj !== 'function')) return;
+
+    const descriptor = Object.getOwnPropertyDescriptor(obj, method);
+    if (descriptor && !descriptor.configurable) return;
+
+    let current = obj[method];
+    let wrapped = null;
+    let wrappedFor = null;
+
+    Object.defineProperty(obj, method, {
+      configurable: true,
+      enumerable: descriptor ? descriptor.enumerable : false,
+      get() {
+        if (typeof current !== 'function') return current;
+        if (wrappedFor !== current) {
+          const original = current;
+          wrapped = function() {
+            try {
+              onCall(arguments);
+            } catch (error) {
+              // Ignore reporting failures
+            }
+            return original.apply(this, arguments);
+          };
+          wrappedFor = original;
+        }
+        return wrapped;
+      },
+      set(value) {
+        current = value;
+      }
+    });
+  }
+
+  function hookDataLayer(value) {
+    if (!Array.isArray(value) || hookedObjects.has(value)) return value;
+    hookedObjects.add(value);
+
+    hookMethod(value, 'push', (args) => {
+      for (const item of args) {
+        if (!item || typeof item !== 'object') continue;
+        // gtag() pushes its arguments object; GTM pushes plain event objects
+        const detail = typeof item.event === 'string' ? item.event : describeCall(item);
+        emit('dataLayer-push', 'dataLayer', detail);
+      }
+    });
+
+    return value;
+  }
+
+  function hookFbq(value) {
+    if (typeof value !== 'function' || hookedObjects.has(value)) return value;
+
+    // A Proxy keeps fbq.queue, fbq.callMethod and friends on the real function
+    const proxy = new Proxy(value, {
+      apply(target, thisArg, args) {
+        emit('fbq-call', 'fbq', describeCall(args));
+        return Reflect.apply(target, thisArg, args);
+      }
+    });
+    hookedObjects.add(proxy);
+    return proxy;
+  }
+
+  function hookTtq(value) {
+    if (!value || typeof value !== 'object' || hookedObjects.has(value)) return value;
+    hookedObjects.add(value);
+
+    hookMethod(value, 'track', (args) => {
+      emit('ttq-track', 'ttq', describeCall(args));
+    });
+
+    return value;
+  }
+
+  const HOOKS = {
+    dataLayer: hookDataLayer,
+    fbq: hookFbq,
+    ttq: hookTtq
+  };
+
+  function watchGlobal(name) {
+    if (watchedGlobals.has(name)) return;
+    watchedGlobals.add(name);
+
+    try {
+      const hook = HOOKS[name] || ((value) => value);
+      const descriptor = Object.getOwnPropertyDescriptor(window, name);
+
+      if (descriptor && descriptor.value !== undefined) {
+        emit('global', name, null);
+      }
+
+      // Function declarations and non-configurable globals cannot be trapped;
+      // they are picked up by the checks in scanGlobals instead
+      if (descriptor && !descriptor.configurable) {
+        return;
+      }
+
+      let current = hook(descriptor ? descriptor.value : undefined);
+
+      Object.defineProperty(window, name, {
+        configurable: true,
+        enumerable: true,
+        get() {
+          return current;
+        },
+        set(value) {
+          if (value !== undefined) {
+            emit('global', name, null);
+          }
+          current = hook(value);
+        }
+      });
+    } catch (error) {
+      // Leave the global untouched
+    }
+  }
+
+  function scanGlobals() {
+    for (const name of watchedGlobals) {
+      try {
+        if (typeof window[name] !== 'undefined') {
+          emit('global', name, null);
+        }
+      } catch (error) {
+        // Some getters throw
+      }
+    }
+  }
+
+  document.addEventListener(channel + ':config', (event) => {
+    try {
+      const config = JSON.parse(event.detail);
+      if (config && Array.isArray(config.globals)) {
+        config.globals
+          .filter(name => typeof name === 'string' && /^[A-Za-z_$][\w$]*$/.test(name))
+          .forEach(watchGlobal);
+      }
+      scanGlobals();
+    } catch (error) {
+      // Malformed config
+    }
+  });
+
+  try {
+    document.dispatchEvent(new CustomEvent(channel, {
+      detail: JSON.stringify({ kind: 'ready', name: 'detector' })
+    }));
+  } catch (error) {
+    // The config sent with the registry still arrives
+  }
+
+  // The hooked globals are trapped straight away; anything a snippet defines
+  // before the registry arrives would otherwise be missed
+  Object.keys(HOOKS).forEach(watchGlobal);
+
+  window.addEventListener('load', scanGlobals, { once: true });
+})();
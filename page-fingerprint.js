@@ -0,0 +1,343 @@
+// Nixxer Fingerprint Guard - Runs in the page's own JavaScript context
+//
+// Watches the APIs fingerprinting scripts read back from: canvas pixel data,
+// the unmasked WebGL vendor/renderer, offline audio rendering and bulk font
+// measurement. Each read is scored with a few heuristics (text drawn then read
+// back, hidden canvases, WebGL-rendered canvases, many distinct fonts) and
+// reads that look like fingerprinting are reported over the same private
+// channel page-detector.js uses, and which content.js hands to both as `channel`.
+// After editing, regenerate page-scripts.js with `node build-page-scripts.js`.
+//
+// content.js requests the site's mode at document_start and sends it on
+// "<channel>:fingerprint-config", again whenever this file reports ready:
+//   report - observe and report only
+//   noise  - return slightly perturbed canvas and audio data, generic WebGL strings
+//   block  - return blank canvas and audio data, no WebGL strings
+//   off    - site is allowlisted, pass everything through
+// Until the mode arrives, reads are only reported.
+
+(function() {
+  'use strict';
+
+  if (typeof channel !== 'string' || !channel) {
+    return;
+  }
+
+  const SCORE_THRESHOLD = 50;
+  const FONT_ENUMERATION_THRESHOLD = 20;
+  const UNMASKED_VENDOR_WEBGL = 0x9245;
+  const UNMASKED_RENDERER_WEBGL = 0x9246;
+
+  let mode = 'report';
+  const reported = new Set();
+  const textCanvases = new WeakSet();
+  const webglCanvases = new WeakSet();
+  const offlineRenders = [];
+  const noisedBuffers = new WeakSet();
+  const measuredFonts = new Set();
+
+  // Per-page seed so repeated reads of the same canvas return the same noise
+  const seed = crypto.getRandomValues(new Uint32Array(1))[0];
+
+  function hash(value) {
+    let h = Math.imul(value ^ seed, 0x5bd1e995);
+    h ^= h >>> 15;
+    return Math.imul(h, 0x27d4eb2d) >>> 0;
+  }
+
+  function getFrameUrl(frame) {
+    const match = frame.match(/(https?:\/\/[^\s)]+?):\d+:\d+/);
+    return match ? match[1] : null;
+  }
+
+  // Injected inline, this file's frames carry the page's own URL
+  const ownUrl = getFrameUrl((new Error().stack || '').split('\n')[0] || '');
+
+  // First http(s) frame on the stack that is not this file: the script doing the reading
+  function getCallerScript() {
+    try {
+      const frames = (new Error().stack || '').split('\n');
+      for (const frame of frames) {
+        const url = getFrameUrl(frame);
+        if (url && url !== ownUrl && /^https?:/.test(url)) return url;
+      }
+    } catch (error) {
+      // Stack unavailable
+    }
+    return null;
+  }
+
+  function report(technique, score, signals) {
+    if (mode === 'off' || score < SCORE_THRESHOLD) return false;
+
+    try {
+      const source = getCallerScript();
+      const key = `${technique}:${source || ''}`;
+      if (!reported.has(key)) {
+        reported.add(key);
+        document.dispatchEvent(new CustomEvent(channel, {
+          detail: JSON.stringify({
+            kind: 'fingerprint',
+            name: technique,
+            detail: signals.join(', '),
+            score,
+            source,
+            mode
+          })
+        }));
+      }
+    } catch (error) {
+      // Never let detection break the page
+    }
+
+    return true;
+  }
+
+  function defending() {
+    return mode === 'noise' || mode === 'block';
+  }
+
+  function wrap(proto, name, factory) {
+    try {
+      if (!proto || typeof proto[name] !== 'function') return;
+      const original = proto[name];
+      Object.defineProperty(proto, name, {
+        configurable: true,
+        enumerable: false,
+        writable: true,
+        value: factory(original)
+      });
+    } catch (error) {
+      // Leave the API untouched
+    }
+  }
+
+  // ---- Canvas ----
+
+  const originalGetImageData = window.CanvasRenderingContext2D &&
+    CanvasRenderingContext2D.prototype.getImageData;
+
+  function isHidden(canvas) {
+    try {
+      return !canvas.isConnected || canvas.getClientRects().length === 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function scoreCanvasRead(canvas) {
+    let score = 20;
+    const signals = ['canvas read back'];
+
+    if (textCanvases.has(canvas)) {
+      score += 40;
+      signals.push('text drawn then read');
+    }
+    if (webglCanvases.has(canvas)) {
+      score += 30;
+      signals.push('WebGL rendering read');
+    }
+    if (isHidden(canvas)) {
+      score += 20;
+      signals.push('hidden canvas');
+    }
+
+    return { score, signals };
+  }
+
+  function perturb(data) {
+    for (let i = 0; i < data.length; i += 4) {
+      const h = hash(i);
+      if ((h & 31) === 0) {
+        data[i + (h >>> 5) % 3] ^= 1;
+      }
+    }
+  }
+
+  // A copy of the canvas carrying noise (or nothing, when blocking) to read from
+  function createDefendedCopy(canvas) {
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+
+    if (mode === 'noise' && canvas.width > 0 && canvas.height > 0) {
+      const context = copy.getContext('2d');
+      context.drawImage(canvas, 0, 0);
+      const imageData = originalGetImageData.call(context, 0, 0, copy.width, copy.height);
+      perturb(imageData.data);
+      context.putImageData(imageData, 0, 0);
+    }
+
+    return copy;
+  }
+
+  function isFingerprintRead(canvas) {
+    const { score, signals } = scoreCanvasRead(canvas);
+    return report('canvas', score, signals) && defending();
+  }
+
+  if (window.HTMLCanvasElement) {
+    wrap(HTMLCanvasElement.prototype, 'getContext', (original) => function(type) {
+      const context = original.apply(this, arguments);
+      if (context && typeof type === 'string' && type.indexOf('webgl') === 0) {
+        webglCanvases.add(this);
+      }
+      return context;
+    });
+
+    wrap(HTMLCanvasElement.prototype, 'toDataURL', (original) => function() {
+      try {
+        if (isFingerprintRead(this)) {
+          return original.apply(createDefendedCopy(this), arguments);
+        }
+      } catch (error) {
+        // Fall through to the untouched read
+      }
+      return original.apply(this, arguments);
+    });
+
+    wrap(HTMLCanvasElement.prototype, 'toBlob', (original) => function() {
+      try {
+        if (isFingerprintRead(this)) {
+          return original.apply(createDefendedCopy(this), arguments);
+        }
+      } catch (error) {
+        // Fall through to the untouched read
+      }
+      return original.apply(this, arguments);
+    });
+  }
+
+  if (window.CanvasRenderingContext2D) {
+    const markText = (original) => function() {
+      if (this.canvas) textCanvases.add(this.canvas);
+      return original.apply(this, arguments);
+    };
+    wrap(CanvasRenderingContext2D.prototype, 'fillText', markText);
+    wrap(CanvasRenderingContext2D.prototype, 'strokeText', markText);
+
+    wrap(CanvasRenderingContext2D.prototype, 'measureText', (original) => function() {
+      try {
+        if (typeof this.font === 'string' && measuredFonts.size <= FONT_ENUMERATION_THRESHOLD) {
+          measuredFonts.add(this.font);
+          if (measuredFonts.size === FONT_ENUMERATION_THRESHOLD) {
+            report('fonts', 60, [`${measuredFonts.size} fonts measured`]);
+          }
+        }
+      } catch (error) {
+        // Ignore scoring failures
+      }
+      return original.apply(this, arguments);
+    });
+
+    wrap(CanvasRenderingContext2D.prototype, 'getImageData', (original) => function() {
+      const imageData = original.apply(this, arguments);
+      try {
+        if (this.canvas && isFingerprintRead(this.canvas)) {
+          if (mode === 'block') {
+            imageData.data.fill(0);
+          } else {
+            perturb(imageData.data);
+          }
+        }
+      } catch (error) {
+        // Return the untouched read
+      }
+      return imageData;
+    });
+  }
+
+  // ---- WebGL ----
+
+  const wrapGetParameter = (original) => function(parameter) {
+    if (parameter === UNMASKED_VENDOR_WEBGL || parameter === UNMASKED_RENDERER_WEBGL) {
+      const value = original.apply(this, arguments);
+      if (report('webgl', 60, ['unmasked GPU vendor/renderer read']) && defending()) {
+        return mode === 'block' ? null : 'Mozilla';
+      }
+      return value;
+    }
+    return original.apply(this, arguments);
+  };
+
+  if (window.WebGLRenderingContext) {
+    wrap(WebGLRenderingContext.prototype, 'getParameter', wrapGetParameter);
+  }
+  if (window.WebGL2RenderingContext) {
+    wrap(WebGL2RenderingContext.prototype, 'getParameter', wrapGetParameter);
+  }
+
+  // ---- Audio ----
+
+  function isOfflineRender(buffer) {
+    return offlineRenders.some(render => render.length === buffer.length && render.sampleRate === buffer.sampleRate);
+  }
+
+  function defendAudio(data) {
+    if (mode === 'block') {
+      data.fill(0);
+      return;
+    }
+    for (let i = 0; i < data.length; i++) {
+      if ((hash(i) & 15) === 0) {
+        data[i] += ((hash(i + 1) & 1) ? 1 : -1) * 1e-7;
+      }
+    }
+  }
+
+  if (window.OfflineAudioContext) {
+    wrap(OfflineAudioContext.prototype, 'startRendering', (original) => function() {
+      if (offlineRenders.length < 20) {
+        offlineRenders.push({ length: this.length, sampleRate: this.sampleRate });
+      }
+      return original.apply(this, arguments);
+    });
+  }
+
+  if (window.AudioBuffer) {
+    wrap(AudioBuffer.prototype, 'getChannelData', (original) => function() {
+      const data = original.apply(this, arguments);
+      try {
+        if (isOfflineRender(this) && report('audio', 60, ['offline audio rendering read']) &&
+            defending() && !noisedBuffers.has(data)) {
+          noisedBuffers.add(data);
+          defendAudio(data);
+        }
+      } catch (error) {
+        // Return the untouched read
+      }
+      return data;
+    });
+
+    wrap(AudioBuffer.prototype, 'copyFromChannel', (original) => function(destination) {
+      const result = original.apply(this, arguments);
+      try {
+        if (isOfflineRender(this) && report('audio', 60, ['offline audio rendering read']) && defending()) {
+          defendAudio(destination);
+        }
+      } catch (error) {
+        // Leave the copy untouched
+      }
+      return result;
+    });
+  }
+
+  document.addEventListener(channel + ':fingerprint-config', (event) => {
+    try {
+      const config = JSON.parse(event.detail);
+      if (config && ['report', 'noise', 'block', 'off'].includes(config.mode)) {
+        mode = config.mode;
+      }
+    } catch (error) {
+      // Malformed config
+    }
+  });
+
+  try {
+    document.dispatchEvent(new CustomEvent(channel, {
+      detail: JSON.stringify({ kind: 'ready', name: 'fingerprint' })
+    }));
+  } catch (error) {
+    // The mode sent with the site status still arrives
+  }
+})();
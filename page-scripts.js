@@ -0,0 +1,9 @@
+// Nixxer Page Scripts - Generated by build-page-scripts.js, do not edit
+//
+// Sources of page-fingerprint.js and page-detector.js, in injection
+// order, for content.js to run in the page's own context.
+
+const PAGE_SCRIPT_SOURCES = {
+  fingerprint: "// Nixxer Fingerprint Guard - Runs in the page's own JavaScript context\n//\n// Watches the APIs fingerprinting scripts read back from: canvas pixel data,\n// the unmasked WebGL vendor/renderer, offline audio rendering and bulk font\n// measurement. Each read is scored with a few heuristics (text drawn then read\n// back, hidden canvases, WebGL-rendered canvases, many distinct fonts) and\n// reads that look like fingerprinting are reported over the same private\n// channel page-detector.js uses, and which content.js hands to both as `channel`.\n// After editing, regenerate page-scripts.js with `node build-page-scripts.js`.\n//\n// content.js requests the site's mode at document_start and sends it on\n// \"<channel>:fingerprint-config\", again whenever this file reports ready:\n//   report - observe and report only\n//   noise  - return slightly perturbed canvas and audio data, generic WebGL strings\n//   block  - return blank canvas and audio data, no WebGL strings\n//   off    - site is allowlisted, pass everything through\n// Until the mode arrives, reads are only reported.\n\n(function() {\n  'use strict';\n\n  if (typeof channel !== 'string' || !channel) {\n    return;\n  }\n\n  const SCORE_THRESHOLD = 50;\n  const FONT_ENUMERATION_THRESHOLD = 20;\n  const UNMASKED_VENDOR_WEBGL = 0x9245;\n  const UNMASKED_RENDERER_WEBGL = 0x9246;\n\n  let mode = 'report';\n  const reported = new Set();\n  const textCanvases = new WeakSet();\n  const webglCanvases = new WeakSet();\n  const offlineRenders = [];\n  const noisedBuffers = new WeakSet();\n  const measuredFonts = new Set();\n\n  // Per-page seed so repeated reads of the same canvas return the same noise\n  const seed = crypto.getRandomValues(new Uint32Array(1))[0];\n\n  function hash(value) {\n    let h = Math.imul(value ^ seed, 0x5bd1e995);\n    h ^= h >>> 15;\n    return Math.imul(h, 0x27d4eb2d) >>> 0;\n  }\n\n  function getFrameUrl(frame) {\n    const match = frame.match(/(https?:\\/\\/[^\\s)]+?):\\d+:\\d+/);\n    return match ? match[1] : null;\n  }\n\n  // Injected inline, this file's frames carry the page's own URL\n  const ownUrl = getFrameUrl((new Error().stack || '').split('\\n')[0] || '');\n\n  // First http(s) frame on the stack that is not this file: the script doing the reading\n  function getCallerScript() {\n    try {\n      const frames = (new Error().stack || '').split('\\n');\n      for (const frame of frames) {\n        const url = getFrameUrl(frame);\n        if (url && url !== ownUrl && /^https?:/.test(url)) return url;\n      }\n    } catch (error) {\n      // Stack unavailable\n    }\n    return null;\n  }\n\n  function report(technique, score, signals) {\n    if (mode === 'off' || score < SCORE_THRESHOLD) return false;\n\n    try {\n      const source = getCallerScript();\n      const key = `${technique}:${source || ''}`;\n      if (!reported.has(key)) {\n        reported.add(key);\n        document.dispatchEvent(new CustomEvent(channel, {\n          detail: JSON.stringify({\n            kind: 'fingerprint',\n            name: technique,\n            detail: signals.join(', '),\n            score,\n            source,\n            mode\n          })\n        }));\n      }\n    } catch (error) {\n      // Never let detection break the page\n    }\n\n    return true;\n  }\n\n  function defending() {\n    return mode === 'noise' || mode === 'block';\n  }\n\n  function wrap(proto, name, factory) {\n    try {\n      if (!proto || typeof proto[name] !== 'function') return;\n      const original = proto[name];\n      Object.defineProperty(proto, name, {\n        configurable: true,\n        enumerable: false,\n        writable: true,\n        value: factory(original)\n      });\n    } catch (error) {\n      // Leave the API untouched\n    }\n  }\n\n  // ---- Canvas ----\n\n  const originalGetImageData = window.CanvasRenderingContext2D &&\n    CanvasRenderingContext2D.prototype.getImageData;\n\n  function isHidden(canvas) {\n    try {\n      return !canvas.isConnected || canvas.getClientRects().length === 0;\n    } catch (error) {\n      return false;\n    }\n  }\n\n  function scoreCanvasRead(canvas) {\n    let score = 20;\n    const signals = ['canvas read back'];\n\n    if (textCanvases.has(canvas)) {\n      score += 40;\n      signals.push('text drawn then read');\n    }\n    if (webglCanvases.has(canvas)) {\n      score += 30;\n      signals.push('WebGL rendering read');\n    }\n    if (isHidden(canvas)) {\n      score += 20;\n      signals.push('hidden canvas');\n    }\n\n    return { score, signals };\n  }\n\n  function perturb(data) {\n    for (let i = 0; i < data.length; i += 4) {\n      const h = hash(i);\n      if ((h & 31) === 0) {\n        data[i + (h >>> 5) % 3] ^= 1;\n      }\n    }\n  }\n\n  // A copy of the canvas carrying noise (or nothing, when blocking) to read from\n  function createDefendedCopy(canvas) {\n    const copy = document.createElement('canvas');\n    copy.width = canvas.width;\n    copy.height = canvas.height;\n\n    if (mode === 'noise' && canvas.width > 0 && canvas.height > 0) {\n      const context = copy.getContext('2d');\n      context.drawImage(canvas, 0, 0);\n      const imageData = originalGetImageData.call(context, 0, 0, copy.width, copy.height);\n      perturb(imageData.data);\n      context.putImageData(imageData, 0, 0);\n    }\n\n    return copy;\n  }\n\n  function isFingerprintRead(canvas) {\n    const { score, signals } = scoreCanvasRead(canvas);\n    return report('canvas', score, signals) && defending();\n  }\n\n  if (window.HTMLCanvasElement) {\n    wrap(HTMLCanvasElement.prototype, 'getContext', (original) => function(type) {\n      const context = original.apply(this, arguments);\n      if (context && typeof type === 'string' && type.indexOf('webgl') === 0) {\n        webglCanvases.add(this);\n      }\n      return context;\n    });\n\n    wrap(HTMLCanvasElement.prototype, 'toDataURL', (original) => function() {\n      try {\n        if (isFingerprintRead(this)) {\n          return original.apply(createDefendedCopy(this), arguments);\n        }\n      } catch (error) {\n        // Fall through to the untouched read\n      }\n      return original.apply(this, arguments);\n    });\n\n    wrap(HTMLCanvasElement.prototype, 'toBlob', (original) => function() {\n      try {\n        if (isFingerprintRead(this)) {\n          return original.apply(createDefendedCopy(this), arguments);\n        }\n      } catch (error) {\n        // Fall through to the untouched read\n      }\n      return original.apply(this, arguments);\n    });\n  }\n\n  if (window.CanvasRenderingContext2D) {\n    const markText = (original) => function() {\n      if (this.canvas) textCanvases.add(this.canvas);\n      return original.apply(this, arguments);\n    };\n    wrap(CanvasRenderingContext2D.prototype, 'fillText', markText);\n    wrap(CanvasRenderingContext2D.prototype, 'strokeText', markText);\n\n    wrap(CanvasRenderingContext2D.prototype, 'measureText', (original) => function() {\n      try {\n        if (typeof this.font === 'string' && measuredFonts.size <= FONT_ENUMERATION_THRESHOLD) {\n          measuredFonts.add(this.font);\n          if (measuredFonts.size === FONT_ENUMERATION_THRESHOLD) {\n            report('fonts', 60, [`${measuredFonts.size} fonts measured`]);\n          }\n        }\n      } catch (error) {\n        // Ignore scoring failures\n      }\n      return original.apply(this, arguments);\n    });\n\n    wrap(CanvasRenderingContext2D.prototype, 'getImageData', (original) => function() {\n      const imageData = original.apply(this, arguments);\n      try {\n        if (this.canvas && isFingerprintRead(this.canvas)) {\n          if (mode === 'block') {\n            imageData.data.fill(0);\n          } else {\n            perturb(imageData.data);\n          }\n        }\n      } catch (error) {\n        // Return the untouched read\n      }\n      return imageData;\n    });\n  }\n\n  // ---- WebGL ----\n\n  const wrapGetParameter = (original) => function(parameter) {\n    if (parameter === UNMASKED_VENDOR_WEBGL || parameter === UNMASKED_RENDERER_WEBGL) {\n      const value = original.apply(this, arguments);\n      if (report('webgl', 60, ['unmasked GPU vendor/renderer read']) && defending()) {\n        return mode === 'block' ? null : 'Mozilla';\n      }\n      return value;\n    }\n    return original.apply(this, arguments);\n  };\n\n  if (window.WebGLRenderingContext) {\n    wrap(WebGLRenderingContext.prototype, 'getParameter', wrapGetParameter);\n  }\n  if (window.WebGL2RenderingContext) {\n    wrap(WebGL2RenderingContext.prototype, 'getParameter', wrapGetParameter);\n  }\n\n  // ---- Audio ----\n\n  function isOfflineRender(buffer) {\n    return offlineRenders.some(render => render.length === buffer.length && render.sampleRate === buffer.sampleRate);\n  }\n\n  function defendAudio(data) {\n    if (mode === 'block') {\n      data.fill(0);\n      return;\n    }\n    for (let i = 0; i < data.length; i++) {\n      if ((hash(i) & 15) === 0) {\n        data[i] += ((hash(i + 1) & 1) ? 1 : -1) * 1e-7;\n      }\n    }\n  }\n\n  if (window.OfflineAudioContext) {\n    wrap(OfflineAudioContext.prototype, 'startRendering', (original) => function() {\n      if (offlineRenders.length < 20) {\n        offlineRenders.push({ length: this.length, sampleRate: this.sampleRate });\n      }\n      return original.apply(this, arguments);\n    });\n  }\n\n  if (window.AudioBuffer) {\n    wrap(AudioBuffer.prototype, 'getChannelData', (original) => function() {\n      const data = original.apply(this, arguments);\n      try {\n        if (isOfflineRender(this) && report('audio', 60, ['offline audio rendering read']) &&\n            defending() && !noisedBuffers.has(data)) {\n          noisedBuffers.add(data);\n          defendAudio(data);\n        }\n      } catch (error) {\n        // Return the untouched read\n      }\n      return data;\n    });\n\n    wrap(AudioBuffer.prototype, 'copyFromChannel', (original) => function(destination) {\n      const result = original.apply(this, arguments);\n      try {\n        if (isOfflineRender(this) && report('audio', 60, ['offline audio rendering read']) && defending()) {\n          defendAudio(destination);\n        }\n      } catch (error) {\n        // Leave the copy untouched\n      }\n      return result;\n    });\n  }\n\n  document.addEventListener(channel + ':fingerprint-config', (event) => {\n    try {\n      const config = JSON.parse(event.detail);\n      if (config && ['report', 'noise', 'block', 'off'].includes(config.mode)) {\n        mode = config.mode;\n      }\n    } catch (error) {\n      // Malformed config\n    }\n  });\n\n  try {\n    document.dispatchEvent(new CustomEvent(channel, {\n      detail: JSON.stringify({ kind: 'ready', name: 'fingerprint' })\n    }));\n  } catch (error) {\n    // The mode sent with the site status still arrives\n  }\n})();\n",
+  detector: "// Nixxer Page Detector - Runs in the page's own JavaScript context\n//\n// Content scripts only see the page through Xray wrappers, so tracker globals\n// such as gtag, fbq or ttq are invisible to them. content.js injects this file\n// (bundled into page-scripts.js) as an inline <script> at document_start, so it\n// runs before any page script, wrapped in a function that hands it a random\n// event name as `channel`. Observations go back as CustomEvents on it with a JSON\n// string detail. A \"ready\" event tells content.js the listener is in place;\n// it answers with a \"config\" event listing the registry's globals to watch,\n// sent again on \"ready\" in case this file loaded after the config was sent.\n//\n// Everything here must stay invisible to the page: no globals are added,\n// content.js removes the injected <script> element, and any failure is swallowed.\n// After editing, regenerate page-scripts.js with `node build-page-scripts.js`.\n\n(function() {\n  'use strict';\n\n  if (typeof channel !== 'string' || !channel) {\n    return;\n  }\n\n  const MAX_EVENTS = 50;\n  const reported = new Set();\n  const watchedGlobals = new Set();\n  const hookedObjects = new WeakSet();\n\n  function emit(kind, name, detail) {\n    try {\n      const key = `${kind}:${name}:${detail || ''}`;\n      if (reported.has(key) || reported.size >= MAX_EVENTS) return;\n      reported.add(key);\n\n      document.dispatchEvent(new CustomEvent(channel, {\n        detail: JSON.stringify({ kind, name, detail: detail ? String(detail).slice(0, 200) : null })\n      }));\n    } catch (error) {\n      // Never let detection break the page\n    }\n  }\n\n  function describeCall(args) {\n    const parts = [];\n    for (let i = 0; i < Math.min(args.length, 2); i++) {\n      if (typeof args[i] === 'string') parts.push(args[i]);\n    }\n    return parts.join(' ');\n  }\n\n  // Keeps obj[method] wrapped even when the page later replaces it (GTM swaps\n  // dataLayer.push for its own function once it loads)\n  function hookMethod(obj, method, onCall) {\n    if (!obj || (typeof obj !== 'object' && typeof obj !== 'function')) return;\n\n    const descriptor = Object.getOwnPropertyDescriptor(obj, method);\n    if (descriptor && !descriptor.configurable) return;\n\n    let current = obj[method];\n    let wrapped = null;\n    let wrappedFor = null;\n\n    Object.defineProperty(obj, method, {\n      configurable: true,\n      enumerable: descriptor ? descriptor.enumerable : false,\n      get() {\n        if (typeof current !== 'function') return current;\n        if (wrappedFor !== current) {\n          const original = current;\n          wrapped = function() {\n            try {\n              onCall(arguments);\n            } catch (error) {\n              // Ignore reporting failures\n            }\n            return original.apply(this, arguments);\n          };\n          wrappedFor = original;\n        }\n        return wrapped;\n      },\n      set(value) {\n        current = value;\n      }\n    });\n  }\n\n  function hookDataLayer(value) {\n    if (!Array.isArray(value) || hookedObjects.has(value)) return value;\n    hookedObjects.add(value);\n\n    hookMethod(value, 'push', (args) => {\n      for (const item of args) {\n        if (!item || typeof item !== 'object') continue;\n        // gtag() pushes its arguments object; GTM pushes plain event objects\n        const detail = typeof item.event === 'string' ? item.event : describeCall(item);\n        emit('dataLayer-push', 'dataLayer', detail);\n      }\n    });\n\n    return value;\n  }\n\n  function hookFbq(value) {\n    if (typeof value !== 'function' || hookedObjects.has(value)) return value;\n\n    // A Proxy keeps fbq.queue, fbq.callMethod and friends on the real function\n    const proxy = new Proxy(value, {\n      apply(target, thisArg, args) {\n        emit('fbq-call', 'fbq', describeCall(args));\n        return Reflect.apply(target, thisArg, args);\n      }\n    });\n    hookedObjects.add(proxy);\n    return proxy;\n  }\n\n  function hookTtq(value) {\n    if (!value || typeof value !== 'object' || hookedObjects.has(value)) return value;\n    hookedObjects.add(value);\n\n    hookMethod(value, 'track', (args) => {\n      emit('ttq-track', 'ttq', describeCall(args));\n    });\n\n    return value;\n  }\n\n  const HOOKS = {\n    dataLayer: hookDataLayer,\n    fbq: hookFbq,\n    ttq: hookTtq\n  };\n\n  function watchGlobal(name) {\n    if (watchedGlobals.has(name)) return;\n    watchedGlobals.add(name);\n\n    try {\n      const hook = HOOKS[name] || ((value) => value);\n      const descriptor = Object.getOwnPropertyDescriptor(window, name);\n\n      if (descriptor && descriptor.value !== undefined) {\n        emit('global', name, null);\n      }\n\n      // Function declarations and non-configurable globals cannot be trapped;\n      // they are picked up by the checks in scanGlobals instead\n      if (descriptor && !descriptor.configurable) {\n        return;\n      }\n\n      let current = hook(descriptor ? descriptor.value : undefined);\n\n      Object.defineProperty(window, name, {\n        configurable: true,\n        enumerable: true,\n        get() {\n          return current;\n        },\n        set(value) {\n          if (value !== undefined) {\n            emit('global', name, null);\n          }\n          current = hook(value);\n        }\n      });\n    } catch (error) {\n      // Leave the global untouched\n    }\n  }\n\n  function scanGlobals() {\n    for (const name of watchedGlobals) {\n      try {\n        if (typeof window[name] !== 'undefined') {\n          emit('global', name, null);\n        }\n      } catch (error) {\n        // Some getters throw\n      }\n    }\n  }\n\n  document.addEventListener(channel + ':config', (event) => {\n    try {\n      const config = JSON.parse(event.detail);\n      if (config && Array.isArray(config.globals)) {\n        config.globals\n          .filter(name => typeof name === 'string' && /^[A-Za-z_$][\\w$]*$/.test(name))\n          .forEach(watchGlobal);\n      }\n      scanGlobals();\n    } catch (error) {\n      // Malformed config\n    }\n  });\n\n  try {\n    document.dispatchEvent(new CustomEvent(channel, {\n      detail: JSON.stringify({ kind: 'ready', name: 'detector' })\n    }));\n  } catch (error) {\n    // The config sent with the registry still arrives\n  }\n\n  // The hooked globals are trapped straight away; anything a snippet defines\n  // before the registry arrives would otherwise be missed\n  Object.keys(HOOKS).forEach(watchGlobal);\n\n  window.addEventListener('load', scanGlobals, { once: true });\n})();\n"
+};
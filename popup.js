@@ -85,16 +85,27 @@ class PopupErrorHandler {
   }
 }
 
+// Port the background pushes DATA_CHANGED updates on (NIXXER_UPDATE_PORT in background.js)
+const UPDATE_PORT_NAME = 'nixxer-updates';
+
 // Data validation utilities
 function validateStatsData(stats) {
   if (!stats || typeof stats !== 'object') {
     throw new Error('Invalid stats data: must be an object');
   }
   
+  const counters = source => ({
+    requestsBlocked: Math.max(0, parseInt(source && source.requestsBlocked) || 0),
+    cookiesDeleted: Math.max(0, parseInt(source && source.cookiesDeleted) || 0),
+    storagePurged: Math.max(0, parseInt(source && source.storagePurged) || 0),
+    paramsStripped: Math.max(0, parseInt(source && source.paramsStripped) || 0)
+  });
+  const statistics = stats.statistics && typeof stats.statistics === 'object' ? stats.statistics : {};
+  
   return {
     enabled: Boolean(stats.enabled),
-    blockedToday: Math.max(0, parseInt(stats.blockedToday) || 0),
-    cookiesDeleted: Math.max(0, parseInt(stats.cookiesDeleted) || 0),
+    today: counters(statistics.today),
+    lifetime: counters(statistics.lifetime),
     totalDomains: Math.max(0, parseInt(stats.totalDomains) || 0),
     recentDomains: Array.isArray(stats.recentDomains) ? stats.recentDomains : [],
     settings: stats.settings || {},
@@ -114,7 +125,10 @@ function validateDomainData(domain) {
     lastSeen: parseInt(domain.lastSeen) || Date.now(),
     frequency: Math.max(1, parseInt(domain.frequency) || 1),
     types: Array.isArray(domain.types) ? domain.types : ['unknown'],
-    websiteDomain: domain.websiteDomain ? String(domain.websiteDomain) : null  // FIXED: Use websiteDomain
+    websiteDomain: domain.websiteDomain ? String(domain.websiteDomain) : null,  // FIXED: Use websiteDomain
+    thirdParty: typeof domain.thirdParty === 'boolean' ? domain.thirdParty : null,
+    cnameTarget: domain.cnameTarget ? String(domain.cnameTarget) : null,
+    containers: Array.isArray(domain.containers) ? domain.containers.map(String) : []
   };
 }
 
@@ -124,10 +138,19 @@ const errorHandler = new PopupErrorHandler();
 class SafeNixxerPopup {
   constructor() {
     this.stats = null;
+    this.trackerDomains = [];
+    this.activeTab = null;
+    this.siteStatus = null;
+    this.tabActivity = null;
+    this.containers = [];
+    this.containerFilter = '';
     this.initialized = false;
     this.initializationError = null;
     this.retryCount = 0;
     this.maxRetries = 3;
+    this.updatePort = null;
+    this.pendingUpdateScopes = new Set();
+    this.refreshingData = false;
     
     this.init();
   }
@@ -141,6 +164,10 @@ class SafeNixxerPopup {
       
       // Load data with retry and timeout
       await this.safeLoadStats();
+      await this.safeLoadTrackerRegistry();
+      await this.safeLoadContainers();
+      await this.safeLoadSiteStatus();
+      await this.safeLoadTabActivity();
       await this.safeLoadVersion();
       
       // Setup event listeners with error handling
@@ -148,6 +175,7 @@ class SafeNixxerPopup {
       
       // Update UI with error handling
       this.safeUpdateUI();
+      this.setupUpdatePort();
       
       this.initialized = true;
       errorHandler.log('info', 'Popup initialized successfully');
@@ -211,8 +239,8 @@ class SafeNixxerPopup {
       // Provide fallback stats
       this.stats = {
         enabled: false,
-        blockedToday: 0,
-        cookiesDeleted: 0,
+        today: { requestsBlocked: 0, cookiesDeleted: 0, storagePurged: 0, paramsStripped: 0 },
+        lifetime: { requestsBlocked: 0, cookiesDeleted: 0, storagePurged: 0, paramsStripped: 0 },
         totalDomains: 0,
         recentDomains: [],
         settings: {},
@@ -221,6 +249,162 @@ class SafeNixxerPopup {
     }
   }
 
+  // The background pushes DATA_CHANGED over this port, so counters stay current while the popup is open
+  setupUpdatePort() {
+    try {
+      this.updatePort = browser.runtime.connect({ name: UPDATE_PORT_NAME });
+      this.updatePort.onMessage.addListener((message) => {
+        if (message && message.type === 'DATA_CHANGED') {
+          this.safeHandleDataChanged(message.scope);
+        }
+      });
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to connect for live updates', error);
+    }
+  }
+
+  // One refresh runs at a time; scopes pushed meanwhile are merged into the next one
+  async safeHandleDataChanged(scope) {
+    this.pendingUpdateScopes.add(scope);
+    if (this.refreshingData) {
+      return;
+    }
+    
+    this.refreshingData = true;
+    try {
+      while (this.pendingUpdateScopes.size > 0) {
+        const scopes = new Set(this.pendingUpdateScopes);
+        this.pendingUpdateScopes.clear();
+        
+        await this.safeLoadStats();
+        if (scopes.has('all') || scopes.has('settings') || scopes.has('allowlist')) {
+          await this.safeLoadSiteStatus();
+        }
+        await this.safeLoadTabActivity();
+        
+        this.safeUpdateUI();
+      }
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to apply pushed update', error, { scope });
+    } finally {
+      this.refreshingData = false;
+    }
+  }
+
+  async safeLoadTrackerRegistry() {
+    try {
+      const registry = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'GET_TRACKER_REGISTRY' }),
+        5000,
+        'tracker registry loading'
+      );
+      
+      if (!registry || registry.error || !Array.isArray(registry.trackers)) {
+        throw new Error((registry && registry.error) || 'Invalid tracker registry');
+      }
+      
+      this.trackerDomains = registry.trackers.flatMap(tracker => tracker.domains || []);
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load tracker registry', error);
+      this.trackerDomains = [];
+    }
+  }
+
+  async safeLoadSiteStatus() {
+    try {
+      if (!browser.tabs) {
+        throw new Error('Tabs API not available');
+      }
+      
+      const tabs = await errorHandler.withTimeout(
+        browser.tabs.query({ active: true, currentWindow: true }),
+        3000,
+        'active tab query'
+      );
+      
+      const tab = Array.isArray(tabs) ? tabs[0] : null;
+      if (!tab || !tab.url || !/^https?:/.test(tab.url)) {
+        this.activeTab = null;
+        this.siteStatus = null;
+        return;
+      }
+      
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'GET_SITE_STATUS', url: tab.url, cookieStoreId: tab.cookieStoreId }),
+        5000,
+        'site status loading'
+      );
+      
+      if (!response || response.error || !response.hostname) {
+        throw new Error((response && response.error) || 'Invalid site status');
+      }
+      
+      this.activeTab = tab;
+      this.siteStatus = response;
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load site status', error);
+      this.activeTab = null;
+      this.siteStatus = null;
+    }
+  }
+
+  // Containers are optional; without the API the popup behaves as before
+  async safeLoadContainers() {
+    try {
+      if (!browser.contextualIdentities) {
+        this.containers = [];
+        return;
+      }
+      
+      const identities = await errorHandler.withTimeout(
+        browser.contextualIdentities.query({}),
+        3000,
+        'container query'
+      );
+      this.containers = Array.isArray(identities) ? identities : [];
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load containers', error);
+      this.containers = [];
+    }
+  }
+
+  getContainerName(cookieStoreId) {
+    const identity = this.containers.find(container => container.cookieStoreId === cookieStoreId);
+    return identity ? identity.name : null;
+  }
+
+  isContainerTab() {
+    return Boolean(this.activeTab && this.getContainerName(this.activeTab.cookieStoreId));
+  }
+
+  async safeLoadTabActivity() {
+    try {
+      if (!this.activeTab) {
+        this.tabActivity = null;
+        return;
+      }
+      
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({ type: 'GET_TAB_ACTIVITY', tabId: this.activeTab.id }),
+        5000,
+        'tab activity loading'
+      );
+      
+      if (!response || response.error || !Array.isArray(response.requests)) {
+        throw new Error((response && response.error) || 'Invalid tab activity');
+      }
+      
+      this.tabActivity = response;
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Failed to load tab activity', error);
+      this.tabActivity = null;
+    }
+  }
+
   async safeLoadVersion() {
     try {
       const manifest = browser.runtime.getManifest();
@@ -244,6 +428,22 @@ class SafeNixxerPopup {
         this.safeToggleExtension();
       });
 
+      // Per-site pause button with error handling
+      this.safeAddEventListener('site-toggle-btn', 'click', () => {
+        this.safeToggleSite();
+      });
+
+      // Per-site fingerprinting mode with error handling
+      this.safeAddEventListener('site-fingerprint-mode', 'change', (event) => {
+        this.safeSetFingerprintMode(event.target.value);
+      });
+
+      // Recent detections container filter with error handling
+      this.safeAddEventListener('container-filter', 'change', (event) => {
+        this.containerFilter = event.target.value;
+        this.updateSafeRecentDomains();
+      });
+
       // Export button and menu with error handling
       this.setupSafeExportHandlers();
 
@@ -369,9 +569,15 @@ class SafeNixxerPopup {
       // Update toggle button with error handling
       this.updateSafeToggleButton();
 
+      // Update per-site controls with error handling
+      this.updateSafeSiteControls();
+
       // Update statistics with error handling
       this.updateSafeStats();
 
+      // Update current tab activity with error handling
+      this.updateSafeTabActivity();
+
       // Update recent domains with error handling
       this.updateSafeRecentDomains();
 
@@ -424,6 +630,81 @@ class SafeNixxerPopup {
     }
   }
 
+  updateSafeSiteControls() {
+    try {
+      const container = this.safeGetElement('site-controls');
+      if (!container) return;
+      
+      if (!this.siteStatus || !this.activeTab) {
+        container.style.display = 'none';
+        return;
+      }
+      
+      container.style.display = 'block';
+      const containerName = this.isContainerTab() ? this.getContainerName(this.activeTab.cookieStoreId) : null;
+      this.safeUpdateElement('site-name', containerName ?
+        `${this.siteStatus.hostname} (${containerName})` :
+        this.siteStatus.hostname);
+      
+      const scopeRow = this.safeGetElement('site-scope');
+      
+      const durationSelect = this.safeGetElement('site-pause-duration');
+      const siteBtn = this.safeGetElement('site-toggle-btn');
+      const entry = this.siteStatus.entry;
+      
+      if (siteBtn) siteBtn.style.display = '';
+      
+      if (this.siteStatus.allowlisted && !entry) {
+        // The container's profile turns protection off; that is changed in the options page
+        this.safeUpdateElement('site-state', 'Protection is off in this container');
+        if (durationSelect) durationSelect.style.display = 'none';
+        if (scopeRow) scopeRow.style.display = 'none';
+        if (siteBtn) siteBtn.style.display = 'none';
+      } else if (this.siteStatus.allowlisted && entry) {
+        let state = 'Protection paused on this site';
+        if (entry.type === 'timed' && entry.expiresAt) {
+          state += ` until ${new Date(entry.expiresAt).toLocaleTimeString()}`;
+        } else if (entry.type === 'tab') {
+          state += ' until the tab is closed';
+        }
+        if (entry.cookieStoreId) {
+          state += ' in this container';
+        }
+        this.safeUpdateElement('site-state', state);
+        
+        if (durationSelect) durationSelect.style.display = 'none';
+        if (scopeRow) scopeRow.style.display = 'none';
+        if (siteBtn) {
+          siteBtn.textContent = 'Enable on this site';
+          siteBtn.className = 'btn btn-primary';
+        }
+      } else {
+        // Sites that restored deleted tracker IDs get stricter blocking in the background
+        this.safeUpdateElement('site-state', this.siteStatus.respawning ?
+          'Protection active, tracker IDs respawned here' :
+          'Protection active on this site');
+        
+        if (durationSelect) durationSelect.style.display = '';
+        if (scopeRow) scopeRow.style.display = containerName ? '' : 'none';
+        if (siteBtn) {
+          siteBtn.textContent = 'Disable on this site';
+          siteBtn.className = 'btn btn-secondary';
+        }
+      }
+      
+      const fingerprintSelect = this.safeGetElement('site-fingerprint-mode');
+      if (fingerprintSelect) {
+        const override = this.siteStatus.fingerprintOverride;
+        fingerprintSelect.value = override ? override.mode : '';
+        fingerprintSelect.options[0].textContent =
+          `Fingerprinting: default (${this.siteStatus.fingerprintDefaultMode || 'noise'})`;
+      }
+      
+    } catch (error) {
+      errorHandler.log('warn', 'Error updating site controls', error);
+    }
+  }
+
   updateSafeStats() {
     try {
       const statsEl = this.safeGetElement('stats');
@@ -438,15 +719,28 @@ class SafeNixxerPopup {
       
       // Check if cookie deletion is enabled
       const cookieDeletionEnabled = this.stats.settings && this.stats.settings.deleteZombieCookies !== false;
+      const urlCleaningEnabled = this.stats.settings && this.stats.settings.stripTrackingParams !== false;
       
-      // Create stat items using safe DOM manipulation
+      // Create stat items using safe DOM manipulation; counts are for today, lifetime totals in the tooltip
+      const { today, lifetime } = this.stats;
       const stats = [
-        { label: 'Blocked Today', value: this.stats.blockedToday.toLocaleString() },
+        {
+          label: 'Blocked Today',
+          value: today.requestsBlocked.toLocaleString(),
+          title: `${lifetime.requestsBlocked.toLocaleString()} in total`
+        },
         { 
-          label: 'Cookies Deleted', 
-          value: cookieDeletionEnabled ? this.stats.cookiesDeleted.toLocaleString() : 'Disabled',
+          label: 'Cookies Deleted Today', 
+          value: cookieDeletionEnabled ? today.cookiesDeleted.toLocaleString() : 'Disabled',
+          title: `${lifetime.cookiesDeleted.toLocaleString()} cookies and ${lifetime.storagePurged.toLocaleString()} storage keys in total`,
           disabled: !cookieDeletionEnabled
         },
+        {
+          label: 'Params Stripped Today',
+          value: urlCleaningEnabled ? today.paramsStripped.toLocaleString() : 'Disabled',
+          title: `${lifetime.paramsStripped.toLocaleString()} in total`,
+          disabled: !urlCleaningEnabled
+        },
         { label: 'Domains Detected', value: this.stats.totalDomains.toLocaleString() }
       ];
       
@@ -458,6 +752,9 @@ class SafeNixxerPopup {
           if (stat.disabled) {
             statItem.classList.add('disabled');
           }
+          if (stat.title) {
+            statItem.title = stat.title;
+          }
           
           const statLabel = document.createElement('span');
           statLabel.className = 'stat-label';
@@ -491,6 +788,116 @@ class SafeNixxerPopup {
     }
   }
 
+  updateSafeTabActivity() {
+    try {
+      const section = this.safeGetElement('tab-activity-section');
+      const list = this.safeGetElement('tab-activity-list');
+      
+      if (!section || !list) {
+        return;
+      }
+      
+      if (!this.tabActivity) {
+        section.style.display = 'none';
+        return;
+      }
+      
+      section.style.display = 'block';
+      this.safeUpdateElement('tab-activity-title',
+        `This Tab: ${this.tabActivity.blockedCount} blocked, ${this.tabActivity.allowedCount} allowed`);
+      
+      while (list.firstChild) {
+        list.removeChild(list.firstChild);
+      }
+      
+      this.tabActivity.requests.forEach(request => {
+        try {
+          if (!request || typeof request.url !== 'string') {
+            return;
+          }
+          
+          const item = document.createElement('div');
+          item.className = 'domain-item';
+          
+          const header = document.createElement('div');
+          header.className = 'domain-header';
+          
+          const urlSpan = document.createElement('span');
+          urlSpan.className = 'domain-name';
+          urlSpan.textContent = request.url;
+          urlSpan.title = request.url;
+          
+          const actionSpan = document.createElement('span');
+          actionSpan.className = `tracking-type ${request.blocked ? 'blocked' : 'allowed'}`;
+          actionSpan.textContent = request.blocked ? 'Blocked' : 'Allowed';
+          
+          header.appendChild(urlSpan);
+          header.appendChild(actionSpan);
+          item.appendChild(header);
+          
+          if (request.reason) {
+            const reason = document.createElement('div');
+            reason.className = 'activity-reason';
+            reason.textContent = request.reason;
+            item.appendChild(reason);
+          }
+          
+          if (request.rule) {
+            const rule = document.createElement('div');
+            rule.className = 'activity-rule';
+            rule.textContent = `Rule: ${request.rule}`;
+            rule.title = request.rule;
+            item.appendChild(rule);
+          }
+          
+          list.appendChild(item);
+          
+        } catch (error) {
+          errorHandler.log('warn', 'Error processing tab activity entry', error);
+        }
+      });
+      
+      if (list.children.length === 0) {
+        const noDataElement = document.createElement('div');
+        noDataElement.className = 'no-data';
+        noDataElement.textContent = 'No tracker requests on this page';
+        list.appendChild(noDataElement);
+      }
+      
+    } catch (error) {
+      errorHandler.log('error', 'Error updating tab activity', error);
+    }
+  }
+
+  updateSafeContainerFilter() {
+    const filter = this.safeGetElement('container-filter');
+    if (!filter) return;
+
+    if (this.containers.length === 0) {
+      filter.style.display = 'none';
+      this.containerFilter = '';
+      return;
+    }
+
+    filter.style.display = '';
+    while (filter.options.length > 1) {
+      filter.remove(1);
+    }
+
+    this.containers.forEach(container => {
+      const option = document.createElement('option');
+      option.value = container.cookieStoreId;
+      option.textContent = container.name;
+      filter.appendChild(option);
+    });
+
+    filter.value = this.containerFilter;
+    if (filter.value !== this.containerFilter) {
+      this.containerFilter = '';
+      filter.value = '';
+    }
+  }
+
   updateSafeRecentDomains() {
     try {
       const recentSection = this.safeGetElement('recent-section');
@@ -506,13 +913,19 @@ class SafeNixxerPopup {
       }
 
       recentSection.style.display = 'block';
+      this.updateSafeContainerFilter();
 
       // Clear existing content safely
       while (domainList.firstChild) {
         domainList.removeChild(domainList.firstChild);
       }
 
-      this.stats.recentDomains.forEach((domainData, index) => {
+      const recentDomains = this.containerFilter ?
+        this.stats.recentDomains.filter(domainData =>
+          Array.isArray(domainData.containers) && domainData.containers.includes(this.containerFilter)) :
+        this.stats.recentDomains;
+
+      recentDomains.forEach((domainData, index) => {
         try {
           const domain = validateDomainData(domainData);
           if (!domain) {
@@ -566,6 +979,13 @@ class SafeNixxerPopup {
             domainSource.textContent = `Found on: ${domain.websiteDomain}`;
             domainDetails.appendChild(domainSource);
           }
+          
+          if (domain.cnameTarget) {
+            const cnameSource = document.createElement('span');
+            cnameSource.className = 'domain-source';
+            cnameSource.textContent = `Alias of: ${domain.cnameTarget}`;
+            domainDetails.appendChild(cnameSource);
+          }
 
           domainItem.appendChild(domainHeader);
           domainItem.appendChild(domainDetails);
@@ -601,31 +1021,6 @@ class SafeNixxerPopup {
 
   determineSafeTrackingType(domain) {
     try {
-      const KNOWN_THIRD_PARTY = [
-        'google-analytics.com',
-        'googletagmanager.com',
-        'stats.wp.com',
-        'scorecardresearch.com',
-        'quantserve.com',
-        'doubleclick.net',
-        'googlesyndication.com',
-        'facebook.com',
-        'connect.facebook.net',
-        'analytics.twitter.com',
-        'platform.twitter.com',
-        'hotjar.com',
-        'fullstory.com',
-        'logrocket.com',
-        'mouseflow.com',
-        'smartlook.com',
-        '2o7.net',
-        'omtrdc.net',
-        'demdex.net',
-        'everesttech.net',
-        'analytics.tiktok.com',
-        'business-api.tiktok.com'
-      ];
-
       if (!domain || !domain.domain) {
         return { class: 'mixed', label: 'Unknown' };
       }
@@ -633,7 +1028,7 @@ class SafeNixxerPopup {
       const domainName = domain.domain.toLowerCase();
       
       // Check if it's a known third-party tracker
-      const isKnownThirdParty = KNOWN_THIRD_PARTY.some(tracker => 
+      const isKnownThirdParty = this.trackerDomains.some(tracker => 
         domainName === tracker || domainName.endsWith('.' + tracker)
       );
       
@@ -641,13 +1036,17 @@ class SafeNixxerPopup {
         return { class: 'third-party', label: '3rd Party' };
       }
       
-      // FIXED: Check if tracking domain is different from website domain
-      if (domain.websiteDomain && domain.domain !== domain.websiteDomain) {
+      // A first-party name that DNS aliases to a third-party tracker
+      if (domain.cnameTarget) {
+        return { class: 'third-party', label: 'Cloaked' };
+      }
+      
+      // Party is decided in the background by comparing registrable domains (eTLD+1)
+      if (domain.thirdParty === true) {
         return { class: 'third-party', label: '3rd Party' };
       }
       
-      // Check if domain matches the website domain (indicating first-party)
-      if (domain.websiteDomain && domain.domain === domain.websiteDomain) {
+      if (domain.thirdParty === false) {
         return { class: 'first-party', label: '1st Party' };
       }
       
@@ -692,6 +1091,91 @@ class SafeNixxerPopup {
     }
   }
 
+  async safeToggleSite() {
+    if (!this.siteStatus || !this.activeTab) {
+      this.showError('No website in the current tab');
+      return;
+    }
+
+    try {
+      // Remove the entry that actually covers this site, which may be a parent domain
+      const scope = this.safeGetElement('site-allowlist-scope')?.value || 'container';
+      const message = this.siteStatus.allowlisted && this.siteStatus.entry ?
+        {
+          type: 'ALLOWLIST_REMOVE',
+          domain: this.siteStatus.entry.domain,
+          cookieStoreId: this.siteStatus.entry.cookieStoreId || null
+        } :
+        {
+          type: 'ALLOWLIST_ADD',
+          domain: this.siteStatus.site || this.siteStatus.hostname,
+          duration: this.safeGetElement('site-pause-duration')?.value || 'tab',
+          tabId: this.activeTab.id,
+          cookieStoreId: this.isContainerTab() && scope === 'container' ? this.activeTab.cookieStoreId : null
+        };
+      
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage(message),
+        5000,
+        'allowlist update'
+      );
+      
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'Invalid allowlist response');
+      }
+      
+      await this.safeLoadSiteStatus();
+      this.updateSafeSiteControls();
+      
+      this.showSuccess(message.type === 'ALLOWLIST_ADD' ?
+        'Nixxer disabled on this site' :
+        'Nixxer enabled on this site');
+      
+      // Reload so the page is fetched under the new rules
+      browser.tabs.reload(this.activeTab.id).catch(error => {
+        errorHandler.log('warn', 'Failed to reload tab', error);
+      });
+      
+    } catch (error) {
+      errorHandler.log('error', 'Failed to update site allowlist', error);
+      this.showError('Failed to update this site. Please try again.');
+    }
+  }
+
+  async safeSetFingerprintMode(mode) {
+    if (!this.siteStatus || !this.activeTab) {
+      this.showError('No website in the current tab');
+      return;
+    }
+
+    try {
+      // Changing an inherited override edits the parent domain's entry
+      const override = this.siteStatus.fingerprintOverride;
+      const response = await errorHandler.withTimeout(
+        browser.runtime.sendMessage({
+          type: 'SET_FINGERPRINT_MODE',
+          domain: override ? override.domain : (this.siteStatus.site || this.siteStatus.hostname),
+          mode: mode || null
+        }),
+        5000,
+        'fingerprint mode update'
+      );
+
+      if (!response || response.error) {
+        throw new Error((response && response.error) || 'Invalid fingerprint mode response');
+      }
+
+      await this.safeLoadSiteStatus();
+      this.updateSafeSiteControls();
+      this.showSuccess('Fingerprinting protection updated. Reload the page to apply it.');
+
+    } catch (error) {
+      errorHandler.log('error', 'Failed to update fingerprint mode', error);
+      this.showError('Failed to update fingerprinting protection');
+      this.updateSafeSiteControls();
+    }
+  }
+
   async safeExportBlocklist(format) {
     if (!format || typeof format !== 'string') {
       errorHandler.log('error', 'Invalid export format', null, { format });
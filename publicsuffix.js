@@ -0,0 +1,132 @@
+// Nixxer Public Suffix - Registrable domain (eTLD+1) computation
+//
+// Backed by the bundled rules in publicsuffix-data.js. Two hosts belong to the
+// same party when they share a registrable domain, so www.example.co.uk and
+// cdn.example.co.uk are first-party to each other while example.co.uk and
+// other.co.uk are not.
+
+const PUBLIC_SUFFIX_CACHE_LIMIT = 2000;
+
+class PublicSuffixList {
+  constructor(rulesText) {
+    this.rules = new Set();
+    this.wildcards = new Set();
+    this.exceptions = new Set();
+    this.cache = new Map();
+
+    this.load(rulesText);
+  }
+
+  load(rulesText) {
+    if (typeof rulesText !== 'string') {
+      throw new Error('Public suffix rules must be a string');
+    }
+
+    for (const line of rulesText.split('\n')) {
+      const rule = line.trim().toLowerCase();
+      if (!rule || rule.startsWith('//')) continue;
+
+      if (rule.startsWith('!')) {
+        this.exceptions.add(rule.slice(1));
+      } else if (rule.startsWith('*.')) {
+        this.wildcards.add(rule.slice(2));
+      } else {
+        this.rules.add(rule);
+      }
+    }
+  }
+
+  static normalizeHostname(hostname) {
+    if (typeof hostname !== 'string') {
+      return '';
+    }
+    return hostname.toLowerCase().trim().replace(/^\.+/, '').replace(/\.+$/, '');
+  }
+
+  static isIPAddress(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':') || hostname.startsWith('[');
+  }
+
+  // Longest matching public suffix; unlisted TLDs fall back to the implicit "*" rule
+  getPublicSuffix(hostname) {
+    const host = PublicSuffixList.normalizeHostname(hostname);
+    if (!host || PublicSuffixList.isIPAddress(host)) {
+      return null;
+    }
+
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+
+      if (this.exceptions.has(candidate)) {
+        return labels.slice(i + 1).join('.');
+      }
+
+      if (this.rules.has(candidate) || (i + 1 < labels.length && this.wildcards.has(labels.slice(i + 1).join('.')))) {
+        return candidate;
+      }
+    }
+
+    return labels[labels.length - 1];
+  }
+
+  // eTLD+1 for a hostname; IP addresses are returned unchanged, bare public suffixes yield null
+  getRegistrableDomain(hostname) {
+    const host = PublicSuffixList.normalizeHostname(hostname);
+    if (!host) {
+      return null;
+    }
+
+    if (this.cache.has(host)) {
+      return this.cache.get(host);
+    }
+
+    let registrable = null;
+    if (PublicSuffixList.isIPAddress(host)) {
+      registrable = host;
+    } else {
+      const suffix = this.getPublicSuffix(host);
+      if (suffix && host !== suffix) {
+        const prefix = host.slice(0, host.length - suffix.length - 1);
+        const lastLabel = prefix.slice(prefix.lastIndexOf('.') + 1);
+        registrable = lastLabel ? `${lastLabel}.${suffix}` : null;
+      }
+    }
+
+    if (this.cache.size >= PUBLIC_SUFFIX_CACHE_LIMIT) {
+      this.cache.clear();
+    }
+    this.cache.set(host, registrable);
+
+    return registrable;
+  }
+
+  isPublicSuffix(hostname) {
+    const host = PublicSuffixList.normalizeHostname(hostname);
+    return host.length > 0 && this.getPublicSuffix(host) === host;
+  }
+
+  isSameSite(hostnameA, hostnameB) {
+    const siteA = this.getRegistrableDomain(hostnameA);
+    const siteB = this.getRegistrableDomain(hostnameB);
+
+    if (siteA && siteB) {
+      return siteA === siteB;
+    }
+
+    // Neither host has a registrable domain (e.g. both are public suffixes): compare exactly
+    return PublicSuffixList.normalizeHostname(hostnameA) === PublicSuffixList.normalizeHostname(hostnameB);
+  }
+
+  // True when hostname is a strict subdomain of parent within the same registrable domain
+  isSubdomainOf(hostname, parent) {
+    const host = PublicSuffixList.normalizeHostname(hostname);
+    const parentHost = PublicSuffixList.normalizeHostname(parent);
+
+    if (!host || !parentHost || host === parentHost || !host.endsWith('.' + parentHost)) {
+      return false;
+    }
+
+    return !this.isPublicSuffix(parentHost);
+  }
+}
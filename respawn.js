@@ -0,0 +1,255 @@
+// Nixxer Respawn Detector - Notices deleted tracker IDs coming back
+//
+// A zombie cookie is recognised by its value, not its name: after Nixxer deletes
+// `_ga` or `_fbp`, the same identifier is written again from a copy kept in page
+// storage, an ETag, another cookie or a script. Values of deleted tracker
+// cookies are remembered per site as SHA-256 hashes (never in clear) for
+// RESPAWN_WINDOW, and sites where one returns are flagged as respawning.
+
+const RESPAWN_WINDOW = 24 * 60 * 60 * 1000;
+const RESPAWN_FLAG_TTL = 30 * 24 * 60 * 60 * 1000;
+const RESPAWN_SIGHTING_TTL = 10 * 60 * 1000;
+const RESPAWN_ETAG_WINDOW = 60 * 1000;
+const RESPAWN_VALUE_LIMIT = 2000;
+const RESPAWN_MIN_VALUE_LENGTH = 8;
+
+const RESPAWN_SOURCES = {
+  'localStorage': 'Local storage',
+  'sessionStorage': 'Session storage',
+  'indexedDB': 'IndexedDB',
+  'cacheStorage': 'Cache Storage',
+  'windowName': 'window.name',
+  'etag': 'ETag',
+  'cookie': 'Another cookie',
+  'script': 'Page script'
+};
+
+class RespawnDetector {
+  constructor() {
+    this.deleted = new Map();      // hash -> { site, name, deletedAt }
+    this.siteCounts = new Map();   // site -> number of remembered hashes
+    this.sightings = new Map();    // hash -> { source, site, seenAt }
+    this.etags = new Map();        // site -> last time a tracker ETag was seen
+    this.sites = new Map();        // site -> { site, firstSeen, lastSeen, count, sources, names }
+  }
+
+  // GA cookies carry the client ID behind a "GA1.<n>." prefix that storage copies often omit
+  static normalizeValue(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    let clean = value;
+    try {
+      clean = decodeURIComponent(value);
+    } catch (error) {
+      // Keep the raw value
+    }
+
+    clean = clean.trim().replace(/^["']|["']$/g, '');
+    const gaMatch = clean.match(/^GA\d\.\d+\.(.+)$/);
+    if (gaMatch) {
+      clean = gaMatch[1];
+    }
+
+    return clean.length >= RESPAWN_MIN_VALUE_LENGTH ? clean : null;
+  }
+
+  static async hashValue(value) {
+    const normalized = RespawnDetector.normalizeValue(value);
+    if (!normalized) {
+      return null;
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    return Array.from(new Uint8Array(digest).slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  async rememberDeleted(site, name, value) {
+    const hash = await RespawnDetector.hashValue(value);
+    if (!hash || !site) {
+      return;
+    }
+
+    const existing = this.deleted.get(hash);
+    if (existing) {
+      this.decrementSite(existing.site);
+      this.deleted.delete(hash);
+    }
+
+    this.deleted.set(hash, { site, name, deletedAt: Date.now() });
+    this.siteCounts.set(site, (this.siteCounts.get(site) || 0) + 1);
+
+    while (this.deleted.size > RESPAWN_VALUE_LIMIT) {
+      const [oldestHash, oldest] = this.deleted.entries().next().value;
+      this.deleted.delete(oldestHash);
+      this.decrementSite(oldest.site);
+    }
+  }
+
+  decrementSite(site) {
+    const count = (this.siteCounts.get(site) || 0) - 1;
+    if (count > 0) {
+      this.siteCounts.set(site, count);
+    } else {
+      this.siteCounts.delete(site);
+    }
+  }
+
+  // Cheap pre-check so only cookies on sites with deleted IDs are hashed
+  hasDeletedValues(site) {
+    return this.siteCounts.has(site);
+  }
+
+  // Returns { hash, name, deletedAt } when the value was deleted on this site within the window
+  async findDeleted(site, value) {
+    const hash = await RespawnDetector.hashValue(value);
+    const entry = hash ? this.deleted.get(hash) : null;
+
+    if (!entry || entry.site !== site) {
+      return null;
+    }
+
+    if (Date.now() - entry.deletedAt > RESPAWN_WINDOW) {
+      this.deleted.delete(hash);
+      this.decrementSite(entry.site);
+      return null;
+    }
+
+    return { hash, name: entry.name, deletedAt: entry.deletedAt };
+  }
+
+  // Tracker IDs found in page storage; a later cookie with the same value came from there
+  async recordSighting(site, source, value) {
+    const hash = await RespawnDetector.hashValue(value);
+    if (!hash) {
+      return null;
+    }
+
+    this.sightings.set(hash, { source, site, seenAt: Date.now() });
+    return hash;
+  }
+
+  getSighting(hash, site) {
+    const sighting = this.sightings.get(hash);
+    if (!sighting || sighting.site !== site || Date.now() - sighting.seenAt > RESPAWN_SIGHTING_TTL) {
+      return null;
+    }
+    return sighting;
+  }
+
+  recordEtag(site) {
+    if (site) {
+      this.etags.set(site, Date.now());
+    }
+  }
+
+  hasRecentEtag(site) {
+    const seenAt = this.etags.get(site);
+    return typeof seenAt === 'number' && Date.now() - seenAt <= RESPAWN_ETAG_WINDOW;
+  }
+
+  flagSite(site, { name, source }) {
+    const now = Date.now();
+    const entry = this.sites.get(site) || { site, firstSeen: now, lastSeen: now, count: 0, sources: [], names: [] };
+
+    entry.lastSeen = now;
+    entry.count++;
+    if (source && !entry.sources.includes(source)) {
+      entry.sources.push(source);
+    }
+    if (name && !entry.names.includes(name) && entry.names.length < 20) {
+      entry.names.push(name);
+    }
+
+    this.sites.set(site, entry);
+    return entry;
+  }
+
+  getSite(hostname) {
+    if (typeof hostname !== 'string' || this.sites.size === 0) {
+      return null;
+    }
+
+    const entry = this.sites.get(hostname);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() - entry.lastSeen > RESPAWN_FLAG_TTL) {
+      this.sites.delete(hostname);
+      return null;
+    }
+
+    return entry;
+  }
+
+  isRespawning(site) {
+    return this.getSite(site) !== null;
+  }
+
+  prune() {
+    const now = Date.now();
+
+    for (const [hash, entry] of this.deleted) {
+      if (now - entry.deletedAt > RESPAWN_WINDOW) {
+        this.deleted.delete(hash);
+        this.decrementSite(entry.site);
+      }
+    }
+
+    for (const [hash, sighting] of this.sightings) {
+      if (now - sighting.seenAt > RESPAWN_SIGHTING_TTL) {
+        this.sightings.delete(hash);
+      }
+    }
+
+    for (const [site, seenAt] of this.etags) {
+      if (now - seenAt > RESPAWN_ETAG_WINDOW) {
+        this.etags.delete(site);
+      }
+    }
+
+    for (const [site, entry] of this.sites) {
+      if (now - entry.lastSeen > RESPAWN_FLAG_TTL) {
+        this.sites.delete(site);
+      }
+    }
+  }
+
+  load({ deleted, sites } = {}) {
+    this.deleted.clear();
+    this.siteCounts.clear();
+    this.sites.clear();
+
+    for (const entry of Array.isArray(deleted) ? deleted : []) {
+      if (entry && typeof entry.hash === 'string' && typeof entry.site === 'string' &&
+          typeof entry.deletedAt === 'number') {
+        this.deleted.set(entry.hash, { site: entry.site, name: entry.name, deletedAt: entry.deletedAt });
+        this.siteCounts.set(entry.site, (this.siteCounts.get(entry.site) || 0) + 1);
+      }
+    }
+
+    for (const entry of Array.isArray(sites) ? sites : []) {
+      if (entry && typeof entry.site === 'string' && typeof entry.lastSeen === 'number') {
+        this.sites.set(entry.site, {
+          site: entry.site,
+          firstSeen: entry.firstSeen || entry.lastSeen,
+          lastSeen: entry.lastSeen,
+          count: entry.count || 1,
+          sources: Array.isArray(entry.sources) ? entry.sources : [],
+          names: Array.isArray(entry.names) ? entry.names : []
+        });
+      }
+    }
+
+    this.prune();
+  }
+
+  toJSON() {
+    return {
+      deleted: Array.from(this.deleted, ([hash, entry]) => ({ hash, ...entry })),
+      sites: Array.from(this.sites.values())
+    };
+  }
+}
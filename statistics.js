@@ -0,0 +1,169 @@
+// Nixxer Statistics - Daily and lifetime counters
+//
+// "Today" means the user's local calendar day: counters roll over at local
+// midnight, checked on every increment and by a timer, so a background page
+// that runs for days still starts each day at zero. Each finished day is kept
+// in the history for the configured number of days, and lifetime totals run
+// until the statistics are cleared.
+
+const STATISTICS_COUNTERS = {
+  requestsBlocked: 'Requests blocked',
+  cookiesDeleted: 'Cookies deleted',
+  storagePurged: 'Storage keys purged',
+  paramsStripped: 'Parameters stripped'
+};
+
+const STATISTICS_DEFAULT_HISTORY_DAYS = 90;
+const STATISTICS_MAX_HISTORY_DAYS = 365;
+
+class StatisticsManager {
+  constructor({ historyDays = STATISTICS_DEFAULT_HISTORY_DAYS, onRollover = null } = {}) {
+    this.historyDays = historyDays;
+    this.onRollover = onRollover;
+    this.rolloverTimer = null;
+
+    const now = Date.now();
+    this.today = StatisticsManager.createDay(now);
+    this.lifetime = Object.assign(StatisticsManager.createCounters(), { since: now });
+    this.history = [];   // finished days, oldest first
+  }
+
+  static createCounters() {
+    return Object.fromEntries(Object.keys(STATISTICS_COUNTERS).map(counter => [counter, 0]));
+  }
+
+  static getDayStart(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  // Local date as YYYY-MM-DD
+  static getDateKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  static createDay(timestamp) {
+    const start = StatisticsManager.getDayStart(timestamp);
+    return Object.assign(StatisticsManager.createCounters(), { date: StatisticsManager.getDateKey(start), start });
+  }
+
+  static readCounters(source) {
+    const counters = StatisticsManager.createCounters();
+    for (const counter of Object.keys(counters)) {
+      counters[counter] = Math.max(0, parseInt(source && source[counter]) || 0);
+    }
+    return counters;
+  }
+
+  increment(counter, amount = 1) {
+    if (!Object.prototype.hasOwnProperty.call(STATISTICS_COUNTERS, counter) || !(amount > 0)) {
+      return;
+    }
+
+    this.checkRollover();
+    this.today[counter] += amount;
+    this.lifetime[counter] += amount;
+  }
+
+  // Moves the current day into the history once local midnight has passed; returns true if it did
+  checkRollover(now = Date.now()) {
+    // A clock set back keeps counting into the current day rather than reopening an old one
+    if (StatisticsManager.getDayStart(now) <= this.today.start) {
+      return false;
+    }
+
+    this.history.push(this.today);
+    this.today = StatisticsManager.createDay(now);
+    this.prune(now);
+    return true;
+  }
+
+  // Fires shortly after the next local midnight, so an idle browser also rolls over on time
+  scheduleRollover() {
+    clearTimeout(this.rolloverTimer);
+
+    const now = Date.now();
+    const nextMidnight = new Date(now);
+    nextMidnight.setHours(24, 0, 0, 0);
+
+    this.rolloverTimer = setTimeout(() => {
+      if (this.checkRollover() && typeof this.onRollover === 'function') {
+        this.onRollover();
+      }
+      this.scheduleRollover();
+    }, nextMidnight.getTime() - now + 1000);
+  }
+
+  setHistoryDays(days) {
+    const value = parseInt(days);
+    if (value >= 1 && value <= STATISTICS_MAX_HISTORY_DAYS) {
+      this.historyDays = value;
+      this.prune();
+    }
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = new Date(StatisticsManager.getDayStart(now));
+    cutoff.setDate(cutoff.getDate() - this.historyDays);
+    this.history = this.history.filter(day => day.start >= cutoff.getTime());
+  }
+
+  getSnapshot() {
+    this.checkRollover();
+    return {
+      today: { ...this.today },
+      lifetime: { ...this.lifetime },
+      history: this.history.map(day => ({ ...day })),
+      historyDays: this.historyDays
+    };
+  }
+
+  reset() {
+    const now = Date.now();
+    this.today = StatisticsManager.createDay(now);
+    this.lifetime = Object.assign(StatisticsManager.createCounters(), { since: now });
+    this.history = [];
+  }
+
+  load(data = {}) {
+    const now = Date.now();
+
+    if (data.today && typeof data.today.start === 'number') {
+      this.today = Object.assign(StatisticsManager.readCounters(data.today), {
+        date: StatisticsManager.getDateKey(data.today.start),
+        start: StatisticsManager.getDayStart(data.today.start)
+      });
+    }
+
+    if (data.lifetime && typeof data.lifetime === 'object') {
+      this.lifetime = Object.assign(StatisticsManager.readCounters(data.lifetime), {
+        since: typeof data.lifetime.since === 'number' ? data.lifetime.since : now
+      });
+    }
+
+    if (Array.isArray(data.history)) {
+      this.history = data.history
+        .filter(day => day && typeof day.start === 'number')
+        .map(day => Object.assign(StatisticsManager.readCounters(day), {
+          date: StatisticsManager.getDateKey(day.start),
+          start: StatisticsManager.getDayStart(day.start)
+        }))
+        .sort((a, b) => a.start - b.start);
+    }
+
+    // A day that ended while the browser was closed goes to the history like any other
+    this.checkRollover(now);
+    this.prune(now);
+  }
+
+  toJSON() {
+    return {
+      today: this.today,
+      lifetime: this.lifetime,
+      history: this.history
+    };
+  }
+}
@@ -0,0 +1,81 @@
+// Nixxer Surrogates - Stand-in scripts for blocked tracker libraries
+//
+// Cancelling a tracker library leaves pages calling gtag(), fbq() or ga() into
+// nothing, and forms that wait for hitCallback or eventCallback never submit.
+// Blocked script requests matching an entry below are redirected to a bundled
+// no-op replacement from surrogates/ instead (listed in web_accessible_resources).
+
+const SURROGATE_SCRIPTS = [
+  {
+    id: 'google-analytics',
+    name: 'Google Analytics',
+    pattern: 'google-analytics\\.com\\/(analytics(_debug)?|ga|urchin)\\.js',
+    file: 'surrogates/analytics.js'
+  },
+  {
+    id: 'gtag',
+    name: 'Google tag',
+    pattern: 'googletagmanager\\.com\\/gtag\\/js',
+    file: 'surrogates/gtag.js'
+  },
+  {
+    id: 'google-tag-manager',
+    name: 'Google Tag Manager',
+    pattern: 'googletagmanager\\.com\\/gtm\\.js',
+    file: 'surrogates/gtm.js'
+  },
+  {
+    id: 'facebook',
+    name: 'Meta Pixel',
+    pattern: 'connect\\.facebook\\.net\\/[^/]+\\/fbevents\\.js',
+    file: 'surrogates/fbevents.js'
+  },
+  {
+    id: 'adobe',
+    name: 'Adobe Analytics',
+    pattern: '(\\/(AppMeasurement|s_code)[\\w.-]*\\.js|assets\\.adobedtm\\.com\\/.+\\.js)',
+    file: 'surrogates/adobe.js'
+  },
+  {
+    id: 'hotjar',
+    name: 'Hotjar',
+    pattern: 'static\\.hotjar\\.com\\/c\\/hotjar-',
+    file: 'surrogates/hotjar.js'
+  },
+  {
+    id: 'tiktok',
+    name: 'TikTok Pixel',
+    pattern: 'analytics\\.tiktok\\.com\\/i18n\\/pixel\\/(events|sdk)\\.js',
+    file: 'surrogates/tiktok.js'
+  }
+];
+
+class SurrogateMatcher {
+  constructor(definitions = SURROGATE_SCRIPTS) {
+    this.surrogates = definitions.map(definition => ({
+      ...definition,
+      regex: new RegExp(definition.pattern, 'i')
+    }));
+  }
+
+  // Surrogate for a blocked request, or null; only script loads can be replaced
+  match(url, type) {
+    if (type !== 'script' || typeof url !== 'string') {
+      return null;
+    }
+
+    let path;
+    try {
+      const parsed = new URL(url);
+      path = parsed.hostname + parsed.pathname;
+    } catch (error) {
+      return null;
+    }
+
+    return this.surrogates.find(surrogate => surrogate.regex.test(path)) || null;
+  }
+
+  getResourceUrl(surrogate) {
+    return browser.runtime.getURL(surrogate.file);
+  }
+}
@@ -0,0 +1,79 @@
+// Nixxer surrogate for Adobe Analytics (AppMeasurement / s_code) and Adobe Launch
+//
+// Provides an "s" object whose tracking calls do nothing. s.tl() still honours
+// its doneAction: a callback is called and "navigate" follows the link, which
+// the real library would otherwise do after the beacon is sent.
+
+(function() {
+  'use strict';
+
+  const noop = function() {};
+  const emptyString = function() { return ''; };
+
+  function createTracker() {
+    const s = {
+      t: emptyString,
+      tl: function(linkObject, linkType, linkName, variableOverrides, doneAction) {
+        if (typeof doneAction === 'function') {
+          setTimeout(() => {
+            try {
+              doneAction();
+            } catch (error) {
+              // The page's own callback failed
+            }
+          }, 0);
+        } else if (doneAction === 'navigate' && linkObject && linkObject.href) {
+          window.location.href = linkObject.href;
+        }
+        return '';
+      },
+      clearVars: noop,
+      track: emptyString,
+      trackLink: emptyString,
+      getQueryParam: emptyString,
+      getPreviousValue: emptyString,
+      getValOnce: emptyString,
+      getTimeParting: emptyString,
+      getNewRepeat: emptyString,
+      getPercentPageViewed: emptyString,
+      apl: function(list) { return list || ''; },
+      split: function(value, delimiter) { return String(value || '').split(delimiter); },
+      registerPreTrackCallback: noop,
+      registerPostTrackCallback: noop,
+      loadModule: noop,
+      isReadyToTrack: function() { return true; },
+      Util: {
+        getQueryParam: emptyString,
+        cookieRead: emptyString,
+        cookieWrite: function() { return true; }
+      },
+      visitor: null
+    };
+    s.Media = { open: noop, close: noop, play: noop, stop: noop, track: noop };
+    return s;
+  }
+
+  const tracker = createTracker();
+
+  window.s_gi = function() { return tracker; };
+  window.AppMeasurement = function() { return createTracker(); };
+  window.AppMeasurement.getInstance = window.s_gi;
+
+  if (!window.s || typeof window.s.t !== 'function') {
+    window.s = tracker;
+  }
+
+  // Adobe Launch / DTM tag manager
+  if (!window._satellite) {
+    window._satellite = {
+      track: noop,
+      getVar: emptyString,
+      setVar: noop,
+      getVisitorId: function() { return null; },
+      pageBottom: noop,
+      notify: noop,
+      logger: { log: noop, info: noop, warn: noop, error: noop },
+      buildInfo: {}
+    };
+  }
+})();
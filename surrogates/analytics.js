@@ -0,0 +1,94 @@
+// Nixxer surrogate for Google Analytics (analytics.js, and the legacy ga.js _gaq queue)
+//
+// Replaces the blocked library with no-op trackers. Ready callbacks passed to
+// ga() and hitCallback fields are still called, so forms and outbound links
+// that wait for a hit to be sent carry on.
+
+(function() {
+  'use strict';
+
+  const noop = function() {};
+
+  function callLater(callback) {
+    if (typeof callback === 'function') {
+      setTimeout(() => {
+        try {
+          callback();
+        } catch (error) {
+          // The page's own callback failed
+        }
+      }, 0);
+    }
+  }
+
+  const tracker = {
+    get: noop,
+    set: noop,
+    send: function() {
+      const fields = arguments[arguments.length - 1];
+      if (fields && typeof fields === 'object') {
+        callLater(fields.hitCallback);
+      }
+    }
+  };
+
+  function ga() {
+    const args = Array.prototype.slice.call(arguments);
+    if (args.length === 0) return;
+
+    // ga(function(tracker) { ... }) runs once the library is "ready"
+    if (typeof args[0] === 'function') {
+      try {
+        args[0](tracker);
+      } catch (error) {
+        // The page's own callback failed
+      }
+      return;
+    }
+
+    const fields = args[args.length - 1];
+    if (fields && typeof fields === 'object') {
+      callLater(fields.hitCallback);
+    }
+  }
+
+  ga.create = function() { return tracker; };
+  ga.getByName = function() { return tracker; };
+  ga.getAll = function() { return [tracker]; };
+  ga.remove = noop;
+  ga.loaded = true;
+
+  const name = window.GoogleAnalyticsObject || 'ga';
+  const queued = window[name] && Array.isArray(window[name].q) ? window[name].q : [];
+  window[name] = ga;
+  queued.forEach(args => ga.apply(null, args));
+
+  // Legacy ga.js: _gaq.push() accepts command arrays and callback functions
+  const legacyQueue = Array.isArray(window._gaq) ? window._gaq : [];
+  const gaq = {
+    push: function() {
+      for (const item of arguments) {
+        if (typeof item === 'function') {
+          try {
+            item();
+          } catch (error) {
+            // The page's own callback failed
+          }
+        }
+      }
+      return 0;
+    }
+  };
+  window._gaq = gaq;
+  gaq.push.apply(gaq, legacyQueue);
+
+  const legacyTracker = new Proxy({}, {
+    get: function() { return noop; }
+  });
+  window._gat = {
+    _getTracker: function() { return legacyTracker; },
+    _getTrackerByName: function() { return legacyTracker; },
+    _createTracker: function() { return legacyTracker; },
+    _anonymizeIp: noop
+  };
+})();
@@ -0,0 +1,31 @@
+// Nixxer surrogate for the Meta (Facebook) Pixel (fbevents.js)
+//
+// The pixel snippet defines fbq as a queue and waits for the library to set
+// fbq.callMethod. This stand-in installs a no-op callMethod and drops the
+// queue, so fbq('track', ...) calls keep working without sending anything.
+
+(function() {
+  'use strict';
+
+  const noop = function() {};
+
+  let fbq = window.fbq;
+  if (typeof fbq !== 'function') {
+    fbq = function() {
+      fbq.callMethod.apply(fbq, arguments);
+    };
+    window.fbq = fbq;
+  }
+
+  fbq.callMethod = noop;
+  fbq.queue = [];
+  fbq.push = fbq;
+  fbq.loaded = true;
+  fbq.version = fbq.version || '2.0';
+  fbq.getState = function() { return { pixels: [], pluginConfig: {} }; };
+  fbq.instance = fbq;
+
+  if (!window._fbq) {
+    window._fbq = fbq;
+  }
+})();
@@ -0,0 +1,61 @@
+// Nixxer surrogate for the Google tag (gtag.js)
+//
+// gtag() only pushes onto window.dataLayer; the blocked library would read
+// those commands back. This stand-in does the same for event_callback and
+// "get" callbacks, and ends the anti-flicker page hide some sites install.
+
+(function() {
+  'use strict';
+
+  function run(callback, value) {
+    if (typeof callback !== 'function') return;
+    setTimeout(() => {
+      try {
+        callback(value);
+      } catch (error) {
+        // The page's own callback failed
+      }
+    }, 0);
+  }
+
+  function handleCommand(item) {
+    if (!item || typeof item !== 'object') return;
+
+    // gtag() pushes its arguments object
+    if (typeof item.length === 'number' && item.length > 0) {
+      const command = item[0];
+      if (command === 'event' && item[2] && typeof item[2] === 'object') {
+        run(item[2].event_callback);
+      } else if (command === 'get') {
+        run(item[3], undefined);
+      }
+      return;
+    }
+
+    // Plain objects may carry a Tag Manager style eventCallback
+    run(item.eventCallback);
+  }
+
+  const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : (window.dataLayer = []);
+  const push = dataLayer.push;
+
+  dataLayer.forEach(handleCommand);
+  dataLayer.push = function() {
+    Array.prototype.forEach.call(arguments, handleCommand);
+    return push.apply(this, arguments);
+  };
+
+  if (dataLayer.hide && typeof dataLayer.hide.end === 'function') {
+    try {
+      dataLayer.hide.end();
+    } catch (error) {
+      // Anti-flicker snippet already finished
+    }
+  }
+
+  if (typeof window.gtag !== 'function') {
+    window.gtag = function() {
+      dataLayer.push(arguments);
+    };
+  }
+})();
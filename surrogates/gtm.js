@@ -0,0 +1,57 @@
+// Nixxer surrogate for Google Tag Manager (gtm.js)
+//
+// Pages push events onto window.dataLayer and often wait for the container to
+// call eventCallback before submitting a form or following a link. This
+// stand-in calls those callbacks for queued and future pushes, and ends the
+// anti-flicker page hide used with Google Optimize.
+
+(function() {
+  'use strict';
+
+  function run(callback) {
+    if (typeof callback !== 'function') return;
+    setTimeout(() => {
+      try {
+        callback();
+      } catch (error) {
+        // The page's own callback failed
+      }
+    }, 0);
+  }
+
+  function handleEvent(item) {
+    if (item && typeof item === 'object') {
+      run(item.eventCallback);
+    }
+  }
+
+  const name = (function() {
+    // The container's dataLayer name can be changed with the "l" query parameter
+    try {
+      const src = document.currentScript && document.currentScript.src;
+      const layer = src ? new URL(src).searchParams.get('l') : null;
+      return layer && /^[A-Za-z_$][\w$]*$/.test(layer) ? layer : 'dataLayer';
+    } catch (error) {
+      return 'dataLayer';
+    }
+  })();
+
+  const dataLayer = Array.isArray(window[name]) ? window[name] : (window[name] = []);
+  const push = dataLayer.push;
+
+  dataLayer.forEach(handleEvent);
+  dataLayer.push = function() {
+    Array.prototype.forEach.call(arguments, handleEvent);
+    return push.apply(this, arguments);
+  };
+
+  if (dataLayer.hide && typeof dataLayer.hide.end === 'function') {
+    try {
+      dataLayer.hide.end();
+    } catch (error) {
+      // Anti-flicker snippet already finished
+    }
+  }
+
+  window.google_tag_manager = window.google_tag_manager || {};
+})();
@@ -0,0 +1,15 @@
+// Nixxer surrogate for Hotjar
+//
+// The Hotjar snippet queues hj() calls until the library loads. This stand-in
+// swaps the queue for a function that accepts and ignores every call.
+
+(function() {
+  'use strict';
+
+  const hj = function() {};
+  hj.q = [];
+
+  window.hj = hj;
+  window.hjSiteSettings = window.hjSiteSettings || {};
+  window.hjBootstrapCalled = true;
+})();
@@ -0,0 +1,33 @@
+// Nixxer surrogate for the TikTok Pixel
+//
+// The pixel snippet builds window.ttq with stub methods that queue their
+// arguments for the library. This stand-in makes every method a no-op that
+// returns ttq, keeping chained calls such as ttq.instance(id).track() working.
+
+(function() {
+  'use strict';
+
+  const METHODS = [
+    'page', 'track', 'identify', 'instances', 'debug', 'on', 'off', 'once', 'ready',
+    'alias', 'group', 'enableCookie', 'disableCookie', 'holdConsent', 'revokeConsent', 'grantConsent'
+  ];
+
+  const name = window.TiktokAnalyticsObject || 'ttq';
+  const ttq = window[name] && typeof window[name] === 'object' ? window[name] : [];
+
+  const chain = function() { return ttq; };
+  const methods = Array.isArray(ttq.methods) ? ttq.methods.concat(METHODS) : METHODS;
+
+  for (const method of methods) {
+    if (typeof method === 'string') {
+      ttq[method] = chain;
+    }
+  }
+
+  ttq.instance = chain;
+  ttq.load = function() {};
+  ttq.setAndDefer = function() {};
+  ttq.length = 0;
+
+  window[name] = ttq;
+})();
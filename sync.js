@@ -0,0 +1,424 @@
+// Nixxer Sync - Configuration shared across devices through storage.sync
+//
+// Only configuration is synced: settings, permanent allowlist entries for all
+// containers, filter list subscriptions and imported (custom) rule lists.
+// Detection data stays in storage.local and IndexedDB. Each synced key is stored as a meta item plus
+// base64 chunks of its JSON, gzip-compressed where CompressionStream exists,
+// so a key can exceed the per-item quota. Every key carries the time it was
+// last changed on some device, and on conflict the newer change wins. Settings
+// carry a change time per field instead and are merged field by field, so
+// different settings changed on two devices both survive; the other keys are
+// lists that are replaced as a whole.
+
+const SYNC_KEYS = {
+  settings: 'Settings',
+  allowlist: 'Site allowlist',
+  filterLists: 'Filter list subscriptions',
+  customRules: 'Imported rule lists'
+};
+
+// Keys whose value is an object merged field by field
+const SYNC_MERGED_KEYS = new Set(['settings']);
+
+const SYNC_PREFIX = 'nixxer.';
+const SYNC_CHUNK_SIZE = 7000;          // base64 characters; QUOTA_BYTES_PER_ITEM is 8192 including the key
+const SYNC_QUOTA_BYTES = 102400;       // storage.sync.QUOTA_BYTES in Firefox and Chrome
+const SYNC_PUSH_DELAY = 10000;         // writes are rate-limited, so local changes are batched
+const SYNC_PULL_DELAY = 2000;
+
+class SettingsSync {
+  constructor({ getLocal, applyRemote, onStatusChange = null }) {
+    this.getLocal = getLocal;            // async (key) => value to sync
+    this.applyRemote = applyRemote;      // async (key, value) => applies a newer remote value
+    this.onStatusChange = onStatusChange;
+
+    this.enabled = false;
+    this.loaded = false;
+    this.syncing = null;
+    this.syncTimer = null;
+    this.state = SettingsSync.createState();
+  }
+
+  static createState() {
+    return {
+      keys: {},          // key -> { modified, fields, hash, syncedAt, direction, bytes, error }
+      lastSync: null,
+      lastError: null,
+      bytesUsed: 0
+    };
+  }
+
+  static isAvailable() {
+    return typeof browser !== 'undefined' && !!(browser.storage && browser.storage.sync);
+  }
+
+  // FNV-1a over the JSON text; only used to skip writes and reads of unchanged values
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  static toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  // Resolves to { encoding, data } with data as base64
+  static async encode(text) {
+    const bytes = new TextEncoder().encode(text);
+
+    // CompressionStream arrived in Firefox 113; older versions sync uncompressed
+    if (typeof CompressionStream === 'undefined') {
+      return { encoding: 'plain', data: SettingsSync.toBase64(bytes) };
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+    const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+    return { encoding: 'gzip', data: SettingsSync.toBase64(compressed) };
+  }
+
+  static async decode(data, encoding) {
+    let bytes = SettingsSync.fromBase64(data);
+
+    if (encoding === 'gzip') {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed sync data');
+      }
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (encoding !== 'plain') {
+      throw new Error(`Unknown sync encoding: ${encoding}`);
+    }
+
+    return new TextDecoder().decode(bytes);
+  }
+
+  static metaKey(key) {
+    return `${SYNC_PREFIX}${key}.meta`;
+  }
+
+  static chunkKey(key, index) {
+    return `${SYNC_PREFIX}${key}.${index}`;
+  }
+
+  // Approximates how storage.sync counts quota: key length plus the JSON of the value
+  static itemBytes(items) {
+    return Object.entries(items).reduce((sum, [key, value]) => sum + key.length + JSON.stringify(value).length, 0);
+  }
+
+  async load() {
+    try {
+      const data = await browser.storage.local.get(['syncState']);
+      if (data.syncState && typeof data.syncState === 'object') {
+        this.state = Object.assign(SettingsSync.createState(), data.syncState);
+      }
+    } catch (error) {
+      logger.log('warn', 'Failed to load sync state', error);
+    }
+
+    if (SettingsSync.isAvailable() && browser.storage.onChanged) {
+      browser.storage.onChanged.addListener((changes, areaName) => {
+        // Our own writes come back here too; sync() finds nothing newer and stops
+        if (areaName === 'sync' && this.enabled &&
+            Object.keys(changes).some(key => key.startsWith(SYNC_PREFIX) && key.endsWith('.meta'))) {
+          this.scheduleSync(SYNC_PULL_DELAY);
+        }
+      });
+    }
+
+    this.loaded = true;
+    if (this.enabled) {
+      this.scheduleSync(0);
+    }
+  }
+
+  async saveState() {
+    try {
+      await browser.storage.local.set({ syncState: this.state });
+    } catch (error) {
+      logger.log('warn', 'Failed to save sync state', error);
+    }
+  }
+
+  setEnabled(enabled) {
+    const wasEnabled = this.enabled;
+    this.enabled = Boolean(enabled) && SettingsSync.isAvailable();
+
+    if (this.enabled && !wasEnabled && this.loaded) {
+      this.scheduleSync(0);
+    }
+  }
+
+  // Records a local change; the change time decides conflicts, so it is kept while sync is off too
+  markChanged(...keys) {
+    const now = Date.now();
+    for (const key of keys) {
+      if (Object.prototype.hasOwnProperty.call(SYNC_KEYS, key) && !SYNC_MERGED_KEYS.has(key)) {
+        this.state.keys[key] = Object.assign({}, this.state.keys[key], { modified: now });
+      }
+    }
+
+    this.changed();
+  }
+
+  // Records a local change to some fields of a merged key
+  markFieldsChanged(key, fields) {
+    if (!SYNC_MERGED_KEYS.has(key) || fields.length === 0) return;
+
+    const now = Date.now();
+    const entry = Object.assign({}, this.state.keys[key]);
+    entry.fields = Object.assign({}, entry.fields);
+    fields.forEach(field => {
+      entry.fields[field] = now;
+    });
+    entry.modified = now;
+    this.state.keys[key] = entry;
+
+    this.changed();
+  }
+
+  changed() {
+    this.saveState();
+    if (this.enabled && this.loaded) {
+      this.scheduleSync(SYNC_PUSH_DELAY);
+    }
+  }
+
+  scheduleSync(delay) {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      this.sync().catch(() => {});
+    }, delay);
+  }
+
+  // Pulls keys changed more recently on another device and pushes keys changed more recently here
+  async sync() {
+    if (this.syncing) {
+      return this.syncing;
+    }
+    if (!this.enabled) {
+      return this.getStatus();
+    }
+
+    this.syncing = (async () => {
+      try {
+        const remote = await browser.storage.sync.get(null);
+
+        for (const key of Object.keys(SYNC_KEYS)) {
+          try {
+            await this.syncKey(key, remote);
+          } catch (error) {
+            this.state.keys[key] = Object.assign({}, this.state.keys[key], { error: error.message });
+            logger.log('warn', 'Failed to sync key', error, { key });
+          }
+        }
+
+        this.state.bytesUsed = SettingsSync.itemBytes(await browser.storage.sync.get(null));
+        this.state.lastSync = Date.now();
+        this.state.lastError = null;
+
+      } catch (error) {
+        this.state.lastError = error.message;
+        logger.log('warn', 'Sync failed', error);
+
+      } finally {
+        this.syncing = null;
+        await this.saveState();
+        if (typeof this.onStatusChange === 'function') {
+          this.onStatusChange();
+        }
+      }
+
+      return this.getStatus();
+    })();
+
+    return this.syncing;
+  }
+
+  static newestField(fields) {
+    return Math.max(0, ...Object.values(fields));
+  }
+
+  // Reads a key's value from the snapshot; chunks and meta arrive separately, and the
+  // change event for the missing chunks retries
+  static async readRemote(key, meta, remote) {
+    const data = Array.from({ length: meta.chunks }, (_, index) => remote[SettingsSync.chunkKey(key, index)]);
+    if (data.some(chunk => typeof chunk !== 'string')) {
+      throw new Error('Sync data incomplete, waiting for the rest');
+    }
+    return JSON.parse(await SettingsSync.decode(data.join(''), meta.encoding));
+  }
+
+  async syncKey(key, remote) {
+    if (SYNC_MERGED_KEYS.has(key)) {
+      return this.syncMergedKey(key, remote);
+    }
+
+    const local = this.state.keys[key] || { modified: 0 };
+    const meta = remote[SettingsSync.metaKey(key)];
+    const now = Date.now();
+
+    if (meta && typeof meta.modified === 'number' && meta.modified > (local.modified || 0)) {
+      if (meta.hash !== local.hash) {
+        await this.applyRemote(key, await SettingsSync.readRemote(key, meta, remote));
+      }
+
+      this.state.keys[key] = {
+        modified: meta.modified,
+        hash: meta.hash,
+        syncedAt: now,
+        direction: 'received',
+        bytes: meta.bytes || 0,
+        error: null
+      };
+      return;
+    }
+
+    const text = JSON.stringify(await this.getLocal(key));
+    const hash = SettingsSync.hash(text);
+
+    if (meta && meta.hash === hash) {
+      this.state.keys[key] = Object.assign({}, local, { hash, error: null });
+      return;
+    }
+
+    const modified = local.modified || now;
+    const bytes = await this.writeKey(key, text, { modified, hash });
+    this.state.keys[key] = { modified, hash, syncedAt: now, direction: 'sent', bytes, error: null };
+  }
+
+  // Fields changed more recently on another device are applied here, then the merged
+  // object is written back if this device has newer fields of its own
+  async syncMergedKey(key, remote) {
+    const local = this.state.keys[key] || {};
+    const localFields = local.fields || {};
+    const meta = remote[SettingsSync.metaKey(key)];
+    const remoteFields = meta && meta.fields && typeof meta.fields === 'object' ? meta.fields : {};
+    const now = Date.now();
+
+    const newerRemote = Object.keys(remoteFields)
+      .filter(field => typeof remoteFields[field] === 'number' && remoteFields[field] > (localFields[field] || 0));
+    const fields = Object.assign({}, localFields);
+
+    if (newerRemote.length > 0) {
+      const value = await SettingsSync.readRemote(key, meta, remote);
+      const changes = {};
+      for (const field of newerRemote) {
+        if (Object.prototype.hasOwnProperty.call(value, field)) {
+          changes[field] = value[field];
+        }
+        fields[field] = remoteFields[field];
+      }
+      await this.applyRemote(key, changes);
+    }
+
+    const localValue = await this.getLocal(key);
+
+    // The first device to sync publishes every field; fields never changed here carry
+    // time 1, so any device that did change them wins over this one later
+    let newerLocal = Object.keys(fields).some(field => fields[field] > (remoteFields[field] || 0));
+    if (!meta) {
+      Object.keys(localValue).forEach(field => {
+        fields[field] = fields[field] || 1;
+      });
+      newerLocal = true;
+    }
+
+    const text = JSON.stringify(localValue);
+    const hash = SettingsSync.hash(text);
+    const modified = SettingsSync.newestField(fields);
+    const entry = { modified, fields, hash, syncedAt: local.syncedAt || null, direction: local.direction || null, bytes: local.bytes || 0, error: null };
+
+    if (newerLocal) {
+      entry.bytes = await this.writeKey(key, text, { modified, hash, fields });
+      entry.syncedAt = now;
+      entry.direction = newerRemote.length > 0 ? 'merged' : 'sent';
+    } else if (newerRemote.length > 0) {
+      entry.bytes = meta.bytes || 0;
+      entry.syncedAt = now;
+      entry.direction = 'received';
+    }
+
+    this.state.keys[key] = entry;
+  }
+
+  // Writes a key's meta and chunks, replacing its previous items; resolves to the encoded size
+  async writeKey(key, text, meta) {
+    const { encoding, data } = await SettingsSync.encode(text);
+    const chunks = [];
+    for (let i = 0; i < data.length; i += SYNC_CHUNK_SIZE) {
+      chunks.push(data.slice(i, i + SYNC_CHUNK_SIZE));
+    }
+
+    const items = { [SettingsSync.metaKey(key)]: { ...meta, encoding, chunks: chunks.length, bytes: data.length } };
+    chunks.forEach((chunk, index) => {
+      items[SettingsSync.chunkKey(key, index)] = chunk;
+    });
+
+    // Read again rather than reusing the pass's snapshot: keys written earlier in this pass changed it
+    const current = await browser.storage.sync.get(null);
+    const ownPrefix = `${SYNC_PREFIX}${key}.`;
+    const others = Object.fromEntries(Object.entries(current).filter(([item]) => !item.startsWith(ownPrefix)));
+    if (SettingsSync.itemBytes(others) + SettingsSync.itemBytes(items) > SYNC_QUOTA_BYTES) {
+      throw new Error(`${SYNC_KEYS[key]} too large to sync (${Math.ceil(data.length / 1024)} KB)`);
+    }
+
+    await browser.storage.sync.set(items);
+
+    const stale = Object.keys(current).filter(item => item.startsWith(ownPrefix) && !(item in items));
+    if (stale.length > 0) {
+      await browser.storage.sync.remove(stale);
+    }
+
+    return data.length;
+  }
+
+  // Forgets local change times, e.g. after all data was cleared
+  async reset() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    this.state = SettingsSync.createState();
+    await this.saveState();
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      available: SettingsSync.isAvailable(),
+      syncing: !!this.syncing,
+      lastSync: this.state.lastSync,
+      lastError: this.state.lastError,
+      bytesUsed: this.state.bytesUsed,
+      quotaBytes: SYNC_QUOTA_BYTES,
+      keys: Object.entries(SYNC_KEYS).map(([key, label]) => {
+        const entry = this.state.keys[key] || {};
+        return {
+          key,
+          label,
+          modified: entry.modified > 1 ? entry.modified : null,
+          syncedAt: entry.syncedAt || null,
+          direction: entry.direction || null,
+          bytes: entry.bytes || 0,
+          error: entry.error || null
+        };
+      })
+    };
+  }
+}
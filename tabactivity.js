@@ -0,0 +1,95 @@
+// Nixxer Tab Activity - Per-tab log of blocked and allowed tracker requests
+//
+// Each tab's log is reset on top-level navigation and dropped when the tab
+// closes. Counts keep growing past the entry cap so the badge stays accurate.
+
+const TAB_ACTIVITY_MAX_ENTRIES = 200;
+
+class TabActivityLog {
+  constructor(maxEntries = TAB_ACTIVITY_MAX_ENTRIES) {
+    this.tabs = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  static isTrackableTab(tabId) {
+    return typeof tabId === 'number' && tabId >= 0;
+  }
+
+  createTabState(pageUrl = null) {
+    let hostname = null;
+    try {
+      hostname = pageUrl ? new URL(pageUrl).hostname : null;
+    } catch (error) {
+      hostname = null;
+    }
+
+    return {
+      pageUrl,
+      hostname,
+      startedAt: Date.now(),
+      blockedCount: 0,
+      allowedCount: 0,
+      requests: []
+    };
+  }
+
+  reset(tabId, pageUrl) {
+    if (!TabActivityLog.isTrackableTab(tabId)) return;
+    this.tabs.set(tabId, this.createTabState(pageUrl));
+  }
+
+  // entry: { url, type, hostname, blocked, rule, reason }
+  record(tabId, entry) {
+    if (!TabActivityLog.isTrackableTab(tabId) || !entry) return null;
+
+    let state = this.tabs.get(tabId);
+    if (!state) {
+      state = this.createTabState();
+      this.tabs.set(tabId, state);
+    }
+
+    if (entry.blocked) {
+      state.blockedCount++;
+    } else {
+      state.allowedCount++;
+    }
+
+    state.requests.push({
+      url: entry.url,
+      type: entry.type || 'other',
+      hostname: entry.hostname || null,
+      blocked: !!entry.blocked,
+      rule: entry.rule || null,
+      reason: entry.reason || null,
+      timestamp: Date.now()
+    });
+
+    if (state.requests.length > this.maxEntries) {
+      state.requests.splice(0, state.requests.length - this.maxEntries);
+    }
+
+    return state;
+  }
+
+  remove(tabId) {
+    return this.tabs.delete(tabId);
+  }
+
+  getBlockedCount(tabId) {
+    const state = this.tabs.get(tabId);
+    return state ? state.blockedCount : 0;
+  }
+
+  get(tabId) {
+    const state = this.tabs.get(tabId) || this.createTabState();
+    return {
+      tabId,
+      pageUrl: state.pageUrl,
+      hostname: state.hostname,
+      startedAt: state.startedAt,
+      blockedCount: state.blockedCount,
+      allowedCount: state.allowedCount,
+      requests: state.requests.slice().reverse()
+    };
+  }
+}
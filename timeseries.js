@@ -0,0 +1,300 @@
+// Nixxer Time Series - Hourly and daily aggregates of detection events
+//
+// The event log answers "what happened", but scanning it for every chart would
+// be slow, so each event is also counted into an hourly and a daily bucket.
+// Buckets hold totals plus counts per vendor, category, method and site, and
+// are kept for TIMESERIES_HOURLY_RETENTION hours and TIMESERIES_DAILY_RETENTION
+// days. Days follow local time, so a bucket matches the user's calendar day.
+// Buckets live in the IndexedDB `timeseries` store; changed ones are written
+// on their own timer, TIMESERIES_FLUSH_DELAY after the first change.
+
+const TIMESERIES_HOURLY_RETENTION = 48;
+const TIMESERIES_DAILY_RETENTION = 90;
+const TIMESERIES_MAX_SITES = 200;
+const TIMESERIES_OTHER_SITES = '(other sites)';
+const TIMESERIES_TOP_LIMIT = 10;
+const TIMESERIES_FLUSH_DELAY = 30000;
+
+// Actions where Nixxer stopped or removed something, as opposed to only observing it
+const TIMESERIES_BLOCKING_ACTIONS = new Set(['blocked', 'deleted', 'session', 'tab-close', 'stripped', 'purged']);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class TrackingTimeSeries {
+  constructor(database) {
+    this.database = database;
+    this.hourly = new Map();   // hour start -> bucket
+    this.daily = new Map();    // local midnight -> bucket
+    this.dirty = new Set();    // record ids
+    this.removed = new Set();
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  // Record id in the database, e.g. "hour:1700000000000"
+  static getId(interval, start) {
+    return `${interval}:${start}`;
+  }
+
+  static getHourStart(timestamp) {
+    const date = new Date(timestamp);
+    date.setMinutes(0, 0, 0);
+    return date.getTime();
+  }
+
+  static getDayStart(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  // Local midnight of the day `offset` days from the one containing timestamp; DST-safe
+  static shiftDay(timestamp, offset) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + offset);
+    return date.getTime();
+  }
+
+  static createBucket(start) {
+    return { start, events: 0, blocked: 0, vendors: {}, categories: {}, methods: {}, sites: {} };
+  }
+
+  static addToBucket(bucket, event) {
+    bucket.events++;
+    if (TIMESERIES_BLOCKING_ACTIONS.has(event.action)) {
+      bucket.blocked++;
+    }
+
+    const vendor = event.vendor || event.domain;
+    if (vendor) {
+      bucket.vendors[vendor] = (bucket.vendors[vendor] || 0) + 1;
+    }
+    if (event.category) {
+      bucket.categories[event.category] = (bucket.categories[event.category] || 0) + 1;
+    }
+    if (event.method) {
+      bucket.methods[event.method] = (bucket.methods[event.method] || 0) + 1;
+    }
+    if (event.site) {
+      // A busy day can touch many sites; past the cap they are counted together
+      const site = bucket.sites[event.site] !== undefined || Object.keys(bucket.sites).length < TIMESERIES_MAX_SITES ?
+        event.site : TIMESERIES_OTHER_SITES;
+      bucket.sites[site] = (bucket.sites[site] || 0) + 1;
+    }
+  }
+
+  record(event) {
+    const timestamp = typeof event.timestamp === 'number' ? event.timestamp : Date.now();
+
+    const hour = TrackingTimeSeries.getHourStart(timestamp);
+    if (!this.hourly.has(hour)) {
+      this.hourly.set(hour, TrackingTimeSeries.createBucket(hour));
+    }
+    TrackingTimeSeries.addToBucket(this.hourly.get(hour), event);
+    this.markDirty('hour', hour);
+
+    const day = TrackingTimeSeries.getDayStart(timestamp);
+    if (!this.daily.has(day)) {
+      this.daily.set(day, TrackingTimeSeries.createBucket(day));
+      this.prune(timestamp);
+    }
+    TrackingTimeSeries.addToBucket(this.daily.get(day), event);
+    this.markDirty('day', day);
+  }
+
+  markDirty(interval, start) {
+    const id = TrackingTimeSeries.getId(interval, start);
+    this.dirty.add(id);
+    this.removed.delete(id);
+    this.scheduleFlush();
+  }
+
+  markRemoved(interval, start) {
+    const id = TrackingTimeSeries.getId(interval, start);
+    this.dirty.delete(id);
+    this.removed.add(id);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flush().catch(error => logger.log('warn', 'Failed to save time series', error));
+      }, TIMESERIES_FLUSH_DELAY);
+    }
+  }
+
+  prune(now = Date.now()) {
+    const hourCutoff = TrackingTimeSeries.getHourStart(now) - (TIMESERIES_HOURLY_RETENTION - 1) * HOUR_MS;
+    for (const start of this.hourly.keys()) {
+      if (start < hourCutoff) {
+        this.hourly.delete(start);
+        this.markRemoved('hour', start);
+      }
+    }
+
+    const dayCutoff = TrackingTimeSeries.shiftDay(now, -(TIMESERIES_DAILY_RETENTION - 1));
+    for (const start of this.daily.keys()) {
+      if (start < dayCutoff) {
+        this.daily.delete(start);
+        this.markRemoved('day', start);
+      }
+    }
+  }
+
+  static sumCounts(buckets, key) {
+    const totals = {};
+    for (const bucket of buckets) {
+      for (const [name, count] of Object.entries(bucket[key] || {})) {
+        totals[name] = (totals[name] || 0) + count;
+      }
+    }
+    return totals;
+  }
+
+  static top(counts, limit = TIMESERIES_TOP_LIMIT) {
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([name, count]) => ({ name, count }));
+  }
+
+  // Series and totals for the last `days` days; a single day is broken down by hour
+  getTimeline(days, now = Date.now()) {
+    const range = Math.max(1, Math.min(TIMESERIES_DAILY_RETENTION, parseInt(days) || 7));
+    const starts = [];
+    let source;
+    let interval;
+
+    if (range === 1) {
+      interval = 'hour';
+      source = this.hourly;
+      const currentHour = TrackingTimeSeries.getHourStart(now);
+      for (let i = 23; i >= 0; i--) {
+        starts.push(currentHour - i * HOUR_MS);
+      }
+    } else {
+      interval = 'day';
+      source = this.daily;
+      for (let i = range - 1; i >= 0; i--) {
+        starts.push(TrackingTimeSeries.shiftDay(now, -i));
+      }
+    }
+
+    const buckets = starts.map(start => source.get(start) || TrackingTimeSeries.createBucket(start));
+    const sites = TrackingTimeSeries.sumCounts(buckets, 'sites');
+    delete sites[TIMESERIES_OTHER_SITES];
+
+    return {
+      days: range,
+      interval,
+      series: buckets.map(bucket => ({ start: bucket.start, events: bucket.events, blocked: bucket.blocked })),
+      totals: {
+        events: buckets.reduce((sum, bucket) => sum + bucket.events, 0),
+        blocked: buckets.reduce((sum, bucket) => sum + bucket.blocked, 0)
+      },
+      vendors: TrackingTimeSeries.top(TrackingTimeSeries.sumCounts(buckets, 'vendors')),
+      sites: TrackingTimeSeries.top(sites),
+      categories: TrackingTimeSeries.sumCounts(buckets, 'categories'),
+      methods: TrackingTimeSeries.sumCounts(buckets, 'methods')
+    };
+  }
+
+  clear() {
+    this.hourly.forEach((bucket, start) => this.markRemoved('hour', start));
+    this.daily.forEach((bucket, start) => this.markRemoved('day', start));
+    this.hourly.clear();
+    this.daily.clear();
+  }
+
+  static isValidBucket(bucket) {
+    return bucket && typeof bucket.start === 'number' && typeof bucket.events === 'number';
+  }
+
+  async load() {
+    const transaction = await this.database.transaction('timeseries');
+    const records = await NixxerDatabase.request(transaction.objectStore('timeseries').getAll());
+
+    this.hourly.clear();
+    this.daily.clear();
+    for (const { id, interval, ...bucket } of records) {
+      const target = interval === 'hour' ? this.hourly : interval === 'day' ? this.daily : null;
+      if (target && TrackingTimeSeries.isValidBucket(bucket)) {
+        target.set(bucket.start, Object.assign(TrackingTimeSeries.createBucket(bucket.start), bucket));
+      }
+    }
+
+    this.prune();
+    return this.hourly.size + this.daily.size;
+  }
+
+  // Buckets older versions kept in storage.local; ones the database already has are newer
+  importLegacy({ hourly, daily } = {}) {
+    const entries = [['hour', this.hourly, hourly], ['day', this.daily, daily]];
+    for (const [interval, target, buckets] of entries) {
+      for (const bucket of Array.isArray(buckets) ? buckets : []) {
+        if (TrackingTimeSeries.isValidBucket(bucket) && !target.has(bucket.start)) {
+          target.set(bucket.start, Object.assign(TrackingTimeSeries.createBucket(bucket.start), bucket));
+          this.markDirty(interval, bucket.start);
+        }
+      }
+    }
+
+    this.prune();
+  }
+
+  // Writes changed buckets and deletes pruned ones in one transaction; on failure they stay pending
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.flushing) {
+      await this.flushing.catch(() => {});
+    }
+
+    if (this.dirty.size === 0 && this.removed.size === 0) {
+      return;
+    }
+
+    const dirty = Array.from(this.dirty);
+    const removed = Array.from(this.removed);
+    this.dirty.clear();
+    this.removed.clear();
+
+    this.flushing = (async () => {
+      try {
+        const transaction = await this.database.transaction('timeseries', 'readwrite');
+        const store = transaction.objectStore('timeseries');
+
+        for (const id of dirty) {
+          const [interval, start] = id.split(':');
+          const bucket = (interval === 'hour' ? this.hourly : this.daily).get(Number(start));
+          if (bucket) {
+            store.put({ ...bucket, id, interval });
+          }
+        }
+        for (const id of removed) {
+          store.delete(id);
+        }
+
+        await NixxerDatabase.complete(transaction);
+
+      } catch (error) {
+        dirty.forEach(id => {
+          if (!this.removed.has(id)) this.dirty.add(id);
+        });
+        removed.forEach(id => {
+          if (!this.dirty.has(id)) this.removed.add(id);
+        });
+        this.scheduleFlush();
+        throw error;
+
+      } finally {
+        this.flushing = null;
+      }
+    })();
+
+    return this.flushing;
+  }
+}
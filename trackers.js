@@ -0,0 +1,438 @@
+// Nixxer Tracker Registry - Single source of truth for tracker definitions
+//
+// Every vendor Nixxer knows about is declared once here. Patterns are kept as
+// strings so the definitions can be handed to the content script, popup and
+// options page over runtime messaging (see GET_TRACKER_REGISTRY in background.js).
+
+const TRACKER_CATEGORIES = {
+  'analytics': 'Analytics',
+  'tag-manager': 'Tag Manager',
+  'advertising': 'Advertising',
+  'social': 'Social Media',
+  'session-recording': 'Session Recording'
+};
+
+const TRACKER_DEFINITIONS = [
+  {
+    id: 'google-analytics',
+    vendor: 'Google Analytics',
+    category: 'analytics',
+    domains: ['google-analytics.com'],
+    cookiePatterns: ['^_ga$', '^_gid$', '^_gat', '^_gtag_', '^__utm[abcz]$'],
+    valuePatterns: ['^GA1\\.\\d+\\.\\d+\\.\\d+$', '^GA1\\.\\d+\\.\\d+$'],
+    requestPatterns: [
+      '\\/collect(\\?|$)',
+      '\\/g\\/collect(\\?|$)',
+      '\\/mp\\/collect(\\?|$)',
+      'google-analytics\\.com'
+    ],
+    trackingParams: ['utm_*', '_ga', '_gl'],
+    jsSignatures: {
+      globals: ['gtag', 'ga', '_gaq'],
+      patterns: ['\\bgtag\\s*\\(', '\\bga\\s*\\(', 'GoogleAnalyticsObject', '_gaq\\.push']
+    }
+  },
+  {
+    id: 'google-tag-manager',
+    vendor: 'Google Tag Manager',
+    category: 'tag-manager',
+    domains: ['googletagmanager.com'],
+    cookiePatterns: ['^_gcl_', '^_gac_', '^_dc_gtm_'],
+    valuePatterns: [],
+    requestPatterns: ['\\/gtm\\.js(\\?|$)', '\\/gtag\\/js(\\?|$)', 'googletagmanager\\.com'],
+    trackingParams: [],
+    jsSignatures: {
+      globals: ['dataLayer', 'google_tag_manager'],
+      patterns: ['dataLayer\\.push\\s*\\(', 'google_tag_manager', 'gtm\\.start']
+    }
+  },
+  {
+    id: 'google-ads',
+    vendor: 'Google Ads',
+    category: 'advertising',
+    domains: ['doubleclick.net', 'googlesyndication.com'],
+    cookiePatterns: [],
+    valuePatterns: [],
+    requestPatterns: [],
+    trackingParams: ['gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid'],
+    jsSignatures: { globals: [], patterns: [] }
+  },
+  {
+    id: 'facebook',
+    vendor: 'Facebook',
+    category: 'social',
+    domains: ['facebook.com', 'facebook.net'],
+    cookiePatterns: ['^_fbc$', '^_fbp$', '^fr$', '^datr$', '^sb$', '^wd$'],
+    valuePatterns: ['^fb\\.\\d\\.\\d{13}\\.[\\w-]+$'],
+    requestPatterns: [
+      'facebook\\.com\\/tr',
+      'connect\\.facebook\\.net',
+      '\\.facebook\\.com\\/plugins',
+      'fbevents\\.js'
+    ],
+    trackingParams: ['fbclid'],
+    jsSignatures: {
+      globals: ['fbq', '_fbq'],
+      patterns: ['\\bfbq\\s*\\(', 'facebook\\.trackEvent', '_fbq\\.push', 'FB\\.Event\\.subscribe']
+    }
+  },
+  {
+    id: 'adobe',
+    vendor: 'Adobe Analytics',
+    category: 'analytics',
+    domains: ['2o7.net', 'omtrdc.net', 'demdex.net', 'everesttech.net'],
+    cookiePatterns: ['^s_cc$', '^s_sq$', '^s_vi$', '^s_fid$', '^AMCV_', '^mbox'],
+    valuePatterns: [],
+    requestPatterns: ['2o7\\.net', 'omtrdc\\.net', 'demdex\\.net', 'everesttech\\.net'],
+    trackingParams: [],
+    jsSignatures: {
+      globals: ['s'],
+      patterns: ['\\bs\\.t\\s*\\(', '\\bs\\.tl\\s*\\(', 'adobe_mc_', 'AppMeasurement', '[Oo][Mm][Nn][Ii][Tt][Uu][Rr][Ee]']
+    }
+  },
+  {
+    id: 'hotjar',
+    vendor: 'Hotjar',
+    category: 'session-recording',
+    domains: ['hotjar.com'],
+    cookiePatterns: ['^_hjid$', '^_hjSession', '^_hjIncludedInSample', '^_hotjar'],
+    valuePatterns: [],
+    requestPatterns: ['hotjar\\.com'],
+    trackingParams: [],
+    jsSignatures: { globals: ['hj'], patterns: ['\\bhj\\s*\\('] }
+  },
+  {
+    id: 'fullstory',
+    vendor: 'FullStory',
+    category: 'session-recording',
+    domains: ['fullstory.com'],
+    cookiePatterns: ['^fs_uid$', '^FS\\.'],
+    valuePatterns: [],
+    requestPatterns: ['fullstory\\.com'],
+    trackingParams: [],
+    jsSignatures: { globals: ['FS'], patterns: ['FS\\.identify'] }
+  },
+  {
+    id: 'logrocket',
+    vendor: 'LogRocket',
+    category: 'session-recording',
+    domains: ['logrocket.com'],
+    cookiePatterns: ['^_lr_'],
+    valuePatterns: [],
+    requestPatterns: ['logrocket\\.com'],
+    trackingParams: [],
+    jsSignatures: { globals: ['LogRocket'], patterns: ['LogRocket\\.identify', '_lr_\\w+'] }
+  },
+  {
+    id: 'mouseflow',
+    vendor: 'Mouseflow',
+    category: 'session-recording',
+    domains: ['mouseflow.com'],
+    cookiePatterns: [],
+    valuePatterns: [],
+    requestPatterns: ['mouseflow\\.com'],
+    trackingParams: [],
+    jsSignatures: { globals: [], patterns: ['mouseflow\\('] }
+  },
+  {
+    id: 'smartlook',
+    vendor: 'Smartlook',
+    category: 'session-recording',
+    domains: ['smartlook.com'],
+    cookiePatterns: [],
+    valuePatterns: [],
+    requestPatterns: ['smartlook\\.com'],
+    trackingParams: [],
+    jsSignatures: { globals: [], patterns: ['smartlook\\('] }
+  },
+  {
+    id: 'tiktok',
+    vendor: 'TikTok',
+    category: 'advertising',
+    domains: ['analytics.tiktok.com', 'business-api.tiktok.com'],
+    cookiePatterns: ['^_ttp$', '^_tt_enable_cookie$', '^tt_pixel_session_index$', '^tt_sessionId$'],
+    valuePatterns: [],
+    requestPatterns: ['analytics\\.tiktok\\.com', 'business-api\\.tiktok\\.com', '\\.tiktok\\.com\\/pixel'],
+    trackingParams: ['ttclid'],
+    jsSignatures: { globals: ['ttq'], patterns: ['ttq\\.track', 'ttq\\.page', 'tiktok_pixel'] }
+  },
+  {
+    id: 'twitter',
+    vendor: 'Twitter/X',
+    category: 'social',
+    domains: ['analytics.twitter.com', 'platform.twitter.com'],
+    cookiePatterns: [],
+    valuePatterns: [],
+    requestPatterns: [],
+    trackingParams: ['twclid'],
+    jsSignatures: { globals: [], patterns: [] }
+  },
+  {
+    id: 'wordpress-stats',
+    vendor: 'WordPress.com Stats',
+    category: 'analytics',
+    domains: ['stats.wp.com'],
+    cookiePatterns: [],
+    valuePatterns: [],
+    requestPatterns: [],
+    trackingParams: [],
+    jsSignatures: { globals: [], patterns: [] }
+  },
+  {
+    id: 'comscore',
+    vendor: 'Comscore',
+    category: 'analytics',
+    domains: ['scorecardresearch.com'],
+    cookiePatterns: [],
+    valuePatterns: [],
+    requestPatterns: [],
+    trackingParams: [],
+    jsSignatures: { globals: [], patterns: [] }
+  },
+  {
+    id: 'quantcast',
+    vendor: 'Quantcast',
+    category: 'analytics',
+    domains: ['quantserve.com'],
+    cookiePatterns: [],
+    valuePatterns: [],
+    requestPatterns: [],
+    trackingParams: [],
+    jsSignatures: { globals: [], patterns: [] }
+  },
+  {
+    id: 'microsoft-ads',
+    vendor: 'Microsoft Advertising',
+    category: 'advertising',
+    domains: ['bat.bing.com'],
+    cookiePatterns: ['^_uetsid$', '^_uetvid$'],
+    valuePatterns: [],
+    requestPatterns: ['bat\\.bing\\.com'],
+    trackingParams: ['msclkid'],
+    jsSignatures: { globals: ['UET'], patterns: ['uetq\\.push'] }
+  },
+  {
+    id: 'mailchimp',
+    vendor: 'Mailchimp',
+    category: 'analytics',
+    domains: [],
+    cookiePatterns: [],
+    valuePatterns: [],
+    requestPatterns: [],
+    trackingParams: ['mc_eid', 'mc_cid'],
+    jsSignatures: { globals: [], patterns: [] }
+  }
+];
+
+// Storage keys commonly used to back up tracking identifiers (zombie storage)
+const ZOMBIE_STORAGE_PATTERNS = [
+  '_ga_backup',
+  '_gid_backup',
+  'analytics_backup',
+  'tracking_id',
+  'user_fingerprint',
+  'client_id_backup',
+  'visitor_id_',
+  'session_backup',
+  '^_ga(_[A-Z0-9]+)?$',
+  '^_gid$',
+  '^_fb[cp]$',
+  '^_hjid$',
+  '^_hjSession',
+  '^fs_uid$',
+  '^_lr_',
+  '^_ttp$',
+  '^_uet[sv]id$',
+  '^AMCV_'
+];
+
+// Identifier shapes searched for inside stored values, in addition to each
+// tracker's anchored valuePatterns: GA client IDs (random.timestamp, with or
+// without the GA1.x prefix) and Meta _fbp/_fbc browser IDs. IDs found inside a
+// value are reported for respawn detection; the value itself is only removed
+// when it is nothing but the ID.
+const ZOMBIE_VALUE_PATTERNS = [
+  '\\bGA1\\.\\d\\.\\d{6,10}\\.1\\d{9}\\b',
+  '(^|["\'=:])\\d{6,10}\\.1\\d{9}($|["\'&;,])',
+  '\\bfb\\.\\d\\.1\\d{12}\\.[\\w-]+'
+];
+
+// IndexedDB database and Cache Storage names used by tracking libraries
+const ZOMBIE_DATABASE_PATTERNS = [
+  '^fs_',
+  '^_hj',
+  '^hotjar',
+  '^amplitude',
+  '^mixpanel',
+  '^_lr_',
+  '^logrocket',
+  '^evercookie'
+];
+
+class TrackerRegistry {
+  constructor(definitions = TRACKER_DEFINITIONS, compilePattern = null) {
+    this.definitions = [];
+    this.domainIndex = new Map();
+    this.paramIndex = new Map();
+    this.paramPrefixes = [];
+    this.compilePattern = compilePattern || ((source) => {
+      try {
+        return new RegExp(source);
+      } catch (error) {
+        return null;
+      }
+    });
+
+    for (const definition of definitions) {
+      this.register(definition);
+    }
+  }
+
+  register(definition) {
+    if (!definition || typeof definition.id !== 'string' || !Array.isArray(definition.domains)) {
+      throw new Error('Tracker definition must have an id and a domains array');
+    }
+
+    const tracker = {
+      ...definition,
+      compiled: {
+        cookies: this.compileAll(definition.cookiePatterns),
+        values: this.compileAll(definition.valuePatterns),
+        requests: this.compileAll(definition.requestPatterns),
+        signatures: this.compileAll(definition.jsSignatures && definition.jsSignatures.patterns)
+      }
+    };
+
+    this.definitions.push(tracker);
+
+    for (const domain of definition.domains) {
+      this.domainIndex.set(domain.toLowerCase(), tracker);
+    }
+
+    // Query parameters: exact names, or prefixes written with a trailing "*" (e.g. "utm_*")
+    for (const param of definition.trackingParams || []) {
+      const name = param.toLowerCase();
+      if (name.endsWith('*')) {
+        this.paramPrefixes.push({ prefix: name.slice(0, -1), tracker });
+      } else {
+        this.paramIndex.set(name, tracker);
+      }
+    }
+  }
+
+  compileAll(sources) {
+    if (!Array.isArray(sources)) {
+      return [];
+    }
+    return sources.map(source => this.compilePattern(source)).filter(Boolean);
+  }
+
+  // Returns { tracker, domain } for a hostname equal to, or a subdomain of, a registered domain
+  matchHostname(hostname) {
+    if (typeof hostname !== 'string' || hostname.length === 0) {
+      return null;
+    }
+
+    let candidate = hostname.toLowerCase().trim();
+    while (candidate) {
+      const tracker = this.domainIndex.get(candidate);
+      if (tracker) {
+        return { tracker, domain: candidate };
+      }
+      const dot = candidate.indexOf('.');
+      if (dot === -1) break;
+      candidate = candidate.slice(dot + 1);
+    }
+
+    return null;
+  }
+
+  // Returns { tracker, pattern } for the first request pattern matching the URL
+  matchRequest(url) {
+    if (typeof url !== 'string') {
+      return null;
+    }
+
+    for (const tracker of this.definitions) {
+      for (const pattern of tracker.compiled.requests) {
+        if (pattern.test(url)) {
+          return { tracker, pattern: pattern.source };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Returns { tracker, pattern } for the first cookie pattern matching the name
+  matchCookie(name) {
+    if (typeof name !== 'string') {
+      return null;
+    }
+
+    for (const tracker of this.definitions) {
+      for (const pattern of tracker.compiled.cookies) {
+        if (pattern.test(name)) {
+          return { tracker, pattern: pattern.source };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  matchCookieValue(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    for (const tracker of this.definitions) {
+      for (const pattern of tracker.compiled.values) {
+        if (pattern.test(value)) {
+          return { tracker, pattern: pattern.source };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Returns the tracker owning a URL query parameter name, or null
+  matchTrackingParam(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      return null;
+    }
+
+    const lowerName = name.toLowerCase();
+    const tracker = this.paramIndex.get(lowerName);
+    if (tracker) {
+      return tracker;
+    }
+
+    const prefixMatch = this.paramPrefixes.find(({ prefix }) => lowerName.startsWith(prefix));
+    return prefixMatch ? prefixMatch.tracker : null;
+  }
+
+  getTracker(id) {
+    return this.definitions.find(tracker => tracker.id === id) || null;
+  }
+
+  getAllDomains() {
+    return Array.from(this.domainIndex.keys());
+  }
+
+  getVendors() {
+    return this.definitions.map(tracker => tracker.vendor);
+  }
+
+  // Plain, message-safe copy of the registry for other extension pages
+  toJSON() {
+    return {
+      categories: TRACKER_CATEGORIES,
+      trackers: this.definitions.map(({ compiled, ...definition }) => definition),
+      zombieStoragePatterns: ZOMBIE_STORAGE_PATTERNS,
+      zombieValuePatterns: ZOMBIE_VALUE_PATTERNS,
+      zombieDatabasePatterns: ZOMBIE_DATABASE_PATTERNS
+    };
+  }
+}
@@ -0,0 +1,89 @@
+// Nixxer URL Cleaner - Removes tracking query parameters from navigations
+//
+// Parameters come from the tracker registry (trackingParams in trackers.js), so
+// each one belongs to a tracker category that can be switched off in settings.
+// The query string is rewritten piecewise so untouched parameters keep their
+// original encoding.
+
+class UrlCleaner {
+  constructor(registry) {
+    this.registry = registry;
+    this.enabledCategories = new Set(Object.keys(TRACKER_CATEGORIES));
+    this.exceptions = [];
+  }
+
+  configure({ categories, exceptions } = {}) {
+    if (Array.isArray(categories)) {
+      this.enabledCategories = new Set(categories);
+    }
+
+    if (Array.isArray(exceptions)) {
+      this.exceptions = exceptions
+        .filter(domain => typeof domain === 'string' && domain.length > 0)
+        .map(domain => domain.toLowerCase());
+    }
+  }
+
+  isException(hostname) {
+    if (typeof hostname !== 'string' || hostname.length === 0) {
+      return false;
+    }
+
+    const host = hostname.toLowerCase();
+    return this.exceptions.some(domain => host === domain || host.endsWith('.' + domain));
+  }
+
+  // Tracker owning a parameter, if stripping is enabled for its category
+  getStrippableTracker(name) {
+    const tracker = this.registry.matchTrackingParam(name);
+    return tracker && this.enabledCategories.has(tracker.category) ? tracker : null;
+  }
+
+  // Returns { url, removed: [{ name, trackerId }] } when something was stripped, otherwise null
+  clean(rawUrl) {
+    if (typeof rawUrl !== 'string' || !rawUrl.includes('?')) {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      return null;
+    }
+
+    if (!url.search || url.search.length < 2) {
+      return null;
+    }
+
+    const kept = [];
+    const removed = [];
+
+    for (const part of url.search.slice(1).split('&')) {
+      if (!part) continue;
+
+      const rawName = part.split('=')[0];
+      let name = rawName;
+      try {
+        name = decodeURIComponent(rawName.replace(/\+/g, ' '));
+      } catch (error) {
+        // Malformed escape: match on the raw name
+      }
+
+      const tracker = this.getStrippableTracker(name);
+      if (tracker) {
+        removed.push({ name, trackerId: tracker.id });
+      } else {
+        kept.push(part);
+      }
+    }
+
+    if (removed.length === 0) {
+      return null;
+    }
+
+    url.search = kept.length > 0 ? '?' + kept.join('&') : '';
+
+    return { url: url.href, removed };
+  }
+}